@@ -1,6 +1,7 @@
 /**
  * Unified OMDb API client with caching, rate limiting, and error handling
  * Replaces scattered fetch calls throughout the codebase
+ * Makes the calls itself in the background; content scripts go through the RequestBroker
  */
 
 // Prevent duplicate injection
@@ -9,19 +10,27 @@ if (typeof window.OMDBClient === 'undefined') {
 class OMDBClient {
     constructor() {
         this.baseUrl = CONFIG.OMDB_BASE_URL;
-        this.cache = apiCache;
-        this.rateLimiter = rateLimiter;
         this.logger = new Logger('OMDBClient');
         this.apiKey = null;
+        this.revalidations = new Map(); // cacheKey -> in-flight refresh of a stale entry
+
+        // Outside the background the API key, cache and rate limiter stay in the broker
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+        if (this.broker) {
+            return;
+        }
+
+        this.cache = window.ratingCache;
+        this.quota = window.quotaTracker;
 
         // Load API key from storage
-        this.loadApiKey();
+        this.ready = this.loadApiKey();
 
         // Listen for storage changes and reload API key
         chrome.storage.onChanged.addListener((changes, areaName) => {
             if (areaName === 'sync' && changes.omdbApiKey) {
                 this.logger.info('🔄 [OMDb] API key changed, reloading');
-                this.loadApiKey();
+                this.ready = this.loadApiKey();
             }
         });
     }
@@ -66,19 +75,105 @@ class OMDBClient {
      * @returns {Promise<string|null>}
      */
     async getApiKey() {
-        // Return cached API key
+        // Background may have just woken up - wait for the key to load
+        await this.ready;
         return this.apiKey;
     }
 
     /**
      * Make API request with caching and rate limiting
+     * Stale cache entries are returned immediately and revalidated in the background
      * @param {object} params - Query parameters
      * @returns {Promise<object>}
      */
     async request(params) {
+        const entry = await this.requestEntry(params);
+        return entry.data;
+    }
+
+    /**
+     * Make API request, reporting whether the data came from an expired cache entry
+     * While offline, expired entries are served as offline data instead of being revalidated
+     * @param {object} params - Query parameters
+     * @returns {Promise<{data: object, stale: boolean, offline: boolean, revalidation: Promise<object|null>|null}>}
+     *          revalidation resolves to fresh data, or null if the refresh failed
+     */
+    async requestEntry(params) {
+        if (this.broker) {
+            const { data, stale, offline } = await this.broker.send('omdb.request', { params });
+            return {
+                data,
+                stale,
+                offline: !!offline,
+                revalidation: stale && !offline
+                    ? this.broker.send('omdb.revalidate', { params }).catch(() => null)
+                    : null
+            };
+        }
+
+        const apiKey = await this.getApiKey();
+        if (!apiKey) {
+            throw new AuthError('API key not configured');
+        }
+
+        // Key on query params only - API key must not end up in persisted cache keys
+        const cacheKey = `omdb:${new URLSearchParams(params).toString()}`;
+
+        // Check cache first
+        if (CONFIG.FEATURES.ENABLE_CACHE) {
+            const cached = await this.cache.getEntry(cacheKey);
+            if (cached && !cached.stale) {
+                this.logger.debug('Cache hit', { params });
+                return { data: cached.value, stale: false, offline: false, revalidation: null };
+            }
+
+            if (cached && CONFIG.FEATURES.ENABLE_OFFLINE_FALLBACK && OfflineError.isOffline()) {
+                this.logger.info('Offline, serving last known data', { params });
+                return { data: cached.value, stale: true, offline: true, revalidation: null };
+            }
+
+            if (cached) {
+                this.logger.debug('Stale cache hit, revalidating', { params });
+                return { data: cached.value, stale: true, offline: false, revalidation: this.revalidate(params, cacheKey) };
+            }
+
+            const miss = await this.cache.get(OMDBClient.negativeCacheKey(params));
+            if (miss) {
+                this.logger.debug('Negative cache hit', { params });
+                throw new NotFoundError(miss.error);
+            }
+        }
+
+        const data = await this.fetchFresh(params, cacheKey);
+        return { data, stale: false, offline: false, revalidation: null };
+    }
+
+    /**
+     * Refresh a stale cache entry, sharing one request between concurrent callers
+     * @param {object} params - Query parameters
+     * @param {string} cacheKey - Cache key
+     * @returns {Promise<object|null>} Fresh data, or null if the refresh failed
+     */
+    revalidate(params, cacheKey) {
+        if (!this.revalidations.has(cacheKey)) {
+            const revalidation = this.fetchFresh(params, cacheKey)
+                .catch(() => null) // Already logged - callers keep the stale data
+                .finally(() => this.revalidations.delete(cacheKey));
+            this.revalidations.set(cacheKey, revalidation);
+        }
+        return this.revalidations.get(cacheKey);
+    }
+
+    /**
+     * Fetch from OMDb and cache the response
+     * @param {object} params - Query parameters
+     * @param {string} cacheKey - Cache key
+     * @returns {Promise<object>}
+     */
+    async fetchFresh(params, cacheKey) {
         const apiKey = await this.getApiKey();
         if (!apiKey) {
-            throw new Error('API key not configured');
+            throw new AuthError('API key not configured');
         }
 
         // Build full parameters
@@ -87,31 +182,31 @@ class OMDBClient {
             ...params
         });
 
-        const cacheKey = `omdb:${fullParams.toString()}`;
-
-        // Check cache first
-        if (CONFIG.FEATURES.ENABLE_CACHE) {
-            const cached = this.cache.get(cacheKey);
-            if (cached) {
-                this.logger.debug('Cache hit', { params });
-                return cached;
-            }
+        // Nothing is sent while offline, so nothing may count against the quota
+        if (OfflineError.isOffline()) {
+            throw new OfflineError();
         }
 
+        // Count against today's quota before spending a request
+        await this.quota.acquire(apiKey);
+
         // Make API request with retry
         const endTimer = this.logger.time('API request');
 
         try {
-            const response = await fetchWithRetry(`${this.baseUrl}?${fullParams}`);
-            const data = await response.json();
+            const data = await this.fetchJSON(`${this.baseUrl}?${fullParams}`);
 
             endTimer();
 
             if (data.Response !== 'True') {
-                throw new Error(data.Error || 'API request failed');
+                if (OMDBClient.isLimitMessage(data.Error)) {
+                    await this.quota.markExhausted(apiKey);
+                    throw new OMDbQuotaError(QuotaTracker.nextResetAt());
+                }
+                throw OMDBClient.toError(data.Error);
             }
 
-            // Cache successful response
+            // Cache successful response (persistent write doesn't block the caller)
             if (CONFIG.FEATURES.ENABLE_CACHE) {
                 this.cache.set(cacheKey, data);
             }
@@ -120,11 +215,136 @@ class OMDBClient {
 
         } catch (error) {
             endTimer();
+
+            if (OMDBClient.isNotFoundError(error)) {
+                // Obscure titles would otherwise cost a request on every visit
+                if (CONFIG.FEATURES.ENABLE_CACHE) {
+                    this.cache.set(OMDBClient.negativeCacheKey(params), { error: error.message },
+                        CONFIG.NEGATIVE_CACHE_TTL_MINUTES * 60 * 1000);
+                }
+                this.logger.debug('Not found on OMDb', { error: error.message, params });
+                throw error;
+            }
+
             this.logger.error('API request failed', { error: error.message, params });
             throw error;
         }
     }
 
+    /**
+     * Build the negative cache key for a query
+     * Search terms are normalized so "The Matrix " and "the matrix" share one entry
+     * @param {object} params - Query parameters
+     * @returns {string}
+     */
+    static negativeCacheKey(params) {
+        const normalized = Object.keys(params)
+            .sort()
+            .map(key => [key, String(params[key]).trim().toLowerCase().replace(/\s+/g, ' ')]);
+        return OMDBClient.NEGATIVE_CACHE_PREFIX + new URLSearchParams(normalized).toString();
+    }
+
+    /**
+     * Turn an OMDb Error field into a typed error
+     * @param {string|undefined} message - OMDb Error field
+     * @returns {Error}
+     */
+    static toError(message) {
+        if (/not found|incorrect imdb id/i.test(message || '')) {
+            return new NotFoundError(message);
+        }
+        if (/api key/i.test(message || '')) {
+            return new AuthError(message);
+        }
+        return new Error(message || 'API request failed');
+    }
+
+    /**
+     * Fetch OMDb URL and parse JSON, including error bodies (OMDb answers 401 for limit/key errors)
+     * @param {string} url - Request URL
+     * @returns {Promise<object>}
+     */
+    async fetchJSON(url) {
+        try {
+            const response = await fetchWithRetry(url);
+            return await response.json();
+        } catch (error) {
+            const body = error.response ? await error.response.json().catch(() => null) : null;
+            if (body?.Response === 'False') {
+                return body;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check if an OMDb error message is the daily limit response
+     * @param {string|undefined} message - OMDb Error field
+     * @returns {boolean}
+     */
+    static isLimitMessage(message) {
+        return /request limit reached/i.test(message || '');
+    }
+
+    /**
+     * Check if an error means the daily quota is used up
+     * Works for errors passed through the broker, which keep only name and message
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isQuotaError(error) {
+        return error?.name === 'OMDbQuotaError';
+    }
+
+    /**
+     * Check if an error means OMDb couldn't be reached (offline or network failure)
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isOfflineError(error) {
+        return error?.name === 'OfflineError';
+    }
+
+    /**
+     * Check if an error means the request never got an OMDb answer (server error, timeout, offline)
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isTransportError(error) {
+        return error?.name === 'TransportError' || OMDBClient.isOfflineError(error);
+    }
+
+    /**
+     * Check if an error means OMDb has no such title
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isNotFoundError(error) {
+        return error?.name === 'NotFoundError';
+    }
+
+    /**
+     * Check if an error means the API key is missing or rejected
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isAuthError(error) {
+        return error?.name === 'AuthError';
+    }
+
+    /**
+     * Check if an error means OMDb can't be used at all right now (no or rejected API key,
+     * out of quota, or offline when the offline fallback is enabled)
+     * Callers fall back to the offline IMDb dataset for these
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isUnavailable(error) {
+        return OMDBClient.isQuotaError(error) ||
+            (CONFIG.FEATURES.ENABLE_OFFLINE_FALLBACK && OMDBClient.isOfflineError(error)) ||
+            OMDBClient.isAuthError(error);
+    }
+
     /**
      * Search movie by title and year
      * @param {string} title - Movie title
@@ -149,6 +369,33 @@ class OMDBClient {
         return this.request(params);
     }
 
+    /**
+     * Search OMDb for candidate titles (s= search, up to 10 results per page)
+     * @param {string} query - Title to search
+     * @param {string} year - Release year (optional)
+     * @param {string} type - Media type (movie, series, episode; optional)
+     * @returns {Promise<object>} OMDb payload with Search array
+     */
+    async search(query, year = '', type = '') {
+        if (!query || typeof query !== 'string') {
+            throw new Error('Invalid search query');
+        }
+
+        const params = {
+            s: query.trim().substring(0, 200)
+        };
+
+        if (type && ['movie', 'series', 'episode'].includes(type)) {
+            params.type = type;
+        }
+
+        if (year && CONFIG.PATTERNS.YEAR.test(year)) {
+            params.y = year;
+        }
+
+        return this.request(params);
+    }
+
     /**
      * Get movie data by IMDb ID
      * @param {string} imdbId - IMDb ID (format: ttNNNNNNN)
@@ -166,6 +413,69 @@ class OMDBClient {
         });
     }
 
+    /**
+     * Get movie data by IMDb ID along with cache freshness
+     * @param {string} imdbId - IMDb ID (format: ttNNNNNNN)
+     * @returns {Promise<{data: object, stale: boolean, offline: boolean, revalidation: Promise<object|null>|null}>}
+     */
+    async getEntryByIMDbId(imdbId) {
+        // Validate IMDb ID format (XSS protection)
+        if (!CONFIG.PATTERNS.IMDB_ID.test(imdbId)) {
+            throw new Error(`Invalid IMDb ID format: ${imdbId}`);
+        }
+
+        return this.requestEntry({
+            i: imdbId,
+            plot: 'short'
+        });
+    }
+
+    /**
+     * Get episode data by series IMDb ID and season/episode numbers
+     * @param {string} seriesImdbId - Series IMDb ID (format: ttNNNNNNN)
+     * @param {number|string} season - Season number
+     * @param {number|string} episode - Episode number
+     * @returns {Promise<object>}
+     */
+    async getEpisode(seriesImdbId, season, episode) {
+        // Validate IMDb ID format (XSS protection)
+        if (!CONFIG.PATTERNS.IMDB_ID.test(seriesImdbId)) {
+            throw new Error(`Invalid IMDb ID format: ${seriesImdbId}`);
+        }
+
+        if (!/^\d{1,4}$/.test(String(season)) || !/^\d{1,5}$/.test(String(episode))) {
+            throw new Error(`Invalid season/episode: S${season}E${episode}`);
+        }
+
+        return this.request({
+            i: seriesImdbId,
+            Season: String(season),
+            Episode: String(episode)
+        });
+    }
+
+    /**
+     * Get all episodes of a season by series IMDb ID
+     * @param {string} seriesImdbId - Series IMDb ID (format: ttNNNNNNN)
+     * @param {number|string} season - Season number
+     * @returns {Promise<object>} OMDb season payload with Episodes array
+     */
+    async getSeason(seriesImdbId, season) {
+        // Validate IMDb ID format (XSS protection)
+        if (!CONFIG.PATTERNS.IMDB_ID.test(seriesImdbId)) {
+            throw new Error(`Invalid IMDb ID format: ${seriesImdbId}`);
+        }
+
+        if (!/^\d{1,4}$/.test(String(season))) {
+            throw new Error(`Invalid season: ${season}`);
+        }
+
+        return this.request({
+            i: seriesImdbId,
+            Season: String(season)
+        });
+    }
+
     /**
      * Test API connection
      * @returns {Promise<boolean>}
@@ -185,30 +495,96 @@ class OMDBClient {
     }
 
     /**
-     * Get cache statistics
-     * @returns {object}
+     * Test an API key that isn't saved yet (popup validation)
+     * @param {string} apiKey - API key to test
+     * @returns {Promise<boolean>}
      */
-    getCacheStats() {
+    async testApiKey(apiKey) {
+        if (this.broker) {
+            return this.broker.send('omdb.testKey', { apiKey });
+        }
+
+        const params = new URLSearchParams({
+            apikey: apiKey,
+            t: CONFIG.OMDB_TEST_MOVIE,
+            y: CONFIG.OMDB_TEST_YEAR
+        });
+
+        try {
+            await this.quota.acquire(apiKey);
+            const data = await this.fetchJSON(`${this.baseUrl}?${params}`);
+
+            if (OMDBClient.isLimitMessage(data.Error)) {
+                // Key works, it's just out of requests for today
+                await this.quota.markExhausted(apiKey);
+                this.logger.warn('API key test hit the daily limit');
+                return true;
+            }
+
+            if (data.Response !== 'True') {
+                this.logger.warn('API key test failed', { error: data.Error });
+                return false;
+            }
+
+            this.logger.info('API key test successful');
+            return true;
+        } catch (error) {
+            this.logger.error('API key test error', { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Get cache statistics for both tiers
+     * @returns {Promise<{memory: object, persistent: object}>}
+     */
+    async getCacheStats() {
+        if (this.broker) {
+            return this.broker.send('omdb.cacheStats');
+        }
         return this.cache.getStats();
     }
 
     /**
-     * Get rate limiter status
-     * @returns {object}
+     * Get today's OMDb quota status for the configured key (shared by all tabs)
+     * @returns {Promise<{used: number, total: number, remaining: number, exhausted: boolean, resetAt: number, resetIn: number}>}
      */
-    getRateLimitStatus() {
-        return this.rateLimiter.getStatus();
+    async getQuotaStatus() {
+        if (this.broker) {
+            return this.broker.send('omdb.quotaStatus');
+        }
+        return this.quota.getStatus(await this.getApiKey());
     }
 
     /**
-     * Clear cache
+     * Drop cached not-found answers so those titles are looked up again
+     * @returns {Promise<number>} Number of entries removed
      */
-    clearCache() {
-        this.cache.clear();
+    async clearNegativeCache() {
+        if (this.broker) {
+            return this.broker.send('omdb.clearNegativeCache');
+        }
+        const count = await this.cache.deleteByPrefix(OMDBClient.NEGATIVE_CACHE_PREFIX);
+        this.logger.info('Negative cache cleared', { count });
+        return count;
+    }
+
+    /**
+     * Clear cache (both tiers)
+     */
+    async clearCache() {
+        if (this.broker) {
+            await this.broker.send('omdb.clearCache');
+            return;
+        }
+        await this.cache.clear();
         this.logger.info('Cache cleared');
     }
 }
 
+    // Cache key prefix for not-found answers
+    OMDBClient.NEGATIVE_CACHE_PREFIX = 'omdb-miss:';
+
     // Export to window
     window.OMDBClient = OMDBClient;
     window.omdbClient = new OMDBClient();
@@ -1,14 +1,16 @@
 /**
  * Background Service Worker
  * Enterprise-grade refactored version with:
- * - Fixed duplicate script injection
- * - Proper tab tracking
+ * - Registered content scripts with a per-document readiness check
  * - Error handling
  */
 
 // IMMEDIATE TEST - File loading check
 console.log('🚀🚀🚀 BACKGROUND.JS IS LOADING 🚀🚀🚀');
 
+// Shared modules (config, cache, rate limiter, OMDb/Plex clients, request broker)
+// are loaded ahead of this file via the manifest background scripts list
+
 // Simple logger for background context
 const bgLog = {
     info: (msg, data) => console.log('[PIMDB:Background]', msg, data || ''),
@@ -17,22 +19,9 @@ const bgLog = {
     error: (msg, data) => console.error('[PIMDB:Background]', msg, data || '')
 };
 
-// Track injected tabs to prevent duplicates
-// CRITICAL FIX #2: Prevent duplicate script injection
-let injectedTabs = new Set();
-
-// Firefox: Don't restore from storage (background scripts are persistent)
-// Starting fresh prevents stale tab IDs from blocking new injections
-bgLog.info('Firefox: Starting with fresh injectedTabs Set');
-
-// Clear any stale storage from previous sessions
+// Tabs were tracked in storage before content scripts were registered - drop the leftover state
 chrome.storage.local.remove(['injectedTabs']);
 
-// Persist injected tabs state (for debugging only, not restored)
-function saveInjectedTabs() {
-    chrome.storage.local.set({ injectedTabs: Array.from(injectedTabs) });
-}
-
 bgLog.info('Background service worker started');
 
 /**
@@ -60,58 +49,95 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     }
 });
 
+// Content script files, in load order (registered for Plex Web pages, injected into tabs already open)
+const CONTENT_SCRIPT_FILES = [
+    'config.js',
+    'logger.js',
+    'storage-utils.js',
+    'validators.js',
+    'url-utils.js',
+    'request-broker.js',
+    'guid-mapper.js',
+    'api-client.js',
+    'plex-api-client.js',
+    'plex-writeback.js',
+    'match-overrides.js',
+    'match-scorer.js',
+    'imdb-dataset.js',
+    'metadata-resolver.js',
+    'poster-overlay.js',
+    'season-heatmap.js',
+    'match-menu.js',
+    'content.js'
+];
+
 /**
- * Check if URL is a Plex page
- * @param {string} url - Page URL
- * @returns {boolean}
+ * Register the content scripts for Plex Web pages, then make sure open Plex tabs run them
  */
-function isPlexUrl(url) {
-    if (!url) return false;
+function syncContentScripts() {
+    plexOrigins.syncContentScripts(CONTENT_SCRIPT_FILES)
+        .then(() => ensureOpenTabs())
+        .catch((error) => {
+            bgLog.error('Failed to register content scripts', { error: error.message });
+        });
+}
+
+syncContentScripts();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.plexWebOrigins) {
+        syncContentScripts();
+    }
+});
+chrome.permissions.onAdded.addListener(syncContentScripts);
+chrome.permissions.onRemoved.addListener(syncContentScripts);
 
-    return url.includes('app.plex.tv') ||
-           url.includes(':32400/web') ||
-           url.includes('plex.direct');
+/**
+ * Match patterns of all Plex Web pages, built-in and custom
+ * @returns {Promise<string[]>}
+ */
+async function plexTabPatterns() {
+    return plexOrigins.listPatterns().catch(() => [...PlexOrigins.BUILT_IN_MATCHES]);
 }
 
 /**
- * Inject content script into tab
- * CRITICAL FIX #2: Single injection per tab with tracking
+ * Ask the page in a tab whether the content script runs in it
+ * Each document answers for itself, so a reloaded tab never counts as injected
  * @param {number} tabId - Tab ID
- * @param {string} url - Tab URL
+ * @returns {Promise<boolean>}
+ */
+async function isContentScriptReady(tabId) {
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, { type: 'contentScriptPing' }, { frameId: 0 });
+        return response?.ready === true;
+    } catch (error) {
+        return false; // Nothing listening in this document
+    }
+}
+
+/**
+ * Inject the content scripts into an open Plex tab that doesn't run them
+ * Pages loaded after registration get them from the registered content scripts; this covers
+ * tabs that were already open (install, update, extension reload, custom origin just granted)
+ * @param {chrome.tabs.Tab} tab - Plex tab
  */
-async function injectContentScript(tabId, url) {
-    // Skip if already injected
-    if (injectedTabs.has(tabId)) {
-        bgLog.debug('Content script already injected', { tabId });
+async function ensureContentScript(tab) {
+    // Still loading - the registered content scripts run once it's done
+    if (tab.status !== 'complete') {
         return;
     }
 
-    // Skip if not a Plex URL
-    if (!isPlexUrl(url)) {
-        bgLog.debug('Not a Plex URL, skipping injection', { tabId, url });
+    if (await isContentScriptReady(tab.id)) {
+        bgLog.debug('Content script already running', { tabId: tab.id });
         return;
     }
 
     try {
         // Inject all required files in order
-        const files = [
-            'config.js',
-            'logger.js',
-            'storage-utils.js',
-            'validators.js',
-            'url-utils.js',
-            'cache.js',
-            'rate-limiter.js',
-            'api-client.js',
-            'plex-api-client.js',
-            'metadata-resolver.js',
-            'content.js'
-        ];
-
-        for (const file of files) {
+        for (const file of CONTENT_SCRIPT_FILES) {
             try {
                 await chrome.scripting.executeScript({
-                    target: { tabId: tabId },
+                    target: { tabId: tab.id },
                     files: [file]
                 });
             } catch (err) {
@@ -130,50 +156,23 @@ async function injectContentScript(tabId, url) {
             }
         }
 
-        injectedTabs.add(tabId);
-        saveInjectedTabs();
-        bgLog.info('Content script injected successfully', { tabId, url });
-
+        bgLog.info('Content script injected into open tab', { tabId: tab.id, url: tab.url });
     } catch (error) {
         bgLog.error('Failed to inject content script', {
             error: error.message,
-            tabId,
-            url
+            tabId: tab.id,
+            url: tab.url
         });
-
-        // Remove from tracking if injection failed
-        injectedTabs.delete(tabId);
-        saveInjectedTabs();
     }
 }
 
 /**
- * Handle tab updates
- * Only inject when tab finishes loading
- */
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    // Only inject when page is completely loaded
-    if (changeInfo.status !== 'complete') {
-        return;
-    }
-
-    if (!tab.url) {
-        return;
-    }
-
-    await injectContentScript(tabId, tab.url);
-});
-
-/**
- * Handle tab removal - cleanup tracking
+ * Make sure every open Plex tab runs the content scripts
  */
-chrome.tabs.onRemoved.addListener((tabId) => {
-    if (injectedTabs.has(tabId)) {
-        injectedTabs.delete(tabId);
-        saveInjectedTabs();
-        bgLog.debug('Tab removed from tracking', { tabId });
-    }
-});
+async function ensureOpenTabs() {
+    const tabs = await chrome.tabs.query({ url: await plexTabPatterns() });
+    await Promise.all(tabs.map(tab => ensureContentScript(tab)));
+}
 
 /**
  * Handle tab URL changes (SPA navigation handled by content script)
@@ -190,30 +189,41 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     switch (message.type) {
         case 'getCacheStats':
-            // This would be handled by content script
-            sendResponse({ success: true });
-            break;
+            omdbClient.getCacheStats()
+                .then(stats => sendResponse({ success: true, stats }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Keep channel open for async response
 
         case 'clearCache':
-            // Forward to all tabs to clear their caches
-            chrome.tabs.query({ url: ['https://app.plex.tv/*', 'http://*:32400/*'] }, (tabs) => {
-                tabs.forEach(tab => {
-                    chrome.tabs.sendMessage(tab.id, { type: 'clearCache' }).catch(() => {
-                        // Tab might not have content script, ignore
+            // Cache lives here now - clear it, then let tabs drop any page state
+            omdbClient.clearCache().finally(async () => {
+                chrome.tabs.query({ url: await plexTabPatterns() }, (tabs) => {
+                    tabs.forEach(tab => {
+                        chrome.tabs.sendMessage(tab.id, { type: 'clearCache' }).catch(() => {
+                            // Tab might not have content script, ignore
+                        });
                     });
                 });
+                sendResponse({ success: true });
             });
-            sendResponse({ success: true });
-            break;
+            return true; // Keep channel open for async response
+
+        case 'brokerRequest':
+            // OMDb/Plex calls from content scripts and the popup
+            if (sender.id !== chrome.runtime.id) {
+                sendResponse({ success: false, error: { name: 'Error', message: 'Unauthorized sender' } });
+                break;
+            }
+            requestBroker.handle(message.op, message.payload)
+                .then(result => sendResponse({ success: true, result }))
+                .catch(error => sendResponse({ success: false, error: RequestBroker.serializeError(error) }));
+            return true; // Keep channel open for async response
 
         case 'reloadExtension':
             // Reload all Plex tabs
-            chrome.tabs.query({ url: ['https://app.plex.tv/*', 'http://*:32400/*'] }, (tabs) => {
-                tabs.forEach(tab => {
-                    chrome.tabs.reload(tab.id);
-                    injectedTabs.delete(tab.id);
-                });
-            });
+            plexTabPatterns().then(patterns => chrome.tabs.query({ url: patterns }, (tabs) => {
+                tabs.forEach(tab => chrome.tabs.reload(tab.id));
+            }));
             sendResponse({ success: true });
             break;
 
@@ -279,6 +289,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                         sendResponse({
                             success: true,
                             serverName: data.MediaContainer.friendlyName || 'Plex Server',
+                            machineIdentifier: data.MediaContainer.machineIdentifier,
                             version: data.MediaContainer.version
                         });
                     } else {
@@ -1,6 +1,7 @@
 /**
  * LRU Cache with TTL support
  * Prevents excessive API calls by caching responses
+ * TieredCache puts it in front of the persistent cache in the background
  */
 
 // Prevent duplicate injection
@@ -21,6 +22,17 @@ class LRUCache {
      * @returns {*|null} Cached value or null if expired/not found
      */
     get(key) {
+        const entry = this.getEntry(key);
+        return entry && !entry.stale ? entry.value : null;
+    }
+
+    /**
+     * Get cache entry including expired (stale) values
+     * Expired entries are kept for stale-while-revalidate and only dropped by LRU eviction
+     * @param {string} key - Cache key
+     * @returns {{value: *, stale: boolean, timestamp: number}|null}
+     */
+    getEntry(key) {
         const item = this.cache.get(key);
 
         if (!item) {
@@ -28,27 +40,30 @@ class LRUCache {
             return null;
         }
 
-        // Check if expired
-        if (Date.now() > item.expiry) {
-            this.cache.delete(key);
-            this.misses++;
-            return null;
-        }
-
         // LRU: Move to end (most recently used)
         this.cache.delete(key);
         this.cache.set(key, item);
-        this.hits++;
 
-        return item.value;
+        const stale = Date.now() > item.expiry;
+        if (stale) {
+            this.misses++;
+        } else {
+            this.hits++;
+        }
+
+        return { value: item.value, stale, timestamp: item.timestamp };
     }
 
     /**
      * Set value in cache
      * @param {string} key - Cache key
      * @param {*} value - Value to cache
+     * @param {number} ttlMs - Time to live for this entry (defaults to cache TTL)
      */
-    set(key, value) {
+    set(key, value, ttlMs = this.ttl) {
+        // Re-set moves the key to the end instead of evicting another entry
+        this.cache.delete(key);
+
         // Remove oldest entry if at capacity
         if (this.cache.size >= this.maxSize) {
             const firstKey = this.cache.keys().next().value;
@@ -57,7 +72,7 @@ class LRUCache {
 
         this.cache.set(key, {
             value,
-            expiry: Date.now() + this.ttl,
+            expiry: Date.now() + ttlMs,
             timestamp: Date.now()
         });
     }
@@ -79,6 +94,17 @@ class LRUCache {
         this.cache.delete(key);
     }
 
+    /**
+     * Delete every key starting with a prefix
+     * @param {string} prefix - Key prefix
+     * @returns {number} Number of entries deleted
+     */
+    deleteByPrefix(prefix) {
+        const keys = this.keys().filter(key => key.startsWith(prefix));
+        keys.forEach(key => this.cache.delete(key));
+        return keys.length;
+    }
+
     /**
      * Clear all cache entries
      */
@@ -150,14 +176,125 @@ class LRUCache {
     }
 }
 
+/**
+ * Two-tier cache: in-memory LRUCache (L1) in front of the persistent cache (L2)
+ * Both tiers live in the background, shared by every tab
+ */
+class TieredCache {
+    /**
+     * @param {LRUCache} memory - L1 cache
+     * @param {PersistentCache} persistent - L2 cache
+     */
+    constructor(memory, persistent) {
+        this.memory = memory;
+        this.persistent = persistent;
+    }
+
+    /**
+     * Get value, promoting L2 hits into L1
+     * @param {string} key - Cache key
+     * @returns {Promise<*|null>}
+     */
+    async get(key) {
+        const value = this.memory.get(key);
+        if (value !== null) {
+            return value;
+        }
+
+        const persisted = await this.persistent.get(key);
+        if (persisted !== null) {
+            this.memory.set(key, persisted);
+        }
+        return persisted;
+    }
+
+    /**
+     * Get entry including stale values, preferring a fresh entry from either tier
+     * @param {string} key - Cache key
+     * @returns {Promise<{value: *, stale: boolean, timestamp: number}|null>}
+     */
+    async getEntry(key) {
+        const memoryEntry = this.memory.getEntry(key);
+        if (memoryEntry && !memoryEntry.stale) {
+            return memoryEntry;
+        }
+
+        // L1 is short-lived, L2 may still hold a fresh copy
+        const persistedEntry = await this.persistent.getEntry(key);
+        if (persistedEntry && !persistedEntry.stale) {
+            this.memory.set(key, persistedEntry.value);
+            return persistedEntry;
+        }
+
+        if (memoryEntry && persistedEntry) {
+            return memoryEntry.timestamp >= persistedEntry.timestamp ? memoryEntry : persistedEntry;
+        }
+        return memoryEntry || persistedEntry;
+    }
+
+    /**
+     * Set value in both tiers
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {number} ttlMs - Time to live for this entry (defaults to each tier's TTL)
+     */
+    async set(key, value, ttlMs) {
+        this.memory.set(key, value, ttlMs);
+        await this.persistent.set(key, value, ttlMs);
+    }
+
+    /**
+     * Delete specific key from both tiers
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        this.memory.delete(key);
+        await this.persistent.delete(key);
+    }
+
+    /**
+     * Delete every key starting with a prefix from both tiers
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<number>} Number of entries deleted (the larger tier's count)
+     */
+    async deleteByPrefix(prefix) {
+        const memoryCount = this.memory.deleteByPrefix(prefix);
+        const persistentCount = await this.persistent.deleteByPrefix(prefix);
+        return Math.max(memoryCount, persistentCount);
+    }
+
+    /**
+     * Clear both tiers
+     */
+    async clear() {
+        this.memory.clear();
+        await this.persistent.clear();
+    }
+
+    /**
+     * Get statistics for both tiers
+     * @returns {Promise<{memory: Object, persistent: Object|null}>}
+     */
+    async getStats() {
+        return {
+            memory: this.memory.getStats(),
+            persistent: await this.persistent.getStats()
+        };
+    }
+}
+
     // Export to window
     window.LRUCache = LRUCache;
+    window.TieredCache = TieredCache;
     window.apiCache = new LRUCache(
         CONFIG.CACHE_MAX_SIZE,
         CONFIG.CACHE_TTL_MINUTES
     );
+    window.ratingCache = new TieredCache(window.apiCache, window.persistentCache);
 }
 
 // Create const references for backwards compatibility
 const LRUCache = window.LRUCache;
+const TieredCache = window.TieredCache;
 const apiCache = window.apiCache;
+const ratingCache = window.ratingCache;
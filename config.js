@@ -19,10 +19,12 @@ if (typeof window.CONFIG === 'undefined') {
     // Cache settings
     CACHE_MAX_SIZE: 100,
     CACHE_TTL_MINUTES: 60,
+    PERSISTENT_CACHE_MAX_ENTRIES: 1000, // Stays well inside chrome.storage.local quota
+    PERSISTENT_CACHE_TTL_MINUTES: 7 * 24 * 60, // Ratings change slowly
+    NEGATIVE_CACHE_TTL_MINUTES: 24 * 60, // OMDb "not found" answers - titles get added over time
 
     // Rate limiting
-    MAX_REQUESTS_PER_HOUR: 100,
-    RATE_LIMIT_WINDOW_MS: 60 * 60 * 1000,
+    OMDB_DAILY_QUOTA: 1000, // Free tier: 1,000 requests per key per day, reset at UTC midnight
 
     // Retry logic
     MAX_RETRY_ATTEMPTS: 3,
@@ -35,9 +37,32 @@ if (typeof window.CONFIG === 'undefined') {
     OMDB_TEST_MOVIE: 'Inception',
     OMDB_TEST_YEAR: '2010',
 
+    // Title search matching
+    MATCH_CONFIDENCE_THRESHOLD: 0.75, // Below this the search button is shown instead of a guess
+    MATCH_DETAIL_CANDIDATES: 3, // Top candidates fetched in full to compare runtime/director
+    MATCH_LOW_CONFIDENCE_THRESHOLD: 0.9, // Title-search matches below this are flagged on the badge
+
     // Plex API configuration
     PLEX_API_TIMEOUT_MS: 5000, // Faster timeout for local server
+    PLEX_CONNECTION_PROBE_TIMEOUT_MS: 3000, // Per connection when racing a server's connections
     PLEX_DEFAULT_URL: '', // Empty by default - user must configure
+    PLEX_WRITEBACK_UNDO_RUNS: 20, // Writeback runs kept in the undo log
+    PLEX_WRITEBACK_PREVIEW_ROWS: 10, // Changes listed in the popup preview
+
+    // Sign in with Plex (PIN flow) - set "plexTvBaseUrl" in storage.local to a local mock (dev/mock-plex.js) to test without an account
+    PLEX_TV_BASE_URL: 'https://plex.tv',
+    PLEX_AUTH_APP_URL: 'https://app.plex.tv/auth', // Page where the user approves the PIN
+    PLEX_PRODUCT_NAME: 'Plex IMDb Enhancer', // Shown by Plex in the account's authorized devices
+    PLEX_PIN_POLL_MS: 2000,
+
+    // Library poster overlay
+    POSTER_OVERLAY_ROOT_MARGIN: '200px', // Start resolving slightly before cards scroll into view
+    POSTER_OVERLAY_RESERVED_REQUESTS: 10, // Daily quota requests kept free for details pages
+    POSTER_OVERLAY_SCAN_DEBOUNCE_MS: 250,
+
+    // Library sweep and export (popup)
+    LIBRARY_SWEEP_DELAY_MS: 500, // Pause between items that had to ask OMDb
+    LIBRARY_EXPORT_SAVE_EVERY: 25, // Rows built between saves of an export's progress (the rows are saved with it)
 
     // Selectors - using data-testid for stability
     SELECTORS: {
@@ -45,9 +70,22 @@ if (typeof window.CONFIG === 'undefined') {
         METADATA_RATINGS: '[data-testid="metadata-ratings"]',
         METADATA_LINE1: '[data-testid="metadata-line1"]',
         METADATA_LINE2: '[data-testid="metadata-line2"]',
+        RATING_STRIP: '.imdb-rating-strip',
         IMDB_LINK: '.imdb-rating-link',
         IMDB_LOADING: '.imdb-loading-badge',
-        IMDB_ERROR: '.imdb-error-badge'
+        IMDB_ERROR: '.imdb-error-badge',
+        POSTER_CARD: '[data-testid="cellItem"]',
+        POSTER_CARD_LINK: 'a[href*="%2Flibrary%2Fmetadata%2F"], a[href*="/library/metadata/"]',
+        POSTER_BADGE: '.imdb-poster-badge',
+        SEASON_HEATMAP: '.imdb-season-heatmap',
+        MATCH_MENU: '.imdb-match-menu'
+    },
+
+    // Rating sources shown in the rating strip (user can toggle in popup)
+    DEFAULT_RATING_SOURCES: {
+        imdb: true,
+        rottenTomatoes: true,
+        metacritic: true
     },
 
     // Validation patterns
@@ -75,6 +113,7 @@ if (typeof window.CONFIG === 'undefined') {
     // Make config immutable
     Object.freeze(window.CONFIG);
     Object.freeze(window.CONFIG.SELECTORS);
+    Object.freeze(window.CONFIG.DEFAULT_RATING_SOURCES);
     Object.freeze(window.CONFIG.PATTERNS);
     Object.freeze(window.CONFIG.FEATURES);
 }
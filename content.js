@@ -79,6 +79,270 @@ const styles = `
         margin-left: 1px;
     }
 
+    .imdb-rating-strip {
+        display: inline-flex;
+        align-items: center;
+        vertical-align: middle;
+    }
+
+    .imdb-match-menu {
+        position: relative;
+        display: inline-flex;
+        margin-left: 4px;
+    }
+
+    .imdb-match-menu-button {
+        background: none;
+        border: none;
+        color: #aaa;
+        font-size: 16px;
+        line-height: 1;
+        padding: 2px 4px;
+        cursor: pointer;
+    }
+
+    .imdb-match-menu-button:hover {
+        color: #f5c518;
+    }
+
+    .imdb-match-panel {
+        position: absolute;
+        top: 100%;
+        left: 0;
+        z-index: 1000;
+        width: 280px;
+        margin-top: 4px;
+        padding: 8px;
+        background: #282828;
+        border: 1px solid #555;
+        border-radius: 6px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.6);
+        color: #eee;
+        font-size: 12px;
+    }
+
+    .imdb-match-action {
+        display: block;
+        width: 100%;
+        padding: 6px 8px;
+        background: none;
+        border: none;
+        border-radius: 4px;
+        color: inherit;
+        text-align: left;
+        font-size: 12px;
+        cursor: pointer;
+    }
+
+    .imdb-match-action:hover {
+        background: #3a3a3a;
+    }
+
+    .imdb-match-row {
+        display: flex;
+        gap: 4px;
+        margin-top: 6px;
+    }
+
+    .imdb-match-row .imdb-match-action {
+        width: auto;
+        background: #f5c518;
+        color: #000;
+        font-weight: bold;
+    }
+
+    .imdb-match-input {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 6px;
+        background: #1a1a1a;
+        border: 1px solid #555;
+        border-radius: 4px;
+        color: #eee;
+        font-size: 12px;
+    }
+
+    .imdb-match-current,
+    .imdb-match-status {
+        color: #aaa;
+        margin: 2px 0;
+    }
+
+    .imdb-match-results {
+        max-height: 200px;
+        overflow-y: auto;
+    }
+
+    .imdb-match-candidate.current {
+        color: #f5c518;
+    }
+
+    .source-rating-link {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        padding: 2px 8px;
+        margin-left: 8px;
+        background: #1a1a1a;
+        color: #fff !important;
+        border-radius: 4px;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 12px;
+        text-decoration: none !important;
+        transition: all 0.2s ease;
+        box-shadow: 0 1px 2px rgba(0,0,0,0.2);
+        border: 1px solid #555;
+        height: 24px;
+        vertical-align: middle;
+    }
+
+    .source-rating-link:hover {
+        border-color: #f5c518;
+        transform: translateY(-1px);
+    }
+
+    .source-logo {
+        padding: 0 4px;
+        height: 16px;
+        color: #fff;
+        font-weight: bold;
+        font-size: 10px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 2px;
+        font-family: Arial, sans-serif;
+    }
+
+    .rt-rating-link .source-logo {
+        background-color: #fa320a;
+    }
+
+    .mc-rating-link .source-logo {
+        background-color: #000;
+        border: 1px solid #fff;
+    }
+
+    .source-rating-value {
+        font-size: 13px;
+        font-weight: bold;
+    }
+
+    .mc-rating-link.score-high .source-rating-value { color: #66cc33; }
+    .mc-rating-link.score-mixed .source-rating-value { color: #ffcc33; }
+    .mc-rating-link.score-low .source-rating-value { color: #ff0000; }
+
+    .imdb-poster-badge {
+        position: absolute;
+        top: 4px;
+        right: 4px;
+        z-index: 2;
+        padding: 1px 5px;
+        background: #f5c518;
+        color: #000;
+        border-radius: 3px;
+        font-family: Arial, sans-serif;
+        font-size: 11px;
+        font-weight: bold;
+        line-height: 16px;
+        box-shadow: 0 1px 3px rgba(0,0,0,0.5);
+        pointer-events: none;
+    }
+
+    .imdb-refreshing {
+        display: inline-block;
+        margin-left: 4px;
+        font-size: 12px;
+        color: #aaa;
+        vertical-align: middle;
+        cursor: help;
+        animation: imdb-refreshing-spin 1.2s linear infinite;
+    }
+
+    @keyframes imdb-refreshing-spin {
+        to { transform: rotate(360deg); }
+    }
+
+    .imdb-rating-link.imdb-low-confidence {
+        outline: 1px dashed rgba(0,0,0,0.45);
+        outline-offset: -3px;
+        opacity: 0.85;
+    }
+
+    .imdb-match-hint {
+        font-size: 11px;
+        font-weight: 700;
+        color: #333;
+        margin-left: 3px;
+        cursor: help;
+    }
+
+    .imdb-series-rating {
+        font-size: 11px;
+        font-weight: 600;
+        color: #333;
+        margin-left: 4px;
+        padding-left: 6px;
+        border-left: 1px solid rgba(0,0,0,0.3);
+    }
+
+    .imdb-season-heatmap {
+        margin: 12px 0;
+        color: #eee;
+        font-family: inherit;
+        font-size: 13px;
+    }
+
+    .imdb-season-heatmap summary {
+        cursor: pointer;
+        font-weight: 600;
+        color: #f5c518;
+        margin-bottom: 8px;
+        user-select: none;
+    }
+
+    .imdb-heatmap-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(56px, 1fr));
+        gap: 4px;
+        max-width: 640px;
+    }
+
+    .imdb-heatmap-cell {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        padding: 4px 2px;
+        border-radius: 4px;
+        color: #000 !important;
+        text-decoration: none !important;
+        font-size: 11px;
+        line-height: 1.3;
+        transition: transform 0.15s ease;
+    }
+
+    a.imdb-heatmap-cell:hover {
+        transform: scale(1.08);
+    }
+
+    .imdb-heatmap-cell.not-in-library {
+        opacity: 0.5;
+        cursor: default;
+    }
+
+    .imdb-heatmap-rating {
+        font-size: 13px;
+        font-weight: bold;
+    }
+
+    .imdb-heatmap-cell.rating-great { background: #1b8a3a; color: #fff !important; }
+    .imdb-heatmap-cell.rating-good { background: #4caf50; }
+    .imdb-heatmap-cell.rating-regular { background: #c0ca33; }
+    .imdb-heatmap-cell.rating-mixed { background: #fbc02d; }
+    .imdb-heatmap-cell.rating-bad { background: #e53935; color: #fff !important; }
+    .imdb-heatmap-cell.rating-none { background: #555; color: #ccc !important; }
+
     .imdb-loading-badge {
         display: inline-flex;
         align-items: center;
@@ -96,6 +360,26 @@ const styles = `
         cursor: help;
         font-size: 16px;
     }
+
+    .imdb-offline-marker {
+        display: inline-block;
+        margin-left: 4px;
+        font-size: 12px;
+        color: #aaa;
+        vertical-align: middle;
+        cursor: help;
+    }
+
+    .imdb-quota-badge,
+    .imdb-offline-badge {
+        padding: 2px 8px;
+        height: 24px;
+        font-size: 12px;
+        font-weight: bold;
+        color: #aaa;
+        border: 1px dashed #666;
+        border-radius: 4px;
+    }
 `;
 
 // Inject styles (safe to do before DOM ready)
@@ -363,17 +647,19 @@ function extractIMDbIdFromStructuredData(data) {
  * Find IMDb ID for movie - Strict search (title + year only)
  * HIGH FIX #6: Uses caching via OMDBClient
  * @param {{title: string, year: string|null}} movieInfo
- * @returns {Promise<string|null>}
+ * @returns {Promise<{imdbId: string, source: string, confidence: number, matchedTitle: string|null, matchedYear: string|null}|null>}
  */
 async function findIMDbId(movieInfo) {
     // Use intelligent metadata resolver
     // Priority: Page DOM > Plex API > OMDb API
     try {
-        const imdbId = await metadataResolver.resolveIMDbId(movieInfo);
-        if (imdbId) {
-            return imdbId;
+        const match = await metadataResolver.resolveIMDbId(movieInfo);
+        if (match) {
+            return match;
         }
     } catch (error) {
+        // Out of quota or offline is shown as such, not as "not found"
+        if (OMDBClient.isQuotaError(error) || isOfflineFailure(error)) throw error;
         logger.error('Metadata resolution failed', { error: error.message, movieInfo });
     }
 
@@ -382,34 +668,141 @@ async function findIMDbId(movieInfo) {
 }
 
 /**
- * Get IMDb rating and votes
+ * Get ratings from every source OMDb reports
  * HIGH FIX #6: Uses caching via OMDBClient
+ * Expired cache entries are returned with stale=true and a revalidation promise
+ * Without OMDb (no key, out of quota, offline) the IMDb rating comes from the offline dataset, with datasetAsOf set
+ * offline=true marks last known data served while OMDb can't be reached
  * @param {string} imdbId
- * @returns {Promise<{rating: string|null, votes: string|null}>}
+ * @returns {Promise<{rating: string|null, votes: string|null, rottenTomatoes: string|null, metacritic: string|null, title: string|null, seriesRating: string|null, stale: boolean, offline: boolean, revalidation: Promise<object|null>|null, datasetAsOf?: number|null}>}
  */
 async function getIMDbRating(imdbId) {
     try {
-        const data = await omdbClient.getByIMDbId(imdbId);
+        const { data, stale, offline, revalidation } = await omdbClient.getEntryByIMDbId(imdbId);
 
         return {
-            rating: data.imdbRating !== 'N/A' ? data.imdbRating : null,
-            votes: data.imdbVotes !== 'N/A' ? data.imdbVotes : null
+            ...await extractRatings(data),
+            stale,
+            offline,
+            revalidation: revalidation
+                ? revalidation.then(fresh => (fresh ? extractRatings(fresh) : null))
+                : null
         };
     } catch (error) {
+        if (OMDBClient.isUnavailable(error)) {
+            const datasetRating = await getDatasetRating(imdbId);
+            if (datasetRating) {
+                return { ...datasetRating, offline: OMDBClient.isOfflineError(error) };
+            }
+        }
+
+        if (OMDBClient.isQuotaError(error) || isOfflineFailure(error)) throw error;
         logger.error('Failed to get IMDb rating', { error: error.message, imdbId });
-        return { rating: null, votes: null };
+        return {
+            rating: null, votes: null, rottenTomatoes: null, metacritic: null, title: null, seriesRating: null,
+            stale: false, offline: false, revalidation: null
+        };
     }
 }
 
+/**
+ * Get the IMDb rating from the offline dataset
+ * @param {string} imdbId
+ * @returns {Promise<object|null>} Same shape as getIMDbRating(), or null if the dataset has no rating
+ */
+async function getDatasetRating(imdbId) {
+    try {
+        const entry = await imdbDataset.getRating(imdbId);
+        if (!entry) return null;
+
+        logger.info('Rating served from IMDb dataset', { imdbId, asOf: entry.asOf });
+        return {
+            rating: String(entry.rating),
+            votes: Number(entry.votes).toLocaleString('en-US'),
+            rottenTomatoes: null,
+            metacritic: null,
+            title: entry.title,
+            seriesRating: null,
+            stale: false,
+            offline: false,
+            revalidation: null,
+            datasetAsOf: entry.asOf
+        };
+    } catch (error) {
+        logger.debug('IMDb dataset lookup failed', { error: error.message, imdbId });
+        return null;
+    }
+}
+
+/**
+ * Pick the displayed ratings out of an OMDb payload
+ * @param {object} data - OMDb response
+ * @returns {Promise<{rating: string|null, votes: string|null, rottenTomatoes: string|null, metacritic: string|null, title: string|null, seriesRating: string|null}>}
+ */
+async function extractRatings(data) {
+    return {
+        rating: data.imdbRating !== 'N/A' ? data.imdbRating : null,
+        votes: data.imdbVotes !== 'N/A' ? data.imdbVotes : null,
+        rottenTomatoes: findSourceRating(data.Ratings, 'Rotten Tomatoes'),
+        metacritic: data.Metascore && data.Metascore !== 'N/A'
+            ? data.Metascore
+            : findSourceRating(data.Ratings, 'Metacritic'),
+        title: data.Title || null,
+        seriesRating: data.Type === 'episode' ? await getSeriesRating(data.seriesID) : null
+    };
+}
+
+/**
+ * Get the series rating for an episode
+ * @param {string|undefined} seriesId - Series IMDb ID from the episode payload
+ * @returns {Promise<string|null>}
+ */
+async function getSeriesRating(seriesId) {
+    if (!seriesId || !CONFIG.PATTERNS.IMDB_ID.test(seriesId)) return null;
+
+    try {
+        const series = await omdbClient.getByIMDbId(seriesId);
+        return series.imdbRating !== 'N/A' ? series.imdbRating : null;
+    } catch (error) {
+        logger.warn('Failed to get series rating', { error: error.message, seriesId });
+        return null;
+    }
+}
+
+/**
+ * Find a rating value in OMDb's Ratings array
+ * @param {Array<{Source: string, Value: string}>|undefined} ratings - OMDb Ratings array
+ * @param {string} source - Source name as reported by OMDb
+ * @returns {string|null} Raw value (e.g. "87%", "74/100")
+ */
+function findSourceRating(ratings, source) {
+    if (!Array.isArray(ratings)) return null;
+
+    const entry = ratings.find(r => r && r.Source === source);
+    return entry && entry.Value && entry.Value !== 'N/A' ? entry.Value : null;
+}
+
+/**
+ * Load enabled rating sources from storage
+ * @returns {Promise<{imdb: boolean, rottenTomatoes: boolean, metacritic: boolean}>}
+ */
+async function getEnabledRatingSources() {
+    const result = await storageUtils.get(['ratingSources'], { ratingSources: null });
+    return { ...CONFIG.DEFAULT_RATING_SOURCES, ...(result.ratingSources || {}) };
+}
+
 /**
  * Create sanitized IMDb link element
  * CRITICAL FIX #3: XSS protection with input validation
  * @param {string} imdbId - IMDb ID (validated format)
  * @param {string|null} rating - Rating value
  * @param {string|null} votes - Vote count
+ * @param {string|null} seriesRating - Series rating when imdbId is an episode
+ * @param {Object|null} match - Resolver result, shown as provenance in the tooltip
+ * @param {number|null} datasetAsOf - Dataset date when the rating came from the offline IMDb dataset
  * @returns {HTMLAnchorElement}
  */
-function createIMDbLink(imdbId, rating, votes) {
+function createIMDbLink(imdbId, rating, votes, seriesRating = null, match = null, datasetAsOf = null) {
     // CRITICAL: Validate IMDb ID format (XSS protection)
     if (!CONFIG.PATTERNS.IMDB_ID.test(imdbId)) {
         logger.error('Invalid IMDb ID format', { imdbId });
@@ -443,6 +836,16 @@ function createIMDbLink(imdbId, rating, votes) {
         }
     }
 
+    // Episodes also show the series rating
+    const sanitizedSeriesRating = parseFloat(seriesRating);
+    const hasSeriesRating = !isNaN(sanitizedSeriesRating) && sanitizedSeriesRating >= 0 && sanitizedSeriesRating <= 10;
+    if (hasSeriesRating) {
+        const seriesSpan = document.createElement('span');
+        seriesSpan.className = 'imdb-series-rating';
+        seriesSpan.textContent = `Series ${sanitizedSeriesRating.toFixed(1)}`;
+        link.appendChild(seriesSpan);
+    }
+
     // Sanitize votes - remove HTML, only keep numbers and commas
     if (votes) {
         const sanitizedVotes = votes.replace(/[^\d,]/g, '');
@@ -452,9 +855,210 @@ function createIMDbLink(imdbId, rating, votes) {
         link.title = 'Click to open on IMDb';
     }
 
+    if (hasSeriesRating) {
+        link.title = `${link.title}\nSeries: ${sanitizedSeriesRating.toFixed(1)}/10`;
+    }
+
+    if (datasetAsOf) {
+        link.title = `${link.title}\nIMDb dataset as of ${new Date(datasetAsOf).toLocaleDateString()}`;
+    }
+
+    if (match) {
+        link.title = `${link.title}\n${describeMatch(match)}`;
+
+        if (MetadataResolver.isTitleSearch(match) && match.confidence < CONFIG.MATCH_LOW_CONFIDENCE_THRESHOLD) {
+            link.classList.add('imdb-low-confidence');
+
+            const hint = document.createElement('span');
+            hint.className = 'imdb-match-hint';
+            hint.textContent = '?';
+            link.appendChild(hint);
+        }
+    }
+
+    return link;
+}
+
+/**
+ * Describe how an IMDb ID was matched, for tooltips
+ * SECURITY: Only used as title text (never as HTML)
+ * @param {Object} match - Resolver result
+ * @returns {string}
+ */
+function describeMatch(match) {
+    switch (match.source) {
+        case MetadataResolver.SOURCES.OVERRIDE:
+            return 'Matched manually';
+        case MetadataResolver.SOURCES.PAGE:
+            return 'Matched via IMDb link on the page';
+        case MetadataResolver.SOURCES.PLEX:
+            return 'Matched via Plex metadata';
+        default: {
+            const matched = match.matchedTitle
+                ? ` as "${String(match.matchedTitle).substring(0, 200)}"${match.matchedYear ? ` (${String(match.matchedYear).substring(0, 20)})` : ''}`
+                : '';
+            return `Guessed by title search${matched} - ${Math.round(match.confidence * 100)}% confidence`;
+        }
+    }
+}
+
+/**
+ * Create a badge for a non-IMDb rating source
+ * SECURITY: Values are validated before they reach the DOM
+ * @param {string} className - Source-specific class (rt-rating-link, mc-rating-link)
+ * @param {string} logoText - Short source label
+ * @param {string} value - Display value (already validated)
+ * @param {string} url - Link target
+ * @param {string} tooltip - Tooltip text
+ * @returns {HTMLAnchorElement}
+ */
+function createSourceBadge(className, logoText, value, url, tooltip) {
+    const link = document.createElement('a');
+    link.className = `source-rating-link ${className}`;
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = tooltip;
+
+    const logo = document.createElement('div');
+    logo.className = 'source-logo';
+    logo.textContent = logoText;
+    link.appendChild(logo);
+
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'source-rating-value';
+    valueSpan.textContent = value;
+    link.appendChild(valueSpan);
+
     return link;
 }
 
+/**
+ * Create Rotten Tomatoes critics badge
+ * @param {string|null} value - OMDb value (e.g. "87%")
+ * @param {string} title - Movie title for the search link
+ * @returns {HTMLAnchorElement|null} Badge, or null if value is missing/invalid
+ */
+function createRottenTomatoesBadge(value, title) {
+    const match = value ? value.match(/^(\d{1,3})%$/) : null;
+    if (!match || parseInt(match[1], 10) > 100) return null;
+
+    const score = parseInt(match[1], 10);
+    return createSourceBadge(
+        'rt-rating-link',
+        score >= 60 ? '🍅 RT' : 'RT',
+        `${score}%`,
+        `https://www.rottentomatoes.com/search?search=${encodeURIComponent(title)}`,
+        `Rotten Tomatoes critics: ${score}%\nClick to search on Rotten Tomatoes`
+    );
+}
+
+/**
+ * Create Metacritic badge
+ * @param {string|null} value - OMDb value (e.g. "74" or "74/100")
+ * @param {string} title - Movie title for the search link
+ * @returns {HTMLAnchorElement|null} Badge, or null if value is missing/invalid
+ */
+function createMetacriticBadge(value, title) {
+    const match = value ? value.match(/^(\d{1,3})(?:\/100)?$/) : null;
+    if (!match || parseInt(match[1], 10) > 100) return null;
+
+    const score = parseInt(match[1], 10);
+    const badge = createSourceBadge(
+        'mc-rating-link',
+        'MC',
+        String(score),
+        `https://www.metacritic.com/search/${encodeURIComponent(title)}/`,
+        `Metascore: ${score}/100\nClick to search on Metacritic`
+    );
+
+    // Metacritic colour bands
+    badge.classList.add(score >= 61 ? 'score-high' : score >= 40 ? 'score-mixed' : 'score-low');
+    return badge;
+}
+
+/**
+ * Create rating strip with one badge per enabled source
+ * @param {string} imdbId - IMDb ID (validated format)
+ * @param {object} ratings - Result of getIMDbRating()
+ * @param {{imdb: boolean, rottenTomatoes: boolean, metacritic: boolean}} sources - Enabled sources
+ * @param {string} fallbackTitle - Title to use for search links if OMDb returned none
+ * @param {Object|null} match - Resolver result for the IMDb badge tooltip
+ * @returns {HTMLSpanElement}
+ */
+function createRatingStrip(imdbId, ratings, sources, fallbackTitle, match = null) {
+    const strip = document.createElement('span');
+    strip.className = 'imdb-rating-strip';
+
+    if (sources.imdb) {
+        strip.appendChild(createIMDbLink(imdbId, ratings.rating, ratings.votes, ratings.seriesRating, match, ratings.datasetAsOf));
+    }
+
+    const title = ratings.title || fallbackTitle;
+
+    if (sources.rottenTomatoes) {
+        const badge = createRottenTomatoesBadge(ratings.rottenTomatoes, title);
+        if (badge) strip.appendChild(badge);
+    }
+
+    if (sources.metacritic) {
+        const badge = createMetacriticBadge(ratings.metacritic, title);
+        if (badge) strip.appendChild(badge);
+    }
+
+    return strip;
+}
+
+/**
+ * Show a stale rating strip as refreshing and swap in fresh ratings once revalidated
+ * @param {HTMLElement} strip - Rendered rating strip
+ * @param {string} imdbId - IMDb ID (validated format)
+ * @param {object} ratings - Stale result of getIMDbRating()
+ * @param {{imdb: boolean, rottenTomatoes: boolean, metacritic: boolean}} sources - Enabled sources
+ * @param {string} fallbackTitle - Title to use for search links if OMDb returned none
+ * @param {Object|null} match - Resolver result for the IMDb badge tooltip
+ */
+async function refreshStaleRatingStrip(strip, imdbId, ratings, sources, fallbackTitle, match = null) {
+    const marker = document.createElement('span');
+    marker.className = 'imdb-refreshing';
+    marker.textContent = '↻';
+    marker.title = 'Cached rating - refreshing';
+    strip.appendChild(marker);
+
+    const fresh = await ratings.revalidation;
+    marker.remove();
+
+    // Page may have changed while we were fetching
+    if (!document.body.contains(strip)) return;
+
+    if (!fresh) {
+        // Connection dropped during the refresh - keep the cached rating and try again later
+        if (CONFIG.FEATURES.ENABLE_OFFLINE_FALLBACK && navigator.onLine === false) {
+            strip.appendChild(createOfflineMarker());
+            queueOfflineRetry();
+        }
+        return;
+    }
+
+    const changed = ['rating', 'votes', 'rottenTomatoes', 'metacritic', 'seriesRating']
+        .some(field => fresh[field] !== ratings[field]);
+
+    if (changed) {
+        const freshStrip = createRatingStrip(imdbId, fresh, sources, fallbackTitle, match);
+
+        // Keep the match menu (and its listeners) on the new strip
+        const menu = strip.querySelector(CONFIG.SELECTORS.MATCH_MENU);
+        if (menu) freshStrip.appendChild(menu);
+
+        strip.replaceWith(freshStrip);
+        logger.info('Rating updated after revalidation', {
+            imdbId,
+            from: ratings.rating,
+            to: fresh.rating
+        });
+    }
+}
+
 /**
  * Create loading indicator
  * LOW FIX #17: User feedback during loading
@@ -497,6 +1101,83 @@ function createErrorBadge(message) {
     return badge;
 }
 
+/**
+ * Create badge shown when the daily OMDb quota is used up
+ * @param {string} message - Quota error message (includes reset time)
+ * @returns {HTMLSpanElement}
+ */
+function createQuotaBadge(message) {
+    const badge = document.createElement('span');
+    badge.className = 'imdb-error-badge imdb-quota-badge';
+    badge.textContent = '⏳ IMDb';
+    badge.title = `${message}\nRatings show up again after the reset`;
+    return badge;
+}
+
+/**
+ * Create badge shown when OMDb can't be reached and nothing is cached
+ * @returns {HTMLSpanElement}
+ */
+function createOfflineBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'imdb-error-badge imdb-offline-badge';
+    badge.textContent = '📴 IMDb';
+    badge.title = 'Offline - no saved rating for this title\nRetrying when the connection is back';
+    return badge;
+}
+
+/**
+ * Create marker for a rating strip showing last known (offline) data
+ * @returns {HTMLSpanElement}
+ */
+function createOfflineMarker() {
+    const marker = document.createElement('span');
+    marker.className = 'imdb-offline-marker';
+    marker.textContent = '📴';
+    marker.title = 'Offline - showing the last known rating\nUpdates when the connection is back';
+    return marker;
+}
+
+/**
+ * Check if an error should be reported as "offline" rather than a generic failure
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isOfflineFailure(error) {
+    return CONFIG.FEATURES.ENABLE_OFFLINE_FALLBACK && OMDBClient.isOfflineError(error);
+}
+
+/**
+ * Page whose lookup failed or was served offline, retried when connectivity returns
+ * @type {string|null}
+ */
+let offlineRetryUrl = null;
+
+/**
+ * Queue the current page's lookup for retry once the browser is back online
+ */
+function queueOfflineRetry() {
+    offlineRetryUrl = location.href;
+    logger.info('Lookup queued until back online', { url: offlineRetryUrl });
+}
+
+/**
+ * Retry the queued lookup if we're still on that page
+ */
+function retryOfflineLookup() {
+    if (!offlineRetryUrl) return;
+
+    const queuedUrl = offlineRetryUrl;
+    offlineRetryUrl = null;
+
+    if (queuedUrl === location.href) {
+        logger.info('Back online - retrying IMDb lookup');
+        rerenderIMDbLink();
+    }
+}
+
+window.addEventListener('online', retryOfflineLookup);
+
 /**
  * Create search button for when IMDb ID not found
  * @param {{title: string, year: string|null}} movieInfo - Movie information
@@ -505,7 +1186,7 @@ function createErrorBadge(message) {
 function createSearchButton(movieInfo) {
     const link = document.createElement('a');
     link.className = 'imdb-search-button';
-    link.href = `https://www.imdb.com/find?q=${encodeURIComponent(movieInfo.title)}${movieInfo.year ? '+' + movieInfo.year : ''}`;
+    link.href = URLUtils.imdbSearchUrl(movieInfo.title, movieInfo.year);
     link.target = '_blank';
     link.rel = 'noopener noreferrer';
     link.title = `Search for "${movieInfo.title}" on IMDb`;
@@ -575,7 +1256,7 @@ async function addIMDbLink() {
             return;
         }
 
-        if (ratingContainer.querySelector(CONFIG.SELECTORS.IMDB_LINK)) {
+        if (ratingContainer.querySelector(CONFIG.SELECTORS.RATING_STRIP)) {
             logger.debug('IMDb link already exists');
             return;
         }
@@ -599,18 +1280,22 @@ async function addIMDbLink() {
         logger.info('Movie info extracted', movieInfo);
 
         // Find IMDb ID
-        const imdbId = await findIMDbId(movieInfo);
-        if (!imdbId) {
+        const match = await findIMDbId(movieInfo);
+        if (!match) {
             logger.warn('IMDb ID not found - showing search button', { movieInfo });
             loadingBadge?.remove();
             ratingContainer.appendChild(createSearchButton(movieInfo));
             return;
         }
 
-        logger.info('IMDb ID found', { imdbId });
+        const { imdbId } = match;
+        logger.info('IMDb ID found', { imdbId, source: match.source, confidence: match.confidence });
 
-        // Get IMDb rating
-        const imdbData = await getIMDbRating(imdbId);
+        // Get ratings for all sources
+        const [imdbData, sources] = await Promise.all([
+            getIMDbRating(imdbId),
+            getEnabledRatingSources()
+        ]);
 
         // Replace loading badge with actual link
         loadingBadge?.remove();
@@ -626,20 +1311,43 @@ async function addIMDbLink() {
             logger.warn('Rating container is hidden, may not be the right element');
         }
 
-        const imdbLink = createIMDbLink(imdbId, imdbData.rating, imdbData.votes);
+        const ratingStrip = createRatingStrip(imdbId, imdbData, sources, movieInfo.title, match);
 
         // Verify we're not duplicating (extra safety)
-        if (!ratingContainer.querySelector(CONFIG.SELECTORS.IMDB_LINK)) {
-            ratingContainer.appendChild(imdbLink);
+        if (!ratingContainer.querySelector(CONFIG.SELECTORS.RATING_STRIP)) {
+            ratingContainer.appendChild(ratingStrip);
             logger.info('IMDb link added successfully', {
                 imdbId,
                 rating: imdbData.rating,
-                title: movieInfo.title
+                rottenTomatoes: imdbData.rottenTomatoes,
+                metacritic: imdbData.metacritic,
+                title: movieInfo.title,
+                stale: imdbData.stale
             });
+
+            await matchMenu.attach(ratingStrip, {
+                imdbId,
+                serverId: plexClient.extractServerId(location.href),
+                ratingKey: plexClient.extractRatingKey(location.href),
+                title: movieInfo.title,
+                match
+            }, rerenderIMDbLink);
+
+            // Don't hold up the page on the refresh
+            if (imdbData.revalidation) {
+                refreshStaleRatingStrip(ratingStrip, imdbId, imdbData, sources, movieInfo.title, match);
+            }
+
+            if (imdbData.offline) {
+                ratingStrip.appendChild(createOfflineMarker());
+                queueOfflineRetry();
+            }
         } else {
             logger.debug('IMDb link already exists, skipping');
         }
 
+        await addSeasonHeatmap(imdbId, ratingContainer);
+
     } catch (error) {
         logger.error('Error in addIMDbLink', {
             error: error.message,
@@ -652,7 +1360,14 @@ async function addIMDbLink() {
         // Show error badge
         const ratingContainer = document.querySelector(CONFIG.SELECTORS.METADATA_RATINGS);
         if (ratingContainer && !ratingContainer.querySelector(CONFIG.SELECTORS.IMDB_ERROR)) {
-            ratingContainer.appendChild(createErrorBadge('Error loading IMDb data'));
+            if (OMDBClient.isQuotaError(error)) {
+                ratingContainer.appendChild(createQuotaBadge(error.message));
+            } else if (isOfflineFailure(error)) {
+                ratingContainer.appendChild(createOfflineBadge());
+                queueOfflineRetry();
+            } else {
+                ratingContainer.appendChild(createErrorBadge('Error loading IMDb data'));
+            }
         }
     } finally {
         isProcessing = false;
@@ -660,6 +1375,46 @@ async function addIMDbLink() {
     }
 }
 
+/**
+ * Drop the current rating strip and resolve again (after a match override changed or coming back online)
+ */
+async function rerenderIMDbLink() {
+    document.querySelector(CONFIG.SELECTORS.RATING_STRIP)?.remove();
+    document.querySelector(CONFIG.SELECTORS.IMDB_ERROR)?.remove();
+    document.querySelector(CONFIG.SELECTORS.SEASON_HEATMAP)?.remove();
+    await addIMDbLink();
+}
+
+/**
+ * Add episode ratings heatmap when on a season page
+ * Requires Plex API for the season's episode list
+ * @param {string} seriesId - Series IMDb ID (seasons resolve to their series)
+ * @param {Element} ratingContainer - Ratings container on the page
+ */
+async function addSeasonHeatmap(seriesId, ratingContainer) {
+    if (!plexClient.isAvailable()) {
+        return;
+    }
+
+    try {
+        const plexData = await plexClient.getIMDbDataFromPage();
+        const terms = plexData?.searchTerms;
+
+        if (terms?.type !== 'season' || terms.season === null || !plexData.metadata?.ratingKey) {
+            return;
+        }
+
+        const anchor = document.querySelector(CONFIG.SELECTORS.METADATA_LINE2) || ratingContainer;
+        await seasonHeatmap.render(anchor, {
+            seriesId,
+            season: terms.season,
+            ratingKey: plexData.metadata.ratingKey
+        });
+    } catch (error) {
+        logger.warn('Failed to add season heatmap', { error: error.message, seriesId });
+    }
+}
+
 /**
  * Handle URL change
  */
@@ -668,6 +1423,7 @@ async function onUrlChange() {
 
     if (isMovieDetailsPage()) {
         logger.info('Movie details page detected');
+        posterOverlay.stop();
 
         try {
             await waitForElements();
@@ -680,6 +1436,20 @@ async function onUrlChange() {
         }
     } else {
         logger.debug('Not a movie details page');
+        await updatePosterOverlay();
+    }
+}
+
+/**
+ * Start or stop the library poster overlay based on user setting
+ */
+async function updatePosterOverlay() {
+    const result = await storageUtils.get(['posterOverlayEnabled'], { posterOverlayEnabled: false });
+
+    if (result.posterOverlayEnabled) {
+        posterOverlay.start();
+    } else {
+        posterOverlay.stop();
     }
 }
 
@@ -700,12 +1470,24 @@ function cleanup() {
         elementObserver = null;
     }
 
+    posterOverlay.stop();
+    matchMenu.close();
+    window.removeEventListener('online', retryOfflineLookup);
+
     isProcessing = false;
 }
 
 // Register cleanup handler
 window.addEventListener('unload', cleanup);
 
+// Readiness handshake: the background pings open Plex tabs before injecting, so a document
+// that already runs this script is never injected twice
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type === 'contentScriptPing' && sender.id === chrome.runtime.id) {
+        sendResponse({ ready: true });
+    }
+});
+
 /**
  * Main initialization function with dependency and DOM readiness checks
  * HIGH FIX #6: Prevent race conditions in initialization
@@ -715,9 +1497,13 @@ function initialize() {
     const dependencies = {
         logger: window.logger,
         CONFIG: window.CONFIG,
-        apiCache: window.apiCache,
-        rateLimiter: window.rateLimiter,
-        metadataResolver: window.metadataResolver
+        requestBroker: window.requestBroker,
+        metadataResolver: window.metadataResolver,
+        imdbDataset: window.imdbDataset,
+        posterOverlay: window.posterOverlay,
+        seasonHeatmap: window.seasonHeatmap,
+        matchMenu: window.matchMenu,
+        plexWriteback: window.plexWriteback
     };
 
     const missingDeps = Object.entries(dependencies)
@@ -737,11 +1523,11 @@ function initialize() {
     // Initialize URL observer
     initializeUrlObserver();
 
-    // Check if we're already on a movie page
+    // Handle the page we loaded on (details page or library grid)
     if (isMovieDetailsPage()) {
         logger.info('Initial load on movie details page');
-        onUrlChange();
     }
+    onUrlChange();
 
     logger.info('Content script initialized successfully');
 }
@@ -0,0 +1,84 @@
+/**
+ * Check: Sign in with Plex against dev/mock-plex.js
+ * PIN → approval → poll → resources → server picker → saved server profile
+ *
+ *   node dev/check-plex-auth.js
+ */
+
+const assert = require('assert');
+const { loadBackground, waitFor } = require('./extension-env');
+const { createMockPlex, SERVER_ID, SERVER_TOKEN, UNREACHABLE_URL } = require('./mock-plex');
+
+const FILES = [
+    'config.js', 'logger.js', 'storage-utils.js', 'url-utils.js', 'request-broker.js',
+    'plex-servers.js', 'plex-auth.js'
+];
+
+(async () => {
+    const mock = createMockPlex();
+    const baseUrl = await mock.listen();
+
+    try {
+        const background = loadBackground(FILES, { local: { plexTvBaseUrl: baseUrl } });
+        const { plexAuth, PlexAuth } = background;
+
+        const endpoints = await plexAuth.getEndpoints();
+        assert.strictEqual(endpoints.api, baseUrl, 'override is used for the API');
+
+        // 1. Create the PIN
+        const started = await plexAuth.start();
+        assert.strictEqual(started.status, PlexAuth.STATUS.PENDING);
+        const authUrl = new URL(started.authUrl);
+        assert.strictEqual(`${authUrl.origin}${authUrl.pathname}`, `${baseUrl}/auth`);
+        const code = new URLSearchParams(authUrl.hash.replace(/^#\??/, '')).get('code');
+        assert.ok(code, 'approval URL carries the PIN code');
+
+        // 2. Not approved yet
+        assert.strictEqual((await plexAuth.getStatus()).status, PlexAuth.STATUS.PENDING);
+
+        // 3. Approve on the mock's page, then the poll picks up the token and the servers
+        const approved = await fetch(`${baseUrl}/auth/approve?code=${encodeURIComponent(code)}`, { method: 'POST' });
+        assert.ok(approved.ok);
+
+        const signedIn = await waitFor(async () => {
+            const view = await plexAuth.getStatus();
+            return view.status === PlexAuth.STATUS.SIGNED_IN && view;
+        });
+        assert.deepStrictEqual([...signedIn.servers.map(server => server.machineIdentifier)], [SERVER_ID], 'players are left out');
+        assert.ok(!JSON.stringify(signedIn).includes(SERVER_TOKEN), 'status view carries no tokens');
+
+        // 4. Pick the server: the unreachable local connection is skipped
+        const chosen = await plexAuth.chooseServer(SERVER_ID);
+        assert.strictEqual(chosen.url, baseUrl);
+
+        const [profile] = await background.plexServers.list();
+        assert.strictEqual(profile.machineIdentifier, SERVER_ID);
+        assert.strictEqual(profile.token, SERVER_TOKEN);
+        assert.deepStrictEqual([...profile.connections], [baseUrl, UNREACHABLE_URL]); // copied out of the vm realm
+
+        // The sign-in ends with the chosen server, and no server token stays in local storage
+        const local = await background.chrome.storage.local.get(null);
+        assert.ok(!local.plexAuth, 'sign-in state cleared');
+        assert.ok(!JSON.stringify(local).includes(SERVER_TOKEN), 'no server token left behind');
+        assert.strictEqual((await plexAuth.getStatus()).status, PlexAuth.STATUS.IDLE);
+
+        // Every plex.tv call identifies the client
+        mock.state.requests
+            .filter(request => request.path.startsWith('/api/v2/'))
+            .forEach((request) => {
+                assert.ok(request.headers['x-plex-client-identifier'], `${request.path} has a client identifier`);
+                assert.strictEqual(request.headers['x-plex-product'], background.CONFIG.PLEX_PRODUCT_NAME);
+            });
+
+        // Only local addresses are accepted as override
+        await background.chrome.storage.local.set({ plexTvBaseUrl: 'https://plex.example.com' });
+        assert.strictEqual((await plexAuth.getEndpoints()).api, background.CONFIG.PLEX_TV_BASE_URL);
+
+        console.log('✅ Sign in with Plex: PIN, poll, resources and server picker work against the mock');
+    } finally {
+        await mock.close();
+    }
+})().catch((error) => {
+    console.error('❌', error);
+    process.exitCode = 1;
+});
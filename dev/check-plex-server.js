@@ -0,0 +1,88 @@
+/**
+ * Check: a Plex server at a custom address against dev/mock-plex.js
+ * Server profile → connection race (dead address skipped) → sections → metadata → resolver,
+ * and every manifest's connect-src lets the extension pages reach such an address
+ *
+ *   node dev/check-plex-server.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground } = require('./extension-env');
+const { createMockPlex, SERVER_ID, SERVER_TOKEN, UNREACHABLE_URL } = require('./mock-plex');
+
+const FILES = [
+    'config.js', 'logger.js', 'storage-utils.js', 'url-utils.js', 'persistent-cache.js', 'cache.js',
+    'rate-limiter.js', 'request-broker.js', 'guid-mapper.js', 'match-scorer.js', 'imdb-dataset.js',
+    'api-client.js', 'plex-servers.js', 'plex-api-client.js', 'match-overrides.js', 'metadata-resolver.js'
+];
+
+// Servers outside plex.direct: reverse proxy, LAN address
+const CUSTOM_SERVERS = ['https://plex.example.lan', 'http://192.168.1.10:32400'];
+
+/**
+ * Sources of a CSP directive
+ * @param {string} policy - Content security policy
+ * @param {string} name - Directive name
+ * @returns {string[]}
+ */
+function directive(policy, name) {
+    const found = policy.split(';').map(part => part.trim().split(/\s+/)).find(([key]) => key === name);
+    return found ? found.slice(1) : [];
+}
+
+(async () => {
+    ['manifest.json', 'manifest-firefox.json', 'manifest-chrome.json'].forEach((file) => {
+        const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+        const connectSrc = directive(manifest.content_security_policy.extension_pages, 'connect-src');
+
+        CUSTOM_SERVERS.forEach((url) => {
+            assert.ok(connectSrc.includes(new URL(url).protocol), `${file}: connect-src allows ${url}`);
+        });
+    });
+
+    const mock = createMockPlex();
+    const baseUrl = await mock.listen();
+
+    try {
+        // Saved as typed in the popup, plus a dead address that must lose the race
+        const background = loadBackground(FILES, {
+            sync: {
+                plexServers: [{
+                    name: 'Mock Server',
+                    url: UNREACHABLE_URL,
+                    token: SERVER_TOKEN,
+                    machineIdentifier: SERVER_ID,
+                    connections: [UNREACHABLE_URL, baseUrl]
+                }]
+            }
+        });
+        const { plexClient, metadataResolver } = background;
+
+        await plexClient.ready;
+        assert.ok(plexClient.isAvailable(SERVER_ID));
+
+        const sections = await plexClient.fetchSections();
+        assert.strictEqual(sections.length, 1);
+
+        const metadata = await plexClient.fetchMetadata('101', SERVER_ID);
+        assert.strictEqual(metadata.title, 'Heat');
+
+        const match = await metadataResolver.resolveForRatingKey('101');
+        assert.strictEqual(match.imdbId, 'tt0113277');
+        assert.strictEqual(match.source, background.MetadataResolver.SOURCES.PLEX);
+
+        // Requests carry the server token and went to the address that answers
+        const served = mock.state.requests.filter(request => request.path.startsWith('/library/'));
+        assert.ok(served.length > 0);
+        served.forEach(request => assert.strictEqual(request.headers['x-plex-token'], SERVER_TOKEN));
+
+        console.log('✅ Plex server at a custom address: connection race, sections, metadata and resolver work against the mock');
+    } finally {
+        await mock.close();
+    }
+})().catch((error) => {
+    console.error('❌', error);
+    process.exitCode = 1;
+});
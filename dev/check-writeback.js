@@ -0,0 +1,137 @@
+/**
+ * Check: writing IMDb ratings to Plex against dev/mock-plex.js
+ * Preview → apply (edit requests as Plex expects them) → undo, and an undo that fails stays in the log;
+ * manual match overrides are used, and running out of OMDb quota stops a run
+ *
+ *   node dev/check-writeback.js
+ */
+
+const assert = require('assert');
+const { loadBackground } = require('./extension-env');
+const { createMockPlex, SERVER_ID, SERVER_TOKEN } = require('./mock-plex');
+
+const FILES = [
+    'config.js', 'logger.js', 'storage-utils.js', 'url-utils.js', 'persistent-cache.js', 'cache.js',
+    'rate-limiter.js', 'request-broker.js', 'guid-mapper.js', 'match-scorer.js', 'imdb-dataset.js',
+    'api-client.js', 'plex-servers.js', 'plex-api-client.js', 'match-overrides.js', 'plex-writeback.js'
+];
+
+// IMDb ratings of the mock library (Heat, Ronin, Thief)
+const RATINGS = { tt0113277: 8.3, tt0122690: 7.2, tt0083190: 7.4 };
+
+/**
+ * Current audience rating and labels of the mock's items, comparable with writeback snapshots
+ * @param {Object} mock - From createMockPlex()
+ * @returns {Object<string, {audienceRating: number|null, labels: string[]}>}
+ */
+function library(mock) {
+    return Object.fromEntries([...mock.state.items.values()].map(item => [item.ratingKey, {
+        audienceRating: typeof item.audienceRating === 'number' ? item.audienceRating : null,
+        labels: item.Label.map(label => label.tag)
+    }]));
+}
+
+/**
+ * Snapshots of a writeback result, copied out of the vm realm
+ * @param {Object[]} changes - Changes of a run
+ * @param {string} side - before or after
+ * @returns {Object<string, Object>}
+ */
+function snapshots(changes, side) {
+    return Object.fromEntries(changes.map(change => [change.ratingKey, JSON.parse(JSON.stringify(change[side]))]));
+}
+
+(async () => {
+    const mock = createMockPlex();
+    const baseUrl = await mock.listen();
+
+    try {
+        const background = loadBackground(FILES, {
+            sync: {
+                plexServers: [{ name: 'Mock Server', url: baseUrl, token: SERVER_TOKEN, machineIdentifier: SERVER_ID, connections: [baseUrl] }],
+                plexWriteback: { enabled: true, audienceRating: true, label: true }
+            }
+        });
+        const { plexWriteback, omdbClient, imdbDataset, matchOverrides } = background;
+        const getRating = plexWriteback.getRating;
+        plexWriteback.getRating = async imdbId => RATINGS[imdbId] ?? null;
+
+        // The mock refuses what Plex gets wrong
+        const mixed = await fetch(`${baseUrl}/library/metadata/101?label[0].tag.tag=a&label[].tag.tag-=b`, {
+            method: 'PUT',
+            headers: { 'X-Plex-Token': SERVER_TOKEN }
+        });
+        assert.strictEqual(mixed.status, 400, 'mock rejects mixed label forms');
+        mock.state.requests.length = 0;
+
+        const original = library(mock);
+
+        // 1. Preview writes nothing
+        const preview = await plexWriteback.preview({ sectionId: '1' });
+        assert.strictEqual(preview.changes.length, 3);
+        assert.strictEqual(mock.state.edits.length, 0);
+        assert.ok(!mock.state.requests.some(request => request.method === 'PUT'), 'preview sends no edits');
+
+        // 2. Apply: Ronin swaps "IMDb 6+" for "IMDb 7+", which needs a removal and an addition
+        const applied = await plexWriteback.apply({ sectionId: '1' });
+        assert.strictEqual(applied.skipped.length, 0, JSON.stringify(applied.skipped));
+        assert.deepStrictEqual(library(mock), snapshots(applied.changes, 'after'));
+        assert.deepStrictEqual(library(mock)['102'], { audienceRating: 7.2, labels: ['Car chases', 'IMDb 7+'] });
+
+        const puts = mock.state.requests.filter(request => request.method === 'PUT' && request.path === '/library/sections/1/all');
+        assert.ok(puts.length >= 4, 'Ronin takes two edits');
+        puts.forEach((request) => {
+            const params = Object.fromEntries(request.query);
+            assert.strictEqual(params.type, '1', 'movie type');
+            assert.ok(mock.state.items.has(params.id), 'item id');
+            assert.strictEqual(request.headers['x-plex-token'], SERVER_TOKEN);
+
+            const keys = Object.keys(params);
+            const indexed = keys.some(key => /^label\[\d+\]\.tag\.tag$/.test(key));
+            assert.ok(!(indexed && 'label[].tag.tag-' in params), 'label additions and removals are separate edits');
+            if (indexed || 'label[].tag.tag-' in params) assert.strictEqual(params['label.locked'], '1');
+            if ('audienceRating.value' in params) assert.strictEqual(params['audienceRating.locked'], '1');
+        });
+
+        // 3. Undo puts every item back
+        const undone = await plexWriteback.undoLast();
+        assert.deepStrictEqual({ ...undone }, { restored: 3, skipped: 0, failed: 0, kept: false });
+        assert.deepStrictEqual(library(mock), original);
+        assert.strictEqual((await plexWriteback.getLog()).length, 0);
+
+        // 4. An undo that can't reach the server keeps the run for another try
+        await plexWriteback.apply({ sectionId: '1' });
+        mock.state.failEdits = true;
+        const failed = await plexWriteback.undoLast();
+        assert.deepStrictEqual({ ...failed }, { restored: 0, skipped: 0, failed: 3, kept: true });
+        assert.strictEqual((await plexWriteback.getLog())[0].count, 3, 'run still in the undo log');
+
+        mock.state.failEdits = false;
+        const retried = await plexWriteback.undoLast();
+        assert.strictEqual(retried.restored, 3);
+        assert.deepStrictEqual(library(mock), original);
+
+        // 5. A manual match override wins over the Plex guid
+        await matchOverrides.set(SERVER_ID, '103', 'tt0113277', 'Thief');
+        const overridden = await plexWriteback.preview({ sectionId: '1' });
+        const thief = overridden.changes.find(change => change.ratingKey === '103');
+        assert.strictEqual(thief.imdbId, 'tt0113277');
+        assert.strictEqual(thief.rating, RATINGS.tt0113277);
+        await matchOverrides.remove(background.MatchOverrides.key(SERVER_ID, '103'));
+
+        // 6. Out of OMDb quota with no dataset rating: the run stops instead of skipping every item
+        plexWriteback.getRating = getRating;
+        omdbClient.getByIMDbId = async () => { throw new background.OMDbQuotaError(Date.now() + 60000); };
+        imdbDataset.getRating = async () => null;
+        mock.state.edits.length = 0;
+        await assert.rejects(plexWriteback.apply({ sectionId: '1' }), error => error.name === 'OMDbQuotaError');
+        assert.strictEqual(mock.state.edits.length, 0);
+
+        console.log('✅ Writeback: preview, edit requests, undo, kept failed undo, overrides and the quota stop work against the mock');
+    } finally {
+        await mock.close();
+    }
+})().catch((error) => {
+    console.error('❌', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,166 @@
+/**
+ * Extension Environment
+ * Loads extension scripts into a Node vm context shaped like the Firefox background page:
+ * window is the global object, chrome.storage is kept in memory and fetch is Node's own, so
+ * the background modules run unchanged against dev/mock-plex.js. Used by the dev/check-*.js scripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * In-memory chrome.storage area
+ * @param {string} areaName - "sync" or "local"
+ * @param {Object} initial - Initial values
+ * @param {Function[]} listeners - storage.onChanged listeners
+ * @returns {Object}
+ */
+function createStorageArea(areaName, initial, listeners) {
+    const data = JSON.parse(JSON.stringify(initial || {}));
+    const notify = (changes) => {
+        if (Object.keys(changes).length > 0) {
+            listeners.forEach(listener => listener(changes, areaName));
+        }
+    };
+    const callbackOrPromise = (value, callback) => {
+        if (callback) {
+            setTimeout(() => callback(value), 0);
+            return undefined;
+        }
+        return Promise.resolve(value);
+    };
+
+    return {
+        data,
+        get(keys, callback) {
+            let result = {};
+            if (keys === null || keys === undefined) {
+                result = { ...data };
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                [].concat(keys).filter(key => key in data).forEach(key => { result[key] = data[key]; });
+            } else {
+                Object.keys(keys).forEach(key => { result[key] = key in data ? data[key] : keys[key]; });
+            }
+            return callbackOrPromise(JSON.parse(JSON.stringify(result)), callback);
+        },
+        set(items, callback) {
+            const changes = {};
+            Object.entries(JSON.parse(JSON.stringify(items))).forEach(([key, value]) => {
+                changes[key] = { oldValue: data[key], newValue: value };
+                data[key] = value;
+            });
+            notify(changes);
+            return callbackOrPromise(undefined, callback);
+        },
+        remove(keys, callback) {
+            const changes = {};
+            [].concat(keys).filter(key => key in data).forEach(key => {
+                changes[key] = { oldValue: data[key] };
+                delete data[key];
+            });
+            notify(changes);
+            return callbackOrPromise(undefined, callback);
+        },
+        clear(callback) {
+            return this.remove(Object.keys(data), callback);
+        }
+    };
+}
+
+/**
+ * chrome API stub with the parts the background modules use
+ * @param {{sync?: Object, local?: Object}} storage - Initial storage values
+ * @returns {Object}
+ */
+function createChrome(storage = {}) {
+    const changeListeners = [];
+    const event = () => ({ addListener() {}, removeListener() {} });
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest-firefox.json'), 'utf8'));
+
+    return {
+        runtime: {
+            id: 'dev@plex-imdb-enhancer',
+            lastError: null,
+            getManifest: () => manifest,
+            getURL: file => `moz-extension://dev/${file}`,
+            sendMessage: () => Promise.resolve(),
+            onMessage: event(),
+            onInstalled: event(),
+            onStartup: event()
+        },
+        storage: {
+            sync: createStorageArea('sync', storage.sync, changeListeners),
+            local: createStorageArea('local', storage.local, changeListeners),
+            onChanged: { addListener: listener => changeListeners.push(listener), removeListener() {} }
+        },
+        i18n: { getMessage: () => '', getUILanguage: () => 'en' },
+        alarms: { create() {}, clear: () => Promise.resolve(true), onAlarm: event() },
+        permissions: { contains: () => Promise.resolve(false), onAdded: event(), onRemoved: event() },
+        tabs: { query: () => Promise.resolve([]), sendMessage: () => Promise.resolve(), onRemoved: event() }
+    };
+}
+
+/**
+ * Load extension scripts as the background does
+ * @param {string[]} files - Script files relative to the repository root, in load order
+ * @param {{sync?: Object, local?: Object, verbose?: boolean}} options - Initial storage, log output
+ * @returns {Object} The background's window (modules are on it, e.g. window.plexAuth)
+ */
+function loadBackground(files, options = {}) {
+    const quiet = { log() {}, debug() {}, info() {}, warn() {}, error() {} };
+    const context = {
+        console: options.verbose ? console : quiet,
+        fetch,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        queueMicrotask,
+        structuredClone,
+        AbortController,
+        AbortSignal,
+        URL,
+        URLSearchParams,
+        Response,
+        Headers,
+        TextEncoder,
+        TextDecoder,
+        crypto: globalThis.crypto,
+        location: { href: 'moz-extension://dev/_generated_background_page.html' }
+    };
+    context.chrome = createChrome(options);
+    vm.createContext(context);
+
+    // Scripts see the context's global proxy, which must also be what getBackgroundPage() returns
+    const global = vm.runInContext('this', context);
+    context.window = global;
+    context.self = global;
+    context.chrome.extension = { getBackgroundPage: () => global };
+
+    files.forEach((file) => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    return global;
+}
+
+/**
+ * Wait until a check passes
+ * @param {Function} check - Async function returning a truthy value when done
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<*>} The truthy value
+ */
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Timed out after ${timeoutMs} ms`);
+}
+
+module.exports = { loadBackground, createChrome, waitFor };
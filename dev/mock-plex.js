@@ -0,0 +1,250 @@
+/**
+ * Mock Plex
+ * Local stand-in for the plex.tv sign-in endpoints and a Plex Media Server, to try the extension
+ * without a Plex account or server:
+ *
+ *   node dev/mock-plex.js [port]
+ *
+ * then in the extension's background console (about:debugging / chrome://extensions):
+ *
+ *   chrome.storage.local.set({ plexTvBaseUrl: 'http://127.0.0.1:8787' })
+ *
+ * "Sign in with Plex" opens the mock's approval page and lists the mock server. Every request
+ * is recorded on `state` for the dev/check-*.js scripts, and metadata edits change the library
+ * the way Plex does.
+ */
+
+const http = require('http');
+
+const SERVER_ID = 'mockserver0001';
+const SERVER_TOKEN = 'mock-server-token';
+const ACCOUNT_TOKEN = 'mock-account-token';
+
+// Connection plex.tv advertises as local; nothing listens there, so sign-in must fall back
+const UNREACHABLE_URL = 'http://127.0.0.1:9';
+
+/**
+ * Page where the user approves a PIN (app.plex.tv/auth stand-in); reads the code from the fragment
+ */
+const APPROVAL_PAGE = `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Mock Plex sign-in</title></head>
+<body style="font-family: sans-serif">
+<h1>Mock Plex sign-in</h1>
+<p id="pin"></p>
+<button id="approve">Approve</button>
+<script>
+const params = new URLSearchParams(location.hash.replace(/^#\\??/, ''));
+document.getElementById('pin').textContent = 'PIN ' + params.get('code') + ' for ' + params.get('context[device][product]');
+document.getElementById('approve').onclick = async () => {
+    const response = await fetch('/auth/approve?code=' + encodeURIComponent(params.get('code')), { method: 'POST' });
+    document.body.textContent = response.ok ? 'Approved - go back to the extension.' : 'Unknown PIN';
+};
+</script>
+</body></html>`;
+
+/**
+ * Library of the mock server
+ * @returns {Map<string, Object>} Items by rating key
+ */
+function createLibrary() {
+    const items = [
+        { ratingKey: '101', type: 'movie', title: 'Heat', year: 1995, Guid: [{ id: 'imdb://tt0113277' }], audienceRating: 7.9, Label: [{ tag: 'Favourites' }] },
+        { ratingKey: '102', type: 'movie', title: 'Ronin', year: 1998, Guid: [{ id: 'imdb://tt0122690' }], Label: [{ tag: 'IMDb 6+' }, { tag: 'Car chases' }] },
+        { ratingKey: '103', type: 'movie', title: 'Thief', year: 1981, Guid: [{ id: 'imdb://tt0083190' }] }
+    ];
+    return new Map(items.map(item => [item.ratingKey, { librarySectionID: 1, Label: [], ...item }]));
+}
+
+/**
+ * Create the mock
+ * @returns {{server: http.Server, state: Object, listen: Function, close: Function}}
+ */
+function createMockPlex() {
+    const state = {
+        baseUrl: null,
+        pins: new Map(), // PIN id -> {id, code, clientIdentifier, authToken}
+        requests: [], // {method, path, query, headers}
+        edits: [], // {ratingKey, fields} of every accepted edit
+        failEdits: false, // Answer edits with 500, like a server in trouble
+        items: createLibrary()
+    };
+    let nextPinId = 1;
+
+    const send = (res, status, body, type = 'application/json') => {
+        res.writeHead(status, {
+            'Content-Type': type,
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+            'Access-Control-Allow-Headers': 'Accept, X-Plex-Token, X-Plex-Product, X-Plex-Version, X-Plex-Client-Identifier'
+        });
+        res.end(type === 'application/json' ? JSON.stringify(body) : body);
+    };
+
+    const handlePlexTv = (req, res, url) => {
+        const pin = url.pathname.match(/^\/api\/v2\/pins\/(\d+)$/);
+
+        if (req.method === 'POST' && url.pathname === '/api/v2/pins') {
+            const clientIdentifier = req.headers['x-plex-client-identifier'];
+            if (!clientIdentifier) return send(res, 400, { errors: [{ message: 'X-Plex-Client-Identifier is missing' }] });
+
+            const created = {
+                id: nextPinId++,
+                code: Math.random().toString(36).slice(2, 10),
+                clientIdentifier,
+                authToken: null,
+                expiresIn: 1800
+            };
+            state.pins.set(created.id, created);
+            return send(res, 201, created);
+        }
+        if (req.method === 'GET' && pin) {
+            const found = state.pins.get(Number(pin[1]));
+            if (!found || found.clientIdentifier !== req.headers['x-plex-client-identifier']) return send(res, 404, {});
+            return send(res, 200, found);
+        }
+        if (req.method === 'GET' && url.pathname === '/auth') {
+            return send(res, 200, APPROVAL_PAGE, 'text/html; charset=utf-8');
+        }
+        if (req.method === 'POST' && url.pathname === '/auth/approve') {
+            const found = [...state.pins.values()].find(candidate => candidate.code === url.searchParams.get('code'));
+            if (!found) return send(res, 404, {});
+            found.authToken = ACCOUNT_TOKEN;
+            return send(res, 200, { approved: true });
+        }
+        if (req.method === 'GET' && url.pathname === '/api/v2/resources') {
+            if (req.headers['x-plex-token'] !== ACCOUNT_TOKEN) return send(res, 401, {});
+            return send(res, 200, [
+                {
+                    name: 'Mock Server',
+                    provides: 'server',
+                    clientIdentifier: SERVER_ID,
+                    owned: true,
+                    accessToken: SERVER_TOKEN,
+                    connections: [
+                        { uri: state.baseUrl, local: false, relay: false },
+                        { uri: UNREACHABLE_URL, local: true, relay: false }
+                    ]
+                },
+                { name: 'Mock Player', provides: 'client,player', clientIdentifier: 'mockplayer', accessToken: 'x', connections: [] }
+            ]);
+        }
+        return null;
+    };
+
+    /**
+     * Apply an edit like Plex does: indexed label[i].tag.tag entries replace the labels,
+     * label[].tag.tag- removes a comma-separated list; a request mixing the two is refused
+     * @returns {string|null} Error, null when applied
+     */
+    const editItem = (item, params) => {
+        const fields = Object.fromEntries([...params.entries()].filter(([key]) => !['type', 'id', 'X-Plex-Token'].includes(key)));
+        const indexed = Object.keys(fields).filter(key => /^label\[\d+\]\.tag\.tag$/.test(key));
+        const removed = fields['label[].tag.tag-'];
+
+        if (indexed.length > 0 && removed !== undefined) {
+            return 'label[i].tag.tag and label[].tag.tag- in one request';
+        }
+
+        if ('audienceRating.value' in fields) {
+            const value = fields['audienceRating.value'];
+            if (value === '') {
+                delete item.audienceRating;
+            } else {
+                item.audienceRating = Number(value);
+            }
+        }
+        if (indexed.length > 0) {
+            item.Label = indexed
+                .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]))
+                .map(key => ({ tag: fields[key] }));
+        }
+        if (removed !== undefined) {
+            const tags = removed.split(',');
+            item.Label = item.Label.filter(label => !tags.includes(label.tag));
+        }
+
+        state.edits.push({ ratingKey: item.ratingKey, fields });
+        return null;
+    };
+
+    const handleServer = (req, res, url) => {
+        const token = req.headers['x-plex-token'] || url.searchParams.get('X-Plex-Token');
+        if (token !== SERVER_TOKEN) return send(res, 401, {});
+
+        const metadata = url.pathname.match(/^\/library\/metadata\/(\d+)$/);
+        const sectionItems = url.pathname.match(/^\/library\/sections\/(\d+)\/all$/);
+
+        // Edits: PUT /library/sections/{id}/all?type&id&... (Plex Web) or /library/metadata/{id}?...
+        if (req.method === 'PUT' && (sectionItems || metadata)) {
+            if (state.failEdits) return send(res, 500, {});
+
+            const item = state.items.get(metadata ? metadata[1] : url.searchParams.get('id'));
+            if (!item || (sectionItems && String(item.librarySectionID) !== sectionItems[1])) return send(res, 404, {});
+
+            const error = editItem(item, url.searchParams);
+            return error ? send(res, 400, { errors: [{ message: error }] }) : send(res, 200, '', 'text/plain');
+        }
+
+        if (req.method === 'GET' && url.pathname === '/identity') {
+            return send(res, 200, { MediaContainer: { machineIdentifier: SERVER_ID } });
+        }
+        if (req.method === 'GET' && url.pathname === '/library/sections') {
+            return send(res, 200, { MediaContainer: { Directory: [{ key: '1', title: 'Movies', type: 'movie' }] } });
+        }
+        if (req.method === 'GET' && url.pathname === '/library/sections/1/all') {
+            return send(res, 200, { MediaContainer: { Metadata: [...state.items.values()] } });
+        }
+        if (req.method === 'GET' && metadata) {
+            const item = state.items.get(metadata[1]);
+            return item ? send(res, 200, { MediaContainer: { Metadata: [item] } }) : send(res, 404, {});
+        }
+        return send(res, 404, {});
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, state.baseUrl);
+        state.requests.push({
+            method: req.method,
+            path: url.pathname,
+            query: [...url.searchParams.entries()],
+            headers: { ...req.headers }
+        });
+
+        if (req.method === 'OPTIONS') return send(res, 204, '', 'text/plain');
+        if (handlePlexTv(req, res, url) === null) handleServer(req, res, url);
+    });
+
+    return {
+        server,
+        state,
+        /**
+         * Start listening on the loopback address
+         * @param {number} port - Port (0 picks a free one)
+         * @returns {Promise<string>} Base URL
+         */
+        listen(port = 0) {
+            return new Promise((resolve) => {
+                server.listen(port, '127.0.0.1', () => {
+                    state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(state.baseUrl);
+                });
+            });
+        },
+        close() {
+            return new Promise((resolve) => {
+                server.close(resolve);
+                server.closeAllConnections(); // fetch keeps connections alive
+            });
+        }
+    };
+}
+
+module.exports = { createMockPlex, SERVER_ID, SERVER_TOKEN, ACCOUNT_TOKEN, UNREACHABLE_URL };
+
+if (require.main === module) {
+    const mock = createMockPlex();
+    mock.listen(Number(process.argv[2]) || 8787).then((baseUrl) => {
+        console.log(`Mock Plex listening on ${baseUrl}`);
+        console.log(`In the extension background console: chrome.storage.local.set({ plexTvBaseUrl: '${baseUrl}' })`);
+    });
+}
@@ -0,0 +1,371 @@
+/**
+ * GUID Mapper
+ * Understands every Plex agent guid format (new agent imdb:// tmdb:// tvdb://, legacy
+ * com.plexapp.agents.* guids) and maps TMDb/TVDB IDs to IMDb when Plex has no IMDb guid.
+ * Mapping runs in the background through pluggable providers; the built-in provider is a
+ * local mapping table (IndexedDB on the extension origin) that can be imported offline from the popup.
+ */
+
+// Prevent duplicate injection
+if (typeof window.GuidMapper === 'undefined') {
+
+class GuidMapper {
+    constructor() {
+        this.logger = new Logger('GuidMapper');
+        this.prefix = 'guidmap:'; // chrome.storage.local keys of the table before it moved to IndexedDB
+        this.dbName = 'pimdb-guidmap';
+        this.dbVersion = 1;
+        this.storeName = 'mappings'; // mappingKey() -> IMDb ID
+        this.db = null; // Promise<IDBDatabase>, opened on first use
+        this.migration = null; // Promise of the one-time move out of chrome.storage.local
+        this.providers = [];
+
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+
+        if (!this.broker) {
+            this.registerProvider({
+                name: 'local-table',
+                lookup: (agent, id, kind) => this.lookupLocal(agent, id, kind)
+            });
+
+            // Left in chrome.storage.local, an old table would be read by every startup's full storage scan
+            this._migrate().catch((error) => {
+                this.logger.warn('Could not move GUID mappings to IndexedDB', { error: error.message });
+            });
+        }
+    }
+
+    /**
+     * Parse a single Plex guid
+     * @param {string|{id: string}} guid - Guid string or Plex Guid entry
+     * @returns {{agent: string, id: string}|null} agent is imdb, tmdb or tvdb
+     */
+    static parseGuid(guid) {
+        // Limit input length to prevent ReDoS attacks
+        const value = String(guid?.id || guid || '').trim().substring(0, 300);
+        if (!value) return null;
+
+        for (const { agent, pattern } of GuidMapper.GUID_PATTERNS) {
+            const match = value.match(pattern);
+            if (match) return { agent, id: match[1] };
+        }
+
+        // Other legacy agents (e.g. xbmcnfo) carry a bare IMDb ID; episode paths like
+        // thetvdb://81189/1/2 point at the series and are deliberately not matched above
+        const imdbMatch = value.match(/\b(tt\d{7,8})\b/);
+        return imdbMatch ? { agent: 'imdb', id: imdbMatch[1] } : null;
+    }
+
+    /**
+     * Collect parsed guids from Plex metadata (Guid array and legacy guid attribute)
+     * @param {Object} metadata - Plex metadata object
+     * @returns {Array<{agent: string, id: string}>} Unique parsed guids
+     */
+    static collectGuids(metadata) {
+        if (!metadata) return [];
+
+        const raw = [...(Array.isArray(metadata.Guid) ? metadata.Guid : []), metadata.guid];
+        const seen = new Set();
+
+        return raw
+            .map(guid => GuidMapper.parseGuid(guid))
+            .filter(parsed => {
+                if (!parsed) return false;
+                const key = `${parsed.agent}:${parsed.id}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Map Plex type to the ID namespace TMDb/TVDB use (movie and TV IDs overlap)
+     * @param {string} plexType - Plex type (movie, show, season, episode)
+     * @returns {string|null} movie, show or episode; null for types without their own IDs
+     */
+    static kindOf(plexType) {
+        return ['movie', 'show', 'episode'].includes(plexType) ? plexType : null;
+    }
+
+    /**
+     * Build local table key
+     * @param {string} agent - tmdb or tvdb
+     * @param {string} kind - movie, show or episode
+     * @param {string} id - Numeric agent ID
+     * @returns {string}
+     */
+    static mappingKey(agent, kind, id) {
+        return `${agent}:${kind}:${id}`;
+    }
+
+    /**
+     * Add a lookup provider (background only)
+     * Providers are tried in registration order until one returns an IMDb ID
+     * @param {{name: string, lookup: function(string, string, string): Promise<string|null>}} provider
+     *   lookup(agent, id, kind) resolves to an IMDb ID or null
+     */
+    registerProvider(provider) {
+        if (!provider?.name || typeof provider.lookup !== 'function') {
+            throw new Error('Invalid GUID lookup provider');
+        }
+        this.providers.push(provider);
+    }
+
+    /**
+     * Get IMDb ID for Plex metadata: IMDb guid first, then TMDb/TVDB mapping
+     * @param {Object} metadata - Plex metadata object
+     * @returns {Promise<string|null>} IMDb ID
+     */
+    async resolve(metadata) {
+        const guids = GuidMapper.collectGuids(metadata);
+
+        const direct = guids.find(guid => guid.agent === 'imdb');
+        if (direct) return direct.id;
+
+        const kind = GuidMapper.kindOf(metadata?.type);
+        const ids = guids.filter(guid => guid.agent !== 'imdb');
+        if (!kind || ids.length === 0) return null;
+
+        return this.lookup(ids, kind);
+    }
+
+    /**
+     * Map TMDb/TVDB IDs to an IMDb ID
+     * @param {Array<{agent: string, id: string}>} ids - Parsed guids
+     * @param {string} kind - movie, show or episode
+     * @returns {Promise<string|null>} IMDb ID
+     */
+    async lookup(ids, kind) {
+        if (this.broker) {
+            try {
+                return await this.broker.send('guid.lookup', { ids, kind });
+            } catch (error) {
+                this.logger.warn('GUID lookup failed', { error: error.message });
+                return null;
+            }
+        }
+
+        for (const { agent, id } of ids) {
+            if (!/^\d+$/.test(id)) continue;
+
+            for (const provider of this.providers) {
+                try {
+                    const imdbId = await provider.lookup(agent, id, kind);
+                    if (imdbId && CONFIG.PATTERNS.IMDB_ID.test(imdbId)) {
+                        this.logger.debug('GUID mapped to IMDb', { agent, id, kind, imdbId, provider: provider.name });
+                        return imdbId;
+                    }
+                } catch (error) {
+                    this.logger.warn('GUID provider failed', { provider: provider.name, error: error.message });
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Open (and create) the mapping database
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                this.db = null;
+                throw error;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run a request in a transaction on the mapping store
+     * @private
+     * @param {string} mode - readonly or readwrite
+     * @param {function(IDBObjectStore): IDBRequest|void} action - Request to run
+     * @returns {Promise<*>} Request result (undefined for void actions, once committed)
+     */
+    async _transaction(mode, action) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Move a table saved by an older version from chrome.storage.local into IndexedDB (once)
+     * Afterwards nothing reads all of chrome.storage.local on startup for the table's sake
+     * @private
+     * @returns {Promise<void>}
+     */
+    _migrate() {
+        if (!this.migration) {
+            this.migration = (async () => {
+                const flag = await chrome.storage.local.get([GuidMapper.MIGRATED_KEY]);
+                if (flag[GuidMapper.MIGRATED_KEY]) return;
+
+                const items = await chrome.storage.local.get(null);
+                const keys = Object.keys(items || {}).filter(key => key.startsWith(this.prefix));
+
+                if (keys.length > 0) {
+                    await this._transaction('readwrite', (store) => {
+                        keys.forEach(key => store.put(items[key], key.slice(this.prefix.length)));
+                    });
+                    await chrome.storage.local.remove(keys);
+                }
+
+                await chrome.storage.local.set({ [GuidMapper.MIGRATED_KEY]: true });
+                this.logger.info('GUID mappings moved to IndexedDB', { count: keys.length });
+            })().catch((error) => {
+                this.migration = null;
+                throw error;
+            });
+        }
+        return this.migration;
+    }
+
+    /**
+     * Look up a mapping in the local table
+     * @param {string} agent - tmdb or tvdb
+     * @param {string} id - Numeric agent ID
+     * @param {string} kind - movie, show or episode
+     * @returns {Promise<string|null>} IMDb ID
+     */
+    async lookupLocal(agent, id, kind) {
+        try {
+            await this._migrate();
+            const imdbId = await this._transaction('readonly', store => store.get(GuidMapper.mappingKey(agent, kind, id)));
+            return imdbId || null;
+        } catch (error) {
+            this.logger.error('Failed to read GUID mapping', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Parse a mapping file
+     * CSV: source,type,id,imdb_id (header optional), e.g. "tmdb,movie,949,tt0113277"
+     * JSON: array of {source, type, id, imdbId}
+     * Invalid rows are skipped
+     * @param {string} text - File contents
+     * @returns {Array<{agent: string, kind: string, id: string, imdbId: string}>}
+     */
+    static parseMappingFile(text) {
+        const content = String(text || '').trim();
+        let rows;
+
+        if (content.startsWith('[')) {
+            try {
+                rows = JSON.parse(content).map(row => [row?.source, row?.type, row?.id, row?.imdbId]);
+            } catch (error) {
+                throw new Error('Invalid JSON mapping file');
+            }
+        } else {
+            rows = content.split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+        }
+
+        return rows
+            .map(([agent, kind, id, imdbId]) => ({
+                agent: String(agent || '').toLowerCase(),
+                kind: String(kind || '').toLowerCase(),
+                id: String(id ?? ''),
+                imdbId: String(imdbId || '')
+            }))
+            .filter(row =>
+                ['tmdb', 'tvdb'].includes(row.agent) &&
+                GuidMapper.kindOf(row.kind) &&
+                /^\d{1,10}$/.test(row.id) &&
+                CONFIG.PATTERNS.IMDB_ID.test(row.imdbId)
+            );
+    }
+
+    /**
+     * Save mappings to the local table (background and extension pages - needs direct IndexedDB access)
+     * @param {Array<{agent: string, kind: string, id: string, imdbId: string}>} mappings - From parseMappingFile()
+     * @returns {Promise<number>} Number of mappings saved
+     */
+    async importMappings(mappings) {
+        const items = new Map();
+        mappings.forEach(({ agent, kind, id, imdbId }) => {
+            items.set(GuidMapper.mappingKey(agent, kind, id), imdbId);
+        });
+
+        await this._migrate();
+        await this._transaction('readwrite', (store) => {
+            items.forEach((imdbId, key) => store.put(imdbId, key));
+        });
+
+        this.logger.info('GUID mappings imported', { count: items.size });
+        return items.size;
+    }
+
+    /**
+     * Count mappings in the local table
+     * @returns {Promise<number>}
+     */
+    async countMappings() {
+        try {
+            await this._migrate();
+            return await this._transaction('readonly', store => store.count());
+        } catch (error) {
+            this.logger.error('Failed to read GUID mappings', { error: error.message });
+            return 0;
+        }
+    }
+
+    /**
+     * Remove every mapping from the local table
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearMappings() {
+        try {
+            await this._migrate();
+            await this._transaction('readwrite', store => store.clear());
+        } catch (error) {
+            this.logger.error('Failed to clear GUID mappings', { error: error.message });
+            return false;
+        }
+
+        this.logger.info('GUID mappings cleared');
+        return true;
+    }
+}
+
+    // Plex guid formats, new agent first
+    GuidMapper.GUID_PATTERNS = Object.freeze([
+        { agent: 'imdb', pattern: /^imdb:\/\/(tt\d{7,8})$/ },
+        { agent: 'tmdb', pattern: /^tmdb:\/\/(\d+)$/ },
+        { agent: 'tvdb', pattern: /^tvdb:\/\/(\d+)$/ },
+        { agent: 'imdb', pattern: /^com\.plexapp\.agents\.imdb:\/\/(tt\d{7,8})(?:\?.*)?$/ },
+        { agent: 'tmdb', pattern: /^com\.plexapp\.agents\.themoviedb:\/\/(\d+)(?:\?.*)?$/ },
+        { agent: 'tvdb', pattern: /^com\.plexapp\.agents\.thetvdb:\/\/(\d+)(?:\?.*)?$/ },
+        { agent: 'tvdb', pattern: /^com\.plexapp\.agents\.hama:\/\/tvdb\d?-(\d+)(?:\?.*)?$/i }
+    ]);
+
+    // chrome.storage.local flag set once the old guidmap:* keys were moved to IndexedDB
+    GuidMapper.MIGRATED_KEY = 'guidMappingsMigrated';
+
+    // Export to window
+    window.GuidMapper = GuidMapper;
+    window.guidMapper = new GuidMapper();
+}
+
+// Create const references for backwards compatibility
+const GuidMapper = window.GuidMapper;
+const guidMapper = window.guidMapper;
@@ -0,0 +1,377 @@
+/**
+ * IMDb Dataset
+ * Offline ratings from IMDb's public dataset files (title.ratings.tsv.gz, title.basics.tsv.gz)
+ * Files are imported from the popup page (opened in a tab) into IndexedDB on the extension origin;
+ * lookups from content scripts go through the RequestBroker to the background, which shares that
+ * database. Used when OMDb is unconfigured or out of quota.
+ */
+
+// Prevent duplicate injection
+if (typeof window.IMDbDataset === 'undefined') {
+
+class IMDbDataset {
+    constructor() {
+        this.logger = new Logger('IMDbDataset');
+        this.dbName = 'pimdb-dataset';
+        this.dbVersion = 1;
+        this.db = null; // Promise<IDBDatabase>, opened on first use
+        this.batchSize = 5000;
+        this.searchLimit = 20;
+
+        // Page contexts can't reach the extension's IndexedDB - ask the background
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+    }
+
+    /**
+     * Open (and create) the database
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('ratings', { keyPath: 'id' });
+                    const titles = db.createObjectStore('titles', { keyPath: 'id' });
+                    titles.createIndex('keys', 'keys', { multiEntry: true });
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                this.db = null;
+                throw error;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run a request in a transaction
+     * @private
+     * @param {string} storeName - Object store
+     * @param {string} mode - readonly or readwrite
+     * @param {function(IDBObjectStore): IDBRequest|void} action - Request to run
+     * @returns {Promise<*>} Request result (undefined for void actions, once committed)
+     */
+    async _transaction(storeName, mode, action) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get dataset info
+     * @returns {Promise<{asOf: number|null, importedAt: number, ratings: number, titles: number, incomplete?: string[]}|null>}
+     *   asOf is the ratings file date; null when nothing was imported. incomplete lists the stores an import
+     *   is filling or left partly filled when interrupted - the dataset isn't used for lookups meanwhile
+     */
+    async getInfo() {
+        if (this.broker) {
+            return this.broker.send('dataset.info');
+        }
+
+        const info = await this._transaction('meta', 'readonly', store => store.get('info'));
+        return info && (info.incomplete || info.ratings > 0 || info.titles > 0) ? info : null;
+    }
+
+    /**
+     * Get rating for an IMDb ID
+     * @param {string} imdbId - IMDb ID (validated format)
+     * @returns {Promise<{imdbId: string, rating: number, votes: number, title: string|null, year: number|null, type: string|null, asOf: number|null}|null>}
+     */
+    async getRating(imdbId) {
+        if (!CONFIG.PATTERNS.IMDB_ID.test(imdbId)) return null;
+
+        if (this.broker) {
+            return this.broker.send('dataset.rating', { imdbId });
+        }
+
+        const [rating, title, info] = await Promise.all([
+            this._transaction('ratings', 'readonly', store => store.get(imdbId)),
+            this._transaction('titles', 'readonly', store => store.get(imdbId)),
+            this._transaction('meta', 'readonly', store => store.get('info'))
+        ]);
+
+        if (!rating || info?.incomplete) return null;
+
+        return {
+            imdbId,
+            rating: rating.rating,
+            votes: rating.votes,
+            title: title?.title || null,
+            year: title?.year || null,
+            type: title?.type || null,
+            asOf: info?.asOf || null
+        };
+    }
+
+    /**
+     * Find titles by normalized title, shaped like OMDb search results for MatchScorer
+     * @param {string[]} titles - Titles to look up
+     * @param {string} type - OMDb type filter (movie, series; optional)
+     * @returns {Promise<Array<{imdbID: string, Title: string, Year: string, Type: string, Runtime: string}>>}
+     */
+    async search(titles, type = '') {
+        if (this.broker) {
+            return this.broker.send('dataset.search', { titles, type });
+        }
+
+        const info = await this._transaction('meta', 'readonly', store => store.get('info'));
+        if (info?.incomplete) return [];
+
+        const keys = [...new Set((titles || []).map(MatchScorer.normalizeTitle).filter(Boolean))];
+        const results = new Map();
+
+        for (const key of keys) {
+            const rows = await this._transaction('titles', 'readonly',
+                store => store.index('keys').getAll(key, this.searchLimit));
+
+            rows
+                .filter(row => !type || row.type === type)
+                .forEach(row => results.set(row.id, {
+                    imdbID: row.id,
+                    Title: row.title,
+                    Year: row.year ? String(row.year) : 'N/A',
+                    Type: row.type,
+                    Runtime: row.runtime ? `${row.runtime} min` : 'N/A'
+                }));
+        }
+
+        return Array.from(results.values());
+    }
+
+    /**
+     * Read a (gzipped) TSV file line by line without loading it into memory
+     * @param {File} file - Dataset file
+     * @returns {AsyncGenerator<string>}
+     */
+    static async *readLines(file) {
+        let stream = file.stream();
+        if (/\.gz$/i.test(file.name)) {
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+
+        const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += value;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            yield* lines;
+        }
+
+        if (buffer) yield buffer;
+    }
+
+    /**
+     * Tell which dataset a file is from its name
+     * @param {File} file - Dataset file
+     * @returns {'ratings'|'basics'|null}
+     */
+    static fileKind(file) {
+        if (/title\.ratings/i.test(file.name)) return 'ratings';
+        if (/title\.basics/i.test(file.name)) return 'basics';
+        return null;
+    }
+
+    /**
+     * Import dataset files (extension pages only - needs direct IndexedDB access)
+     * Ratings are imported first; with both files, only titles that have a rating are kept.
+     * Each store is marked incomplete until its last batch is written, so a page closed mid-import
+     * leaves no half-filled store in use
+     * @param {File[]} files - title.ratings.tsv(.gz) and/or title.basics.tsv(.gz)
+     * @param {function({kind: string, rows: number}): void} onProgress - Called after each batch
+     * @returns {Promise<Object>} New dataset info (see getInfo())
+     */
+    async importFiles(files, onProgress = () => {}) {
+        const byKind = {};
+        for (const file of files) {
+            const kind = IMDbDataset.fileKind(file);
+            if (!kind) {
+                throw new Error(`Not an IMDb dataset file: ${file.name}`);
+            }
+            byKind[kind] = file;
+        }
+
+        const info = await this._transaction('meta', 'readonly', store => store.get('info')) ||
+            { key: 'info', asOf: null, ratings: 0, titles: 0 };
+
+        // Stores about to be replaced are incomplete (and their counts void) until their file is through
+        const incomplete = new Set(info.incomplete || []);
+        if (byKind.ratings) {
+            Object.assign(info, { asOf: null, ratings: 0 });
+            incomplete.add('ratings');
+        }
+        if (byKind.basics) {
+            info.titles = 0;
+            incomplete.add('titles');
+        }
+        info.incomplete = [...incomplete];
+        await this._transaction('meta', 'readwrite', store => store.put(info));
+
+        let ratedIds = null;
+
+        if (byKind.ratings) {
+            ratedIds = byKind.basics ? new Set() : null;
+            info.ratings = await this._importRatings(byKind.ratings, ratedIds, onProgress);
+            info.asOf = byKind.ratings.lastModified || Date.now();
+            incomplete.delete('ratings');
+            info.incomplete = [...incomplete];
+            await this._transaction('meta', 'readwrite', store => store.put(info));
+        }
+
+        if (byKind.basics) {
+            info.titles = await this._importBasics(byKind.basics, ratedIds, onProgress);
+            incomplete.delete('titles');
+        }
+
+        info.importedAt = Date.now();
+        if (incomplete.size > 0) {
+            info.incomplete = [...incomplete];
+        } else {
+            delete info.incomplete;
+        }
+        await this._transaction('meta', 'readwrite', store => store.put(info));
+
+        this.logger.info('Dataset imported', { ratings: info.ratings, titles: info.titles });
+        return info;
+    }
+
+    /**
+     * Replace the ratings store from title.ratings.tsv
+     * @private
+     * @param {File} file - Ratings file
+     * @param {Set<string>|null} ratedIds - Collects imported IDs when given
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<number>} Rows imported
+     */
+    async _importRatings(file, ratedIds, onProgress) {
+        return this._importRows(file, 'ratings', ['tconst', 'averageRating', 'numVotes'], (cells) => {
+            const [id, rating, votes] = cells;
+            const value = parseFloat(rating);
+            if (!CONFIG.PATTERNS.IMDB_ID.test(id) || isNaN(value)) return null;
+
+            ratedIds?.add(id);
+            return { id, rating: value, votes: parseInt(votes, 10) || 0 };
+        }, onProgress);
+    }
+
+    /**
+     * Replace the titles store from title.basics.tsv
+     * @private
+     * @param {File} file - Basics file
+     * @param {Set<string>|null} ratedIds - Keep only these IDs when given
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<number>} Rows imported
+     */
+    async _importBasics(file, ratedIds, onProgress) {
+        return this._importRows(file, 'titles', ['tconst', 'titleType', 'primaryTitle', 'originalTitle'], (cells) => {
+            const [id, titleType, primaryTitle, originalTitle, , startYear, , runtime] = cells;
+            const type = IMDbDataset.TITLE_TYPES[titleType];
+            if (!type || !CONFIG.PATTERNS.IMDB_ID.test(id) || (ratedIds && !ratedIds.has(id))) return null;
+
+            const title = String(primaryTitle || '').substring(0, 200);
+            const keys = [...new Set([primaryTitle, originalTitle].map(MatchScorer.normalizeTitle).filter(Boolean))];
+
+            return {
+                id,
+                title,
+                type,
+                year: parseInt(startYear, 10) || null,
+                runtime: parseInt(runtime, 10) || null,
+                keys
+            };
+        }, onProgress);
+    }
+
+    /**
+     * Clear a store and fill it from a TSV file in batches
+     * @private
+     * @param {File} file - Dataset file
+     * @param {string} storeName - Target store
+     * @param {string[]} header - Expected leading header columns
+     * @param {function(string[]): Object|null} toRecord - Row mapper, null skips the row
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<number>} Rows imported
+     */
+    async _importRows(file, storeName, header, toRecord, onProgress) {
+        await this._transaction(storeName, 'readwrite', store => store.clear());
+
+        let rows = 0;
+        let batch = [];
+        let first = true;
+
+        const flush = async () => {
+            const records = batch;
+            batch = [];
+            await this._transaction(storeName, 'readwrite', (store) => {
+                records.forEach(record => store.put(record));
+            });
+            rows += records.length;
+            onProgress({ kind: storeName, rows });
+        };
+
+        for await (const line of IMDbDataset.readLines(file)) {
+            const cells = line.replace(/\r$/, '').split('\t');
+
+            if (first) {
+                first = false;
+                if (header.some((column, i) => cells[i] !== column)) {
+                    throw new Error(`Unexpected header in ${file.name}`);
+                }
+                continue;
+            }
+
+            const record = toRecord(cells);
+            if (record) batch.push(record);
+            if (batch.length >= this.batchSize) await flush();
+        }
+
+        if (batch.length > 0) await flush();
+        return rows;
+    }
+
+    /**
+     * Delete the imported dataset (extension pages only)
+     */
+    async clear() {
+        await this._transaction('ratings', 'readwrite', store => store.clear());
+        await this._transaction('titles', 'readwrite', store => store.clear());
+        await this._transaction('meta', 'readwrite', store => store.clear());
+        this.logger.info('Dataset cleared');
+    }
+}
+
+    // IMDb titleType -> OMDb Type; other types (episodes, shorts, games) aren't indexed
+    IMDbDataset.TITLE_TYPES = Object.freeze({
+        movie: 'movie',
+        tvMovie: 'movie',
+        video: 'movie',
+        tvSeries: 'series',
+        tvMiniSeries: 'series'
+    });
+
+    // Export to window
+    window.IMDbDataset = IMDbDataset;
+    window.imdbDataset = new IMDbDataset();
+}
+
+// Create const references for backwards compatibility
+const IMDbDataset = window.IMDbDataset;
+const imdbDataset = window.imdbDataset;
@@ -0,0 +1,329 @@
+/**
+ * Library Export
+ * Lists a Plex library section with IMDb IDs and ratings for auditing matches in a spreadsheet
+ * or importing into other tools. Rows are built by a background job from Plex metadata and the
+ * MetadataResolver output (cheap after a library sweep - OMDb answers come from the cache), so
+ * the popup can be closed meanwhile; progress and rows are kept in chrome.storage.local and the
+ * job carries on when the background restarts. The popup turns the rows into a CSV or JSON download.
+ */
+
+// Prevent duplicate injection
+if (typeof window.LibraryExport === 'undefined') {
+
+class LibraryExport {
+    constructor() {
+        this.logger = new Logger('LibraryExport');
+        this.storageKey = 'libraryExport';
+        this.state = null;
+        this.running = null; // Promise of the build loop while it runs
+
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+        if (this.broker) {
+            return;
+        }
+
+        // Background was restarted mid-export - carry on
+        this.ready = this._load().then(() => {
+            if (this.state?.status === LibraryExport.STATUS.RUNNING) {
+                this.logger.info('Resuming interrupted export', { sectionId: this.state.sectionId });
+                this._startLoop();
+            }
+        });
+    }
+
+    /**
+     * Read saved export state
+     * @private
+     */
+    async _load() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        this.state = result[this.storageKey] || null;
+    }
+
+    /**
+     * Save export state (the popup follows it through storage.onChanged)
+     * @private
+     */
+    async _save() {
+        this.state.updatedAt = Date.now();
+        await chrome.storage.local.set({ [this.storageKey]: this.state });
+    }
+
+    /**
+     * Get export progress
+     * @returns {Promise<Object|null>} Progress (see LibraryExport.progress()), null if no export was built yet
+     */
+    async getStatus() {
+        if (this.broker) {
+            return this.broker.send('export.status');
+        }
+
+        await this.ready;
+        return LibraryExport.progress(this.state);
+    }
+
+    /**
+     * Public view of an export state (without the pending items and the rows)
+     * @param {Object|null} state - Export state
+     * @returns {{status: string, sectionId: string, sectionTitle: string, total: number, done: number,
+     *   stoppedReason: string|null, updatedAt: number}|null}
+     */
+    static progress(state) {
+        if (!state) return null;
+
+        const { pending, rows, ...progress } = state;
+        return { ...progress, done: state.total - pending.length };
+    }
+
+    /**
+     * Start building the export of a library section, replacing any previous export
+     * @param {string} sectionId - Library section key
+     * @param {string} sectionTitle - Section name, for display and the file name
+     * @returns {Promise<Object>} Progress
+     */
+    async start(sectionId, sectionTitle = '') {
+        if (this.broker) {
+            return this.broker.send('export.start', { sectionId, sectionTitle });
+        }
+
+        await this.ready;
+        await plexClient.ready;
+        if (!plexClient.isAvailable()) {
+            throw new Error('Plex API not configured');
+        }
+
+        // Manual match overrides are stored per server
+        const serverId = await plexClient.fetchServerId();
+        const items = await plexClient.fetchSectionItems(sectionId);
+        const pending = items
+            .filter(item => /^\d+$/.test(String(item.ratingKey)))
+            .map(item => ({ ratingKey: String(item.ratingKey), title: item.title || '', year: item.year || null }));
+
+        this.state = {
+            status: LibraryExport.STATUS.RUNNING,
+            sectionId: String(sectionId),
+            sectionTitle: String(sectionTitle).substring(0, 200),
+            serverId,
+            total: pending.length,
+            pending,
+            rows: [],
+            stoppedReason: null,
+            startedAt: Date.now()
+        };
+        await this._save();
+
+        this.logger.info('Library export started', { sectionId, items: this.state.total });
+        this._startLoop();
+        return LibraryExport.progress(this.state);
+    }
+
+    /**
+     * Get the rows of the finished export
+     * @returns {Promise<Array<{ratingKey: string, title: string, year: number|null, imdbId: string|null,
+     *   imdbRating: number|null, imdbVotes: number|null, source: string|null, confidence: number|null}>>}
+     */
+    async getRows() {
+        if (this.broker) {
+            return this.broker.send('export.rows');
+        }
+
+        await this.ready;
+        if (this.state?.status !== LibraryExport.STATUS.DONE) {
+            throw new Error('The export is not finished yet');
+        }
+        return this.state.rows;
+    }
+
+    /**
+     * Stop and forget the export
+     * @returns {Promise<null>}
+     */
+    async cancel() {
+        if (this.broker) {
+            return this.broker.send('export.cancel');
+        }
+
+        await this.ready;
+        this.state = null;
+        await chrome.storage.local.remove([this.storageKey]);
+        this.logger.info('Library export cancelled');
+        return null;
+    }
+
+    /**
+     * Run the build loop unless it is already running
+     * @private
+     */
+    _startLoop() {
+        if (this.running) return;
+
+        this.running = this._loop()
+            .catch(async (error) => {
+                this.logger.error('Library export stopped', { error: error.message });
+                if (this.state) {
+                    this.state.status = LibraryExport.STATUS.STOPPED;
+                    this.state.stoppedReason = error.message;
+                    await this._save();
+                }
+            })
+            .finally(() => {
+                this.running = null;
+
+                // A new export was started while the previous loop was winding down
+                if (this.state?.status === LibraryExport.STATUS.RUNNING && this.state.pending.length > 0) {
+                    this._startLoop();
+                }
+            });
+    }
+
+    /**
+     * Build rows one by one until done or cancelled
+     * Progress is saved every CONFIG.LIBRARY_EXPORT_SAVE_EVERY rows, as the rows are saved with it
+     * @private
+     */
+    async _loop() {
+        while (this.state?.status === LibraryExport.STATUS.RUNNING && this.state.pending.length > 0) {
+            const state = this.state;
+            const item = state.pending[0];
+            const row = await this._buildRow(item.ratingKey, item, state.serverId);
+
+            // Cancelled or restarted while the row was built
+            if (this.state !== state) return;
+
+            state.pending.shift();
+            state.rows.push(row);
+            if (state.rows.length % CONFIG.LIBRARY_EXPORT_SAVE_EVERY === 0) {
+                await this._save();
+            }
+        }
+
+        if (this.state?.status === LibraryExport.STATUS.RUNNING) {
+            this.state.status = LibraryExport.STATUS.DONE;
+            await this._save();
+            this.logger.info('Library export built', { sectionId: this.state.sectionId, rows: this.state.rows.length });
+        }
+    }
+
+    /**
+     * Build the row for one item; resolution failures leave the IMDb columns empty
+     * @private
+     * @param {string} ratingKey - Plex rating key
+     * @param {{title: string, year: number|null}} item - Section listing entry (used if metadata can't be fetched)
+     * @param {string} serverId - Machine identifier of the default server
+     * @returns {Promise<Object>} Row
+     */
+    async _buildRow(ratingKey, item, serverId) {
+        const metadata = await plexClient.fetchMetadata(ratingKey, serverId);
+        const row = {
+            ratingKey,
+            title: metadata?.title || item.title || '',
+            year: metadata?.year || item.year || null,
+            imdbId: null,
+            imdbRating: null,
+            imdbVotes: null,
+            source: null,
+            confidence: null
+        };
+
+        try {
+            const match = await metadataResolver.resolveForRatingKey(ratingKey, null, serverId);
+            if (!match?.imdbId) return row;
+
+            row.imdbId = match.imdbId;
+            row.source = match.source;
+            row.confidence = match.confidence;
+
+            Object.assign(row, await this._getRating(match.imdbId));
+        } catch (error) {
+            this.logger.debug('Could not resolve item for export', { ratingKey, error: error.message });
+        }
+
+        return row;
+    }
+
+    /**
+     * Get IMDb rating and votes, from the offline dataset when OMDb can't be used
+     * @private
+     * @param {string} imdbId - IMDb ID
+     * @returns {Promise<{imdbRating: number|null, imdbVotes: number|null}>}
+     */
+    async _getRating(imdbId) {
+        try {
+            const data = await omdbClient.getByIMDbId(imdbId);
+            const rating = parseFloat(data.imdbRating);
+            const votes = parseInt(String(data.imdbVotes || '').replace(/,/g, ''), 10);
+            return {
+                imdbRating: isNaN(rating) ? null : rating,
+                imdbVotes: isNaN(votes) ? null : votes
+            };
+        } catch (error) {
+            if (!OMDBClient.isUnavailable(error)) throw error;
+
+            const datasetRating = await imdbDataset.getRating(imdbId);
+            return {
+                imdbRating: datasetRating?.rating ?? null,
+                imdbVotes: datasetRating?.votes ?? null
+            };
+        }
+    }
+
+    /**
+     * Format rows as CSV (header row first, RFC 4180 quoting)
+     * SECURITY: Cells starting with =, +, - or @ are prefixed with ' so spreadsheets don't run them
+     * @param {Object[]} rows - Rows from getRows()
+     * @returns {string}
+     */
+    static toCSV(rows) {
+        const escape = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (/^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [LibraryExport.COLUMNS.map(column => column.header).join(',')];
+        rows.forEach(row => {
+            lines.push(LibraryExport.COLUMNS.map(column => escape(row[column.field])).join(','));
+        });
+
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Format rows as JSON
+     * @param {Object[]} rows - Rows from getRows()
+     * @returns {string}
+     */
+    static toJSON(rows) {
+        return JSON.stringify(rows, null, 2);
+    }
+}
+
+    // Export lifecycle, saved with the progress
+    LibraryExport.STATUS = Object.freeze({
+        RUNNING: 'running',
+        DONE: 'done',
+        STOPPED: 'stopped'
+    });
+
+    // CSV columns, in order
+    LibraryExport.COLUMNS = Object.freeze([
+        { field: 'ratingKey', header: 'plex_rating_key' },
+        { field: 'title', header: 'title' },
+        { field: 'year', header: 'year' },
+        { field: 'imdbId', header: 'imdb_id' },
+        { field: 'imdbRating', header: 'imdb_rating' },
+        { field: 'imdbVotes', header: 'imdb_votes' },
+        { field: 'source', header: 'match_source' },
+        { field: 'confidence', header: 'match_confidence' }
+    ]);
+
+    // Export to window
+    window.LibraryExport = LibraryExport;
+    window.libraryExport = new LibraryExport();
+}
+
+// Create const references for backwards compatibility
+const LibraryExport = window.LibraryExport;
+const libraryExport = window.libraryExport;
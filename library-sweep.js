@@ -0,0 +1,314 @@
+/**
+ * Library Sweep
+ * Crawls a Plex library section in the background and resolves every item through the
+ * MetadataResolver, so its OMDb answers are in the persistent cache before the library is browsed.
+ * Paced by the daily OMDb quota; can be paused and resumed from the popup, and picks up where
+ * it left off when the background restarts. Progress is kept in chrome.storage.local.
+ * A sweep only helps while its answers stay cached: sections larger than the persistent cache are
+ * refused, and a sweep pauses once the cache starts evicting entries used since it started.
+ */
+
+// Prevent duplicate injection
+if (typeof window.LibrarySweep === 'undefined') {
+
+class LibrarySweep {
+    constructor() {
+        this.logger = new Logger('LibrarySweep');
+        this.storageKey = 'librarySweep';
+        this.state = null;
+        this.running = null; // Promise of the crawl loop while it runs
+
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+        if (this.broker) {
+            return;
+        }
+
+        // Background was restarted mid-sweep - carry on
+        this.ready = this._load().then(() => {
+            if (this.state?.status === LibrarySweep.STATUS.RUNNING) {
+                this.logger.info('Resuming interrupted sweep', { sectionId: this.state.sectionId });
+                this._startLoop();
+            }
+        });
+    }
+
+    /**
+     * Read saved sweep state
+     * @private
+     */
+    async _load() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        this.state = result[this.storageKey] || null;
+    }
+
+    /**
+     * Save sweep state (the popup follows it through storage.onChanged)
+     * @private
+     */
+    async _save() {
+        this.state.updatedAt = Date.now();
+        await chrome.storage.local.set({ [this.storageKey]: this.state });
+    }
+
+    /**
+     * Get sweep progress
+     * @returns {Promise<Object|null>} Progress (see LibrarySweep.progress()), null if no sweep ran yet
+     */
+    async getStatus() {
+        if (this.broker) {
+            return this.broker.send('sweep.status');
+        }
+
+        await this.ready;
+        return LibrarySweep.progress(this.state);
+    }
+
+    /**
+     * Public view of a sweep state (without the pending rating keys)
+     * @param {Object|null} state - Sweep state
+     * @returns {{status: string, sectionId: string, sectionTitle: string, total: number, done: number,
+     *   matched: number, unmatched: number, failed: number, pausedReason: string|null, updatedAt: number}|null}
+     */
+    static progress(state) {
+        if (!state) return null;
+
+        const { pending, ...progress } = state;
+        return { ...progress, done: state.total - pending.length };
+    }
+
+    /**
+     * Start sweeping a library section, replacing any previous sweep
+     * @param {string} sectionId - Library section key
+     * @param {string} sectionTitle - Section name, for display
+     * @returns {Promise<Object>} Progress
+     */
+    async start(sectionId, sectionTitle = '') {
+        if (this.broker) {
+            return this.broker.send('sweep.start', { sectionId, sectionTitle });
+        }
+
+        await this.ready;
+        await plexClient.ready;
+        if (!plexClient.isAvailable()) {
+            throw new Error('Plex API not configured');
+        }
+
+        const serverId = await plexClient.fetchServerId();
+        const items = await plexClient.fetchSectionItems(sectionId);
+        const pending = items.map(item => String(item.ratingKey)).filter(key => /^\d+$/.test(key));
+
+        // Every item takes at least one cache entry; past the limit the sweep evicts its own results
+        if (pending.length > persistentCache.maxEntries) {
+            throw new Error(`This section has ${pending.length} items, more than the ${persistentCache.maxEntries} the rating cache keeps - ` +
+                'a sweep would push out its own results');
+        }
+
+        this.state = {
+            status: LibrarySweep.STATUS.RUNNING,
+            sectionId: String(sectionId),
+            sectionTitle: String(sectionTitle).substring(0, 200),
+            serverId, // Manual match overrides are stored per server
+            total: pending.length,
+            pending,
+            matched: 0,
+            unmatched: 0,
+            failed: 0,
+            pausedReason: null,
+            startedAt: Date.now()
+        };
+        await this._save();
+
+        this.logger.info('Sweep started', { sectionId, items: this.state.total });
+        this._startLoop();
+        return LibrarySweep.progress(this.state);
+    }
+
+    /**
+     * Pause the running sweep after the current item
+     * @returns {Promise<Object|null>} Progress
+     */
+    async pause() {
+        if (this.broker) {
+            return this.broker.send('sweep.pause');
+        }
+
+        await this.ready;
+        if (this.state?.status === LibrarySweep.STATUS.RUNNING) {
+            await this._pause(LibrarySweep.PAUSE_REASONS.USER);
+        }
+        return LibrarySweep.progress(this.state);
+    }
+
+    /**
+     * Resume a paused sweep
+     * @returns {Promise<Object|null>} Progress
+     */
+    async resume() {
+        if (this.broker) {
+            return this.broker.send('sweep.resume');
+        }
+
+        await this.ready;
+        if (this.state?.status === LibrarySweep.STATUS.PAUSED) {
+            this.state.status = LibrarySweep.STATUS.RUNNING;
+            this.state.pausedReason = null;
+            await this._save();
+            this._startLoop();
+        }
+        return LibrarySweep.progress(this.state);
+    }
+
+    /**
+     * Stop and forget the sweep
+     * @returns {Promise<null>}
+     */
+    async cancel() {
+        if (this.broker) {
+            return this.broker.send('sweep.cancel');
+        }
+
+        await this.ready;
+        this.state = null;
+        await chrome.storage.local.remove([this.storageKey]);
+        this.logger.info('Sweep cancelled');
+        return null;
+    }
+
+    /**
+     * Pause with a reason
+     * @private
+     * @param {string} reason - One of LibrarySweep.PAUSE_REASONS
+     */
+    async _pause(reason) {
+        this.state.status = LibrarySweep.STATUS.PAUSED;
+        this.state.pausedReason = reason;
+        await this._save();
+        this.logger.info('Sweep paused', { reason, remaining: this.state.pending.length });
+    }
+
+    /**
+     * Run the crawl loop unless it is already running
+     * @private
+     */
+    _startLoop() {
+        if (this.running) return;
+
+        this.running = this._loop()
+            .catch(async (error) => {
+                this.logger.error('Sweep stopped', { error: error.message });
+                if (this.state) await this._pause(LibrarySweep.PAUSE_REASONS.ERROR);
+            })
+            .finally(() => {
+                this.running = null;
+
+                // A new sweep was started while the previous loop was winding down
+                if (this.state?.status === LibrarySweep.STATUS.RUNNING && this.state.pending.length > 0) {
+                    this._startLoop();
+                }
+            });
+    }
+
+    /**
+     * Resolve pending items one by one until done, paused or cancelled
+     * Waits between items only when the previous one had to ask OMDb
+     * @private
+     */
+    async _loop() {
+        let lastUsed = null;
+
+        while (this.state?.status === LibrarySweep.STATUS.RUNNING && this.state.pending.length > 0) {
+            const quota = await omdbClient.getQuotaStatus();
+
+            // Leave room for the pages the user actually opens
+            if (quota.remaining <= CONFIG.POSTER_OVERLAY_RESERVED_REQUESTS) {
+                await this._pause(LibrarySweep.PAUSE_REASONS.QUOTA);
+                return;
+            }
+
+            if (lastUsed !== null && quota.used > lastUsed) {
+                await new Promise(resolve => setTimeout(resolve, CONFIG.LIBRARY_SWEEP_DELAY_MS));
+                if (this.state?.status !== LibrarySweep.STATUS.RUNNING) return;
+            }
+            lastUsed = quota.used;
+
+            const state = this.state;
+            const ratingKey = state.pending[0];
+            // Sweeps saved before the server was recorded resolve against the default server
+            const outcome = await this._sweepItem(ratingKey, state.serverId || null);
+
+            // Cancelled or restarted while the item was resolving
+            if (this.state !== state) return;
+
+            if (outcome === 'quota' || outcome === 'offline') {
+                await this._pause(outcome === 'quota' ? LibrarySweep.PAUSE_REASONS.QUOTA : LibrarySweep.PAUSE_REASONS.OFFLINE);
+                return;
+            }
+
+            state.pending.shift();
+            state[outcome]++;
+            await this._save();
+
+            // The cache is full of answers from this sweep (or pages opened meanwhile)
+            if (persistentCache.lastEvictedAccess >= state.startedAt && state.pending.length > 0) {
+                await this._pause(LibrarySweep.PAUSE_REASONS.CACHE);
+                return;
+            }
+        }
+
+        if (this.state?.status === LibrarySweep.STATUS.RUNNING) {
+            this.state.status = LibrarySweep.STATUS.DONE;
+            await this._save();
+            this.logger.info('Sweep finished', LibrarySweep.progress(this.state));
+        }
+    }
+
+    /**
+     * Resolve one item and fetch its OMDb record, which lands in the persistent cache
+     * @private
+     * @param {string} ratingKey - Plex rating key
+     * @param {string|null} serverId - Machine identifier of the swept server
+     * @returns {Promise<'matched'|'unmatched'|'failed'|'quota'|'offline'>}
+     */
+    async _sweepItem(ratingKey, serverId) {
+        try {
+            const match = await metadataResolver.resolveForRatingKey(ratingKey, null, serverId);
+            if (!match?.imdbId) {
+                return 'unmatched';
+            }
+
+            await omdbClient.getByIMDbId(match.imdbId);
+            return 'matched';
+        } catch (error) {
+            if (OMDBClient.isQuotaError(error)) return 'quota';
+            if (OMDBClient.isOfflineError(error)) return 'offline';
+
+            this.logger.warn('Sweep item failed', { ratingKey, error: error.message });
+            return 'failed';
+        }
+    }
+}
+
+    // Sweep lifecycle, saved with the progress
+    LibrarySweep.STATUS = Object.freeze({
+        RUNNING: 'running',
+        PAUSED: 'paused',
+        DONE: 'done'
+    });
+
+    // Why a sweep stopped before the end
+    LibrarySweep.PAUSE_REASONS = Object.freeze({
+        USER: 'user',
+        QUOTA: 'quota',
+        OFFLINE: 'offline',
+        CACHE: 'cache',
+        ERROR: 'error'
+    });
+
+    // Export to window
+    window.LibrarySweep = LibrarySweep;
+    window.librarySweep = new LibrarySweep();
+}
+
+// Create const references for backwards compatibility
+const LibrarySweep = window.LibrarySweep;
+const librarySweep = window.librarySweep;
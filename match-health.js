@@ -0,0 +1,295 @@
+/**
+ * Match Health
+ * Reports the items of a Plex library section that Plex itself has no IMDb ID for and that the
+ * OMDb title search couldn't match confidently, so they can be fixed with Plex's own "Fix Match"
+ * instead of being found one details page at a time. Built by a background job that keeps the
+ * report in chrome.storage.local, so the popup can be closed meanwhile and the job carries on when
+ * the background restarts; cheap after a library sweep since the OMDb answers come from the cache.
+ */
+
+// Prevent duplicate injection
+if (typeof window.MatchHealth === 'undefined') {
+
+class MatchHealth {
+    constructor() {
+        this.logger = new Logger('MatchHealth');
+        this.storageKey = 'matchHealth';
+        this.state = null;
+        this.running = null; // Promise of the check loop while it runs
+
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+        if (this.broker) {
+            return;
+        }
+
+        // Background was restarted mid-report - carry on
+        this.ready = this._load().then(() => {
+            if (this.state?.status === MatchHealth.STATUS.RUNNING) {
+                this.logger.info('Resuming interrupted match health report', { sectionId: this.state.sectionId });
+                this._startLoop();
+            }
+        });
+    }
+
+    /**
+     * Read saved report state
+     * @private
+     */
+    async _load() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        this.state = result[this.storageKey] || null;
+    }
+
+    /**
+     * Save report state (the popup follows it through storage.onChanged)
+     * @private
+     */
+    async _save() {
+        this.state.updatedAt = Date.now();
+        await chrome.storage.local.set({ [this.storageKey]: this.state });
+    }
+
+    /**
+     * Get the report and its progress
+     * @returns {Promise<Object|null>} Report (see MatchHealth.progress()), null if none was built yet
+     */
+    async getStatus() {
+        if (this.broker) {
+            return this.broker.send('health.status');
+        }
+
+        await this.ready;
+        return MatchHealth.progress(this.state);
+    }
+
+    /**
+     * Public view of a report state (without the pending items)
+     * @param {Object|null} state - Report state
+     * @returns {{status: string, sectionId: string, sectionTitle: string, total: number, done: number,
+     *   stoppedReason: string|null, updatedAt: number, items: Array<{ratingKey: string, title: string,
+     *   year: number|null, reason: string, imdbId: string|null, confidence: number|null, plexUrl: string,
+     *   searchUrl: string}>}|null}
+     */
+    static progress(state) {
+        if (!state) return null;
+
+        const { pending, ...progress } = state;
+        return { ...progress, done: state.total - pending.length };
+    }
+
+    /**
+     * Start the match health report of a library section, replacing any previous report
+     * Stops early when OMDb becomes unavailable (quota, offline, API key); the report then
+     * covers the items checked so far
+     * @param {string} sectionId - Library section key
+     * @param {string} sectionTitle - Section name, for display
+     * @returns {Promise<Object>} Report
+     */
+    async start(sectionId, sectionTitle = '') {
+        if (this.broker) {
+            return this.broker.send('health.start', { sectionId, sectionTitle });
+        }
+
+        await this.ready;
+        await plexClient.ready;
+        if (!plexClient.isAvailable()) {
+            throw new Error('Plex API not configured');
+        }
+
+        const serverId = await plexClient.fetchServerId();
+        const pending = (await plexClient.fetchSectionItems(sectionId))
+            .filter(item => /^\d+$/.test(String(item.ratingKey)))
+            // Only what an item check needs: the pending list is saved after every item
+            .map(item => ({
+                ratingKey: String(item.ratingKey),
+                title: item.title || '',
+                year: item.year || null,
+                guid: item.guid || null,
+                Guid: Array.isArray(item.Guid) ? item.Guid : []
+            }));
+
+        this.state = {
+            status: MatchHealth.STATUS.RUNNING,
+            sectionId: String(sectionId),
+            sectionTitle: String(sectionTitle).substring(0, 200),
+            serverId, // Manual match overrides are stored per server
+            total: pending.length,
+            pending,
+            items: [],
+            stoppedReason: null,
+            startedAt: Date.now()
+        };
+        await this._save();
+
+        this.logger.info('Match health report started', { sectionId, items: this.state.total });
+        this._startLoop();
+        return MatchHealth.progress(this.state);
+    }
+
+    /**
+     * Stop and forget the report
+     * @returns {Promise<null>}
+     */
+    async cancel() {
+        if (this.broker) {
+            return this.broker.send('health.cancel');
+        }
+
+        await this.ready;
+        this.state = null;
+        await chrome.storage.local.remove([this.storageKey]);
+        this.logger.info('Match health report cancelled');
+        return null;
+    }
+
+    /**
+     * Stop with a reason; the items found so far stay in the report
+     * @private
+     * @param {string} reason - Error message
+     */
+    async _stop(reason) {
+        this.state.status = MatchHealth.STATUS.STOPPED;
+        this.state.stoppedReason = reason;
+        await this._save();
+        this.logger.warn('Match health report stopped early', { sectionId: this.state.sectionId, reason });
+    }
+
+    /**
+     * Run the check loop unless it is already running
+     * @private
+     */
+    _startLoop() {
+        if (this.running) return;
+
+        this.running = this._loop()
+            .catch(async (error) => {
+                if (this.state) await this._stop(error.message);
+            })
+            .finally(() => {
+                this.running = null;
+
+                // A new report was started while the previous loop was winding down
+                if (this.state?.status === MatchHealth.STATUS.RUNNING && this.state.pending.length > 0) {
+                    this._startLoop();
+                }
+            });
+    }
+
+    /**
+     * Check pending items one by one until done, cancelled or OMDb becomes unavailable
+     * @private
+     */
+    async _loop() {
+        while (this.state?.status === MatchHealth.STATUS.RUNNING && this.state.pending.length > 0) {
+            const state = this.state;
+            const item = state.pending[0];
+            let problem;
+
+            try {
+                problem = await this._checkItem(item.ratingKey, item, state.serverId);
+            } catch (error) {
+                if (!OMDBClient.isUnavailable(error) || this.state !== state) throw error;
+
+                await this._stop(error.message);
+                return;
+            }
+
+            // Cancelled or restarted while the item was checked
+            if (this.state !== state) return;
+
+            state.pending.shift();
+            if (problem) {
+                state.items.push({
+                    ...problem,
+                    plexUrl: plexClient.buildDetailsUrl(state.serverId, item.ratingKey),
+                    searchUrl: URLUtils.imdbSearchUrl(problem.title, problem.year)
+                });
+            }
+            await this._save();
+        }
+
+        if (this.state?.status === MatchHealth.STATUS.RUNNING) {
+            this.state.status = MatchHealth.STATUS.DONE;
+            await this._save();
+            this.logger.info('Match health report built', {
+                sectionId: this.state.sectionId,
+                checked: this.state.total,
+                problems: this.state.items.length
+            });
+        }
+    }
+
+    /**
+     * Check one item; items with an IMDb guid in Plex are healthy without asking OMDb
+     * @private
+     * @param {string} ratingKey - Plex rating key
+     * @param {Object} item - Section listing entry (title/year/guids used if metadata can't be fetched)
+     * @param {string} serverId - Machine identifier of the default server (manual overrides are per server)
+     * @returns {Promise<{ratingKey: string, title: string, year: number|null, reason: string,
+     *   imdbId: string|null, confidence: number|null}|null>} Problem, null when the match is fine
+     */
+    async _checkItem(ratingKey, item, serverId) {
+        const metadata = await plexClient.fetchMetadata(ratingKey, serverId);
+        if (plexClient.extractIMDbId(metadata || item)) {
+            return null;
+        }
+
+        const problem = {
+            ratingKey,
+            title: metadata?.title || item.title || '',
+            year: metadata?.year || item.year || null,
+            reason: MatchHealth.REASONS.NO_MATCH,
+            imdbId: null,
+            confidence: null
+        };
+
+        let match;
+        try {
+            match = await metadataResolver.resolveForRatingKey(ratingKey, null, serverId);
+        } catch (error) {
+            if (OMDBClient.isUnavailable(error)) throw error;
+
+            this.logger.debug('Could not resolve item for match health', { ratingKey, error: error.message });
+            return { ...problem, reason: MatchHealth.REASONS.FAILED };
+        }
+
+        if (!match?.imdbId) {
+            return problem;
+        }
+
+        // TMDb/TVDB guids mapped to IMDb and overrides are trusted like an IMDb guid
+        if (!MetadataResolver.isTitleSearch(match) || match.confidence >= CONFIG.MATCH_LOW_CONFIDENCE_THRESHOLD) {
+            return null;
+        }
+
+        return {
+            ...problem,
+            reason: MatchHealth.REASONS.LOW_CONFIDENCE,
+            imdbId: match.imdbId,
+            confidence: match.confidence
+        };
+    }
+}
+
+    // Report lifecycle, saved with the progress
+    MatchHealth.STATUS = Object.freeze({
+        RUNNING: 'running',
+        DONE: 'done',
+        STOPPED: 'stopped'
+    });
+
+    // Why an item is in the report
+    MatchHealth.REASONS = Object.freeze({
+        NO_MATCH: 'no-match',
+        LOW_CONFIDENCE: 'low-confidence',
+        FAILED: 'failed'
+    });
+
+    // Export to window
+    window.MatchHealth = MatchHealth;
+    window.matchHealth = new MatchHealth();
+}
+
+// Create const references for backwards compatibility
+const MatchHealth = window.MatchHealth;
+const matchHealth = window.matchHealth;
@@ -0,0 +1,416 @@
+/**
+ * Match Menu
+ * "⋯" menu on the rating strip with a "Wrong match?" action:
+ * paste an IMDb URL/ID or pick one of OMDb's search candidates to override the match.
+ * With Plex writeback enabled it also offers to write the rating into Plex (previewed first).
+ * When the match didn't come from Plex's own metadata, "Fix Plex match" re-matches the item in Plex
+ * to the resolved IMDb ID after confirming the candidate Plex suggests
+ */
+
+// Prevent duplicate injection
+if (typeof window.MatchMenu === 'undefined') {
+
+class MatchMenu {
+    constructor() {
+        this.logger = new Logger('MatchMenu');
+        this.openMenu = null;
+        this.onDocumentClick = (event) => {
+            if (this.openMenu && !this.openMenu.contains(event.target)) {
+                this.close();
+            }
+        };
+    }
+
+    /**
+     * Attach menu to a rating strip
+     * @param {HTMLElement} strip - Rating strip element
+     * @param {Object} item - {imdbId, serverId, ratingKey, title, match} (match: resolver result)
+     * @param {Function} onChange - Called after an override was saved or removed
+     * @returns {Promise<HTMLElement|null>} Menu element, or null if the item can't be overridden
+     */
+    async attach(strip, { imdbId, serverId, ratingKey, title, match = null }, onChange) {
+        if (!MatchOverrides.key(serverId, ratingKey)) {
+            return null;
+        }
+
+        const override = await matchOverrides.get(serverId, ratingKey);
+        const writeback = await plexWriteback.getSettings();
+        const item = {
+            imdbId,
+            serverId,
+            ratingKey,
+            title,
+            hasOverride: !!override,
+            canWriteBack: writeback.enabled && plexClient.isAvailable(),
+            canFixPlexMatch: plexClient.isAvailable() && MatchMenu.canFixPlexMatch(match)
+        };
+
+        const menu = document.createElement('span');
+        menu.className = 'imdb-match-menu';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'imdb-match-menu-button';
+        button.textContent = '⋯';
+        button.title = override ? 'Match set manually' : 'Match options';
+        button.addEventListener('click', (event) => {
+            // Keep Plex from treating the click as navigation
+            event.preventDefault();
+            event.stopPropagation();
+
+            if (this.openMenu === menu) {
+                this.close();
+            } else {
+                this.open(menu, item, onChange);
+            }
+        });
+
+        menu.appendChild(button);
+        strip.appendChild(menu);
+        return menu;
+    }
+
+    /**
+     * Open the menu panel
+     * @param {HTMLElement} menu - Menu element
+     * @param {Object} item - Item being matched
+     * @param {Function} onChange - Change callback
+     */
+    open(menu, item, onChange) {
+        this.close();
+
+        const panel = document.createElement('div');
+        panel.className = 'imdb-match-panel';
+        panel.addEventListener('click', event => event.stopPropagation());
+
+        const wrongMatch = this.createAction('Wrong match?', () => {
+            panel.replaceChildren(...this.createOverrideForm(item, onChange));
+        });
+        panel.appendChild(wrongMatch);
+
+        if (item.hasOverride) {
+            panel.appendChild(this.createAction('Reset to automatic match', async () => {
+                const removed = await matchOverrides.remove(MatchOverrides.key(item.serverId, item.ratingKey));
+                if (removed) {
+                    this.close();
+                    onChange();
+                }
+            }));
+        }
+
+        if (item.canWriteBack) {
+            panel.appendChild(this.createAction('Write rating to Plex…', () => {
+                panel.replaceChildren(...this.createWritebackForm(item));
+            }));
+        }
+
+        if (item.canFixPlexMatch) {
+            panel.appendChild(this.createAction('Fix Plex match…', () => {
+                panel.replaceChildren(...this.createFixMatchForm(item));
+            }));
+        }
+
+        menu.appendChild(panel);
+        this.openMenu = menu;
+        document.addEventListener('click', this.onDocumentClick, true);
+    }
+
+    /**
+     * Close the open panel
+     */
+    close() {
+        if (!this.openMenu) return;
+
+        this.openMenu.querySelector('.imdb-match-panel')?.remove();
+        this.openMenu = null;
+        document.removeEventListener('click', this.onDocumentClick, true);
+    }
+
+    /**
+     * Create a panel action button
+     * @param {string} label - Button text
+     * @param {Function} handler - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    createAction(label, handler) {
+        const action = document.createElement('button');
+        action.type = 'button';
+        action.className = 'imdb-match-action';
+        action.textContent = label;
+        action.addEventListener('click', handler);
+        return action;
+    }
+
+    /**
+     * Create "Wrong match?" form: paste an ID/URL or search OMDb
+     * @param {Object} item - Item being matched
+     * @param {Function} onChange - Change callback
+     * @returns {HTMLElement[]} Panel children
+     */
+    createOverrideForm(item, onChange) {
+        const current = document.createElement('div');
+        current.className = 'imdb-match-current';
+        current.textContent = `Matched: ${item.imdbId}`;
+
+        const status = document.createElement('div');
+        status.className = 'imdb-match-status';
+
+        const choose = async (imdbId) => {
+            const saved = await matchOverrides.set(item.serverId, item.ratingKey, imdbId, item.title);
+            if (saved) {
+                this.close();
+                onChange();
+            } else {
+                status.textContent = 'Could not save the match';
+            }
+        };
+
+        // Paste IMDb URL or ID
+        const idInput = document.createElement('input');
+        idInput.type = 'text';
+        idInput.className = 'imdb-match-input';
+        idInput.placeholder = 'IMDb URL or ID (tt…)';
+
+        const useButton = this.createAction('Use', () => {
+            const imdbId = MatchOverrides.parseIMDbId(idInput.value);
+            if (!imdbId) {
+                status.textContent = 'Not an IMDb title URL or ID';
+                return;
+            }
+            choose(imdbId);
+        });
+
+        // Search OMDb candidates
+        const searchInput = document.createElement('input');
+        searchInput.type = 'text';
+        searchInput.className = 'imdb-match-input';
+        searchInput.value = item.title || '';
+        searchInput.placeholder = 'Search title';
+
+        const results = document.createElement('div');
+        results.className = 'imdb-match-results';
+
+        const searchButton = this.createAction('Search', async () => {
+            const query = searchInput.value.trim();
+            if (!query) return;
+
+            status.textContent = 'Searching…';
+            results.replaceChildren();
+
+            try {
+                const candidates = await this.search(query);
+                status.textContent = candidates.length > 0 ? '' : 'No results';
+                candidates.forEach(candidate => {
+                    results.appendChild(this.createCandidate(candidate, item.imdbId, choose));
+                });
+            } catch (error) {
+                status.textContent = OMDBClient.isQuotaError(error) ? error.message : 'Search failed';
+            }
+        });
+
+        // Enter submits the field it was pressed in
+        idInput.addEventListener('keydown', event => event.key === 'Enter' && useButton.click());
+        searchInput.addEventListener('keydown', event => event.key === 'Enter' && searchButton.click());
+
+        const pasteRow = document.createElement('div');
+        pasteRow.className = 'imdb-match-row';
+        pasteRow.append(idInput, useButton);
+
+        const searchRow = document.createElement('div');
+        searchRow.className = 'imdb-match-row';
+        searchRow.append(searchInput, searchButton);
+
+        return [current, pasteRow, searchRow, status, results];
+    }
+
+    /**
+     * Create "Write rating to Plex" form: dry-run preview, then write and offer undo
+     * @param {Object} item - Item to write
+     * @returns {HTMLElement[]} Panel children
+     */
+    createWritebackForm(item) {
+        const preview = document.createElement('div');
+        preview.className = 'imdb-match-current';
+        preview.textContent = 'Checking what would change…';
+
+        const status = document.createElement('div');
+        status.className = 'imdb-match-status';
+
+        const actions = document.createElement('div');
+        actions.className = 'imdb-match-row';
+
+        const target = { ratingKey: item.ratingKey, imdbId: item.imdbId, serverId: item.serverId };
+
+        const undoButton = this.createAction('Undo', async () => {
+            undoButton.disabled = true;
+            try {
+                const result = await plexWriteback.undoLast();
+                if (result?.restored) {
+                    status.textContent = 'Previous values restored';
+                } else if (result?.kept) {
+                    status.textContent = 'Undo failed - kept for another try';
+                    undoButton.disabled = false;
+                } else {
+                    status.textContent = 'Nothing to undo';
+                }
+            } catch (error) {
+                status.textContent = error.message;
+            }
+        });
+
+        const writeButton = this.createAction('Write', async () => {
+            writeButton.disabled = true;
+            status.textContent = 'Writing…';
+            try {
+                const result = await plexWriteback.apply(target);
+                status.textContent = result.changes.length > 0 ? 'Written to Plex' : 'Nothing to write';
+                if (result.changes.length > 0) actions.replaceChildren(undoButton);
+            } catch (error) {
+                status.textContent = error.message;
+                writeButton.disabled = false;
+            }
+        });
+        writeButton.disabled = true;
+        actions.appendChild(writeButton);
+
+        plexWriteback.preview(target)
+            .then(({ changes, skipped }) => {
+                if (changes.length === 0) {
+                    preview.textContent = skipped[0]?.reason || 'Nothing to write';
+                    return;
+                }
+                preview.textContent = PlexWriteback.describeChange(changes[0]);
+                writeButton.disabled = false;
+            })
+            .catch((error) => {
+                preview.textContent = error.message;
+            });
+
+        return [preview, actions, status];
+    }
+
+    /**
+     * Check if Plex should be offered the resolved IMDb ID as its match
+     * Only for matches Plex didn't provide itself: manual overrides and confident title searches
+     * @param {Object|null} match - Resolver result
+     * @returns {boolean}
+     */
+    static canFixPlexMatch(match) {
+        if (match?.source === MetadataResolver.SOURCES.OVERRIDE) return true;
+        return MetadataResolver.isTitleSearch(match) && match.confidence >= CONFIG.MATCH_LOW_CONFIDENCE_THRESHOLD;
+    }
+
+    /**
+     * Create "Fix Plex match" form: look up the IMDb ID with Plex's match search, confirm, apply
+     * @param {Object} item - Item to re-match
+     * @returns {HTMLElement[]} Panel children
+     */
+    createFixMatchForm(item) {
+        const suggestion = document.createElement('div');
+        suggestion.className = 'imdb-match-current';
+        suggestion.textContent = `Asking Plex for ${item.imdbId}…`;
+
+        const status = document.createElement('div');
+        status.className = 'imdb-match-status';
+
+        const actions = document.createElement('div');
+        actions.className = 'imdb-match-row';
+
+        Promise.all([
+            plexClient.fetchMatches(item.ratingKey, item.imdbId),
+            plexClient.fetchMetadata(item.ratingKey)
+        ])
+            .then(([candidates, metadata]) => {
+                const candidate = candidates[0];
+                if (!candidate) {
+                    suggestion.textContent = `Plex found no match for ${item.imdbId}`;
+                    return;
+                }
+
+                // SECURITY: Plex values only go through textContent
+                const label = `${candidate.name}${candidate.year ? ` (${candidate.year})` : ''}`;
+                if (metadata?.guid === candidate.guid) {
+                    suggestion.textContent = `Plex is already matched to ${label}`;
+                    return;
+                }
+
+                suggestion.textContent = `Match in Plex: ${label}${candidate.score !== null ? ` · score ${candidate.score}` : ''}`;
+                suggestion.title = candidate.guid;
+
+                const applyButton = this.createAction('Apply', async () => {
+                    applyButton.disabled = true;
+                    status.textContent = 'Updating Plex…';
+                    try {
+                        await plexClient.applyMatch(item.ratingKey, candidate);
+                        status.textContent = 'Plex match fixed - Plex is refreshing the metadata';
+                        actions.replaceChildren();
+                    } catch (error) {
+                        status.textContent = error.message;
+                        applyButton.disabled = false;
+                    }
+                });
+                actions.appendChild(applyButton);
+            })
+            .catch((error) => {
+                suggestion.textContent = error.message;
+            });
+
+        return [suggestion, actions, status];
+    }
+
+    /**
+     * Search OMDb and return valid candidates
+     * @param {string} query - Title to search
+     * @returns {Promise<Array<{imdbId: string, title: string, year: string, type: string}>>}
+     */
+    async search(query) {
+        try {
+            const data = await omdbClient.search(query);
+            return (data.Search || [])
+                .filter(result => CONFIG.PATTERNS.IMDB_ID.test(result.imdbID))
+                .map(result => ({
+                    imdbId: result.imdbID,
+                    title: String(result.Title || '').substring(0, 200),
+                    year: String(result.Year || '').substring(0, 20),
+                    type: String(result.Type || '').substring(0, 20)
+                }));
+        } catch (error) {
+            if (OMDBClient.isNotFoundError(error)) {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create a search result button
+     * SECURITY: OMDb values only go through textContent
+     * @param {Object} candidate - Search candidate
+     * @param {string} currentId - Currently matched IMDb ID
+     * @param {Function} choose - Called with the chosen IMDb ID
+     * @returns {HTMLButtonElement}
+     */
+    createCandidate(candidate, currentId, choose) {
+        const button = this.createAction(
+            `${candidate.title} (${candidate.year})${candidate.type ? ` · ${candidate.type}` : ''}`,
+            () => choose(candidate.imdbId)
+        );
+        button.classList.add('imdb-match-candidate');
+        button.title = candidate.imdbId;
+
+        if (candidate.imdbId === currentId) {
+            button.classList.add('current');
+        }
+
+        return button;
+    }
+}
+
+    // Export to window
+    window.MatchMenu = MatchMenu;
+    window.matchMenu = new MatchMenu();
+}
+
+// Create const references for backwards compatibility
+const MatchMenu = window.MatchMenu;
+const matchMenu = window.matchMenu;
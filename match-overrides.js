@@ -0,0 +1,156 @@
+/**
+ * Match Overrides
+ * Manually chosen IMDb IDs for Plex items the resolver got wrong
+ * Stored in chrome.storage.local, keyed by Plex server + rating key
+ */
+
+// Prevent duplicate injection
+if (typeof window.MatchOverrides === 'undefined') {
+
+class MatchOverrides {
+    constructor() {
+        this.storageKey = 'matchOverrides';
+        this.logger = new Logger('MatchOverrides');
+    }
+
+    /**
+     * Build override key for a Plex item
+     * @param {string} serverId - Plex server machine identifier
+     * @param {string} ratingKey - Plex rating key
+     * @returns {string|null} Key, or null if either part is missing
+     */
+    static key(serverId, ratingKey) {
+        if (!serverId || !ratingKey) return null;
+        return `${serverId}:${ratingKey}`;
+    }
+
+    /**
+     * Extract IMDb ID from pasted input (ID or any IMDb title URL)
+     * @param {string} input - User input
+     * @returns {string|null} IMDb ID
+     */
+    static parseIMDbId(input) {
+        if (!input || typeof input !== 'string') return null;
+        return URLUtils.extractPattern(input.trim(), [/\b(tt\d{7,8})\b/], CONFIG.PATTERNS.IMDB_ID);
+    }
+
+    /**
+     * Read all overrides
+     * @private
+     * @returns {Promise<Object<string, {imdbId: string, title: string|null, createdAt: number}>>}
+     */
+    _readAll() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get([this.storageKey], (result) => {
+                if (chrome.runtime.lastError) {
+                    this.logger.error('Failed to read match overrides', { error: chrome.runtime.lastError.message });
+                    resolve({});
+                    return;
+                }
+                resolve(result[this.storageKey] || {});
+            });
+        });
+    }
+
+    /**
+     * Write all overrides
+     * @private
+     * @param {Object} overrides - Overrides map
+     * @returns {Promise<boolean>} Success status
+     */
+    _writeAll(overrides) {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ [this.storageKey]: overrides }, () => {
+                if (chrome.runtime.lastError) {
+                    this.logger.error('Failed to save match overrides', { error: chrome.runtime.lastError.message });
+                    resolve(false);
+                    return;
+                }
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Get override for a Plex item
+     * @param {string} serverId - Plex server machine identifier
+     * @param {string} ratingKey - Plex rating key
+     * @returns {Promise<{imdbId: string, title: string|null, createdAt: number}|null>}
+     */
+    async get(serverId, ratingKey) {
+        const key = MatchOverrides.key(serverId, ratingKey);
+        if (!key) return null;
+
+        const overrides = await this._readAll();
+        const override = overrides[key];
+
+        // Storage is user-editable - re-validate before use
+        return override && CONFIG.PATTERNS.IMDB_ID.test(override.imdbId) ? override : null;
+    }
+
+    /**
+     * Save override for a Plex item
+     * @param {string} serverId - Plex server machine identifier
+     * @param {string} ratingKey - Plex rating key
+     * @param {string} imdbId - Chosen IMDb ID
+     * @param {string|null} title - Plex title, shown in the popup list
+     * @returns {Promise<boolean>} Success status
+     */
+    async set(serverId, ratingKey, imdbId, title = null) {
+        const key = MatchOverrides.key(serverId, ratingKey);
+        if (!key || !CONFIG.PATTERNS.IMDB_ID.test(imdbId)) {
+            this.logger.warn('Invalid match override', { key, imdbId });
+            return false;
+        }
+
+        const overrides = await this._readAll();
+        overrides[key] = {
+            imdbId,
+            title: title ? String(title).substring(0, 200) : null,
+            createdAt: Date.now()
+        };
+
+        const saved = await this._writeAll(overrides);
+        if (saved) {
+            this.logger.info('Match override saved', { key, imdbId });
+        }
+        return saved;
+    }
+
+    /**
+     * Remove override by key
+     * @param {string} key - Override key ("serverId:ratingKey")
+     * @returns {Promise<boolean>} Success status
+     */
+    async remove(key) {
+        const overrides = await this._readAll();
+        if (!(key in overrides)) return true;
+
+        delete overrides[key];
+        const saved = await this._writeAll(overrides);
+        if (saved) {
+            this.logger.info('Match override removed', { key });
+        }
+        return saved;
+    }
+
+    /**
+     * List all overrides, newest first
+     * @returns {Promise<Array<{key: string, imdbId: string, title: string|null, createdAt: number}>>}
+     */
+    async list() {
+        const overrides = await this._readAll();
+        return Object.entries(overrides)
+            .map(([key, override]) => ({ key, ...override }))
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+}
+
+    // Export to window
+    window.MatchOverrides = MatchOverrides;
+    window.matchOverrides = new MatchOverrides();
+}
+
+// Create const references for backwards compatibility
+const MatchOverrides = window.MatchOverrides;
+const matchOverrides = window.matchOverrides;
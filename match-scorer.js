@@ -0,0 +1,168 @@
+/**
+ * Match Scorer
+ * Scores OMDb search candidates against what we know about a Plex item:
+ * normalized title similarity, year distance, type, and (when available) runtime and director
+ */
+
+// Prevent duplicate injection
+if (typeof window.MatchScorer === 'undefined') {
+
+class MatchScorer {
+    constructor() {
+        // Relative weight of each signal; signals we can't compare are left out
+        this.weights = {
+            title: 0.5,
+            year: 0.25,
+            type: 0.1,
+            runtime: 0.1,
+            director: 0.15
+        };
+    }
+
+    /**
+     * Normalize title for comparison: case, diacritics, punctuation, leading article
+     * @param {string} title - Title
+     * @returns {string}
+     */
+    static normalizeTitle(title) {
+        // Limit input length to prevent ReDoS attacks
+        return String(title || '')
+            .substring(0, 300)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .replace(/^(the|a|an) /, '');
+    }
+
+    /**
+     * Levenshtein edit distance
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    static levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Similarity of two titles (0..1)
+     * "Title" vs "Title: Subtitle" counts as a near match
+     * @param {string} a - Title
+     * @param {string} b - Title
+     * @returns {number}
+     */
+    static titleSimilarity(a, b) {
+        const left = MatchScorer.normalizeTitle(a);
+        const right = MatchScorer.normalizeTitle(b);
+        if (!left || !right) return 0;
+        if (left === right) return 1;
+
+        const distance = MatchScorer.levenshtein(left, right);
+        const ratio = 1 - distance / Math.max(left.length, right.length);
+
+        const [shorter, longer] = left.length < right.length ? [left, right] : [right, left];
+        const isPrefix = longer.startsWith(`${shorter} `);
+
+        return Math.max(ratio, isPrefix ? 0.85 : 0);
+    }
+
+    /**
+     * First four-digit year in an OMDb/Plex year value ("1995", "2008–2013")
+     * @param {string|number|null} value
+     * @returns {number|null}
+     */
+    static parseYear(value) {
+        const match = String(value ?? '').match(/\b(\d{4})\b/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Score a single candidate
+     * @param {Object} candidate - OMDb search result or full record ({Title, Year, Type, Runtime?, Director?})
+     * @param {Object} query - {titles: string[], year, type, runtimeMinutes, directors}
+     * @returns {{confidence: number, signals: Object<string, number>}}
+     */
+    score(candidate, query) {
+        const signals = {};
+
+        signals.title = Math.max(0, ...(query.titles || [])
+            .filter(Boolean)
+            .map(title => MatchScorer.titleSimilarity(title, candidate.Title)));
+
+        const queryYear = MatchScorer.parseYear(query.year);
+        const candidateYear = MatchScorer.parseYear(candidate.Year);
+        if (queryYear && candidateYear) {
+            // Release year often differs by one between sources (festival vs. wide release)
+            const distance = Math.abs(queryYear - candidateYear);
+            signals.year = distance === 0 ? 1 : distance === 1 ? 0.75 : distance === 2 ? 0.4 : 0;
+        }
+
+        if (query.type && candidate.Type) {
+            signals.type = candidate.Type === query.type ? 1 : 0;
+        }
+
+        const candidateRuntime = parseInt(candidate.Runtime, 10);
+        if (query.runtimeMinutes && !isNaN(candidateRuntime)) {
+            const distance = Math.abs(query.runtimeMinutes - candidateRuntime);
+            signals.runtime = distance <= 3 ? 1 : distance <= 10 ? 0.6 : 0;
+        }
+
+        if (query.directors?.length && candidate.Director && candidate.Director !== 'N/A') {
+            const candidateDirectors = candidate.Director.split(',').map(MatchScorer.normalizeTitle);
+            signals.director = query.directors
+                .map(MatchScorer.normalizeTitle)
+                .some(director => candidateDirectors.includes(director)) ? 1 : 0;
+        }
+
+        let total = 0;
+        let weight = 0;
+        for (const [signal, value] of Object.entries(signals)) {
+            total += value * this.weights[signal];
+            weight += this.weights[signal];
+        }
+
+        return {
+            confidence: weight > 0 ? Math.round((total / weight) * 100) / 100 : 0,
+            signals
+        };
+    }
+
+    /**
+     * Score and sort candidates, best first (ties keep OMDb's order)
+     * @param {Object[]} candidates - OMDb search results
+     * @param {Object} query - See score()
+     * @returns {Array<{candidate: Object, confidence: number, signals: Object}>}
+     */
+    rank(candidates, query) {
+        return candidates
+            .map(candidate => ({ candidate, ...this.score(candidate, query) }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+}
+
+    // Export to window
+    window.MatchScorer = MatchScorer;
+    window.matchScorer = new MatchScorer();
+}
+
+// Create const references for backwards compatibility
+const MatchScorer = window.MatchScorer;
+const matchScorer = window.matchScorer;
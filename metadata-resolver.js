@@ -15,20 +15,50 @@ class MetadataResolver {
         this.cache = window.apiCache;
     }
 
+    /**
+     * Check if a match came from searching OMDb by title rather than an ID
+     * @param {Object|null} match - Resolver result
+     * @returns {boolean}
+     */
+    static isTitleSearch(match) {
+        return match?.source === MetadataResolver.SOURCES.PLEX_TITLE_SEARCH ||
+               match?.source === MetadataResolver.SOURCES.DOM_TITLE_SEARCH;
+    }
+
+    /**
+     * Build a resolver result
+     * @param {string} imdbId - IMDb ID
+     * @param {string} source - One of MetadataResolver.SOURCES
+     * @param {number} confidence - 0..1, 1 for ID-based strategies
+     * @param {string|null} matchedTitle - Title of the matched OMDb record, if known
+     * @param {string|null} matchedYear - Year of the matched OMDb record, if known
+     * @returns {{imdbId: string, source: string, confidence: number, matchedTitle: string|null, matchedYear: string|null}}
+     */
+    static result(imdbId, source, confidence = 1, matchedTitle = null, matchedYear = null) {
+        return { imdbId, source, confidence, matchedTitle, matchedYear };
+    }
+
     /**
      * Main resolver: Get IMDb ID with intelligent fallback
      * @param {Object} movieInfo - {title, year} from DOM
-     * @returns {Promise<string|null>} IMDb ID (e.g., "tt1234567")
+     * @returns {Promise<{imdbId: string, source: string, confidence: number, matchedTitle: string|null, matchedYear: string|null}|null>}
+     *   See MetadataResolver.result()
      */
     async resolveIMDbId(movieInfo) {
         this.logger.info('🔍 [MetadataResolver] Starting resolution', movieInfo);
 
+        // Strategy 0: Manual override set via "Wrong match?"
+        const override = await this.findOverride(this.plexClient?.extractRatingKey(window.location.href));
+        if (override) {
+            return override;
+        }
+
         // Strategy 1: Check if IMDb ID exists in page DOM
         this.logger.debug('🔍 [MetadataResolver] Strategy 1: Checking page DOM for IMDb ID...');
         const pageImdbId = this.findIMDbIdInPage();
         if (pageImdbId) {
             this.logger.info('✅ [MetadataResolver] IMDb ID found in page DOM', { imdbId: pageImdbId });
-            return pageImdbId;
+            return MetadataResolver.result(pageImdbId, MetadataResolver.SOURCES.PAGE);
         }
         this.logger.debug('❌ [MetadataResolver] No IMDb ID in page DOM');
 
@@ -53,34 +83,10 @@ class MetadataResolver {
                 metadata: plexData?.metadata ? 'present' : 'missing'
             });
 
-            if (plexData?.imdbId) {
-                this.logger.info('✅ [MetadataResolver] IMDb ID found via Plex API', {
-                    imdbId: plexData.imdbId,
-                    source: 'plex-metadata'
-                });
-                return plexData.imdbId;
-            }
-
-            // Plex has metadata but no IMDb ID
-            // Use original title for better OMDb search
-            if (plexData?.searchTerms) {
-                this.logger.info('🔄 [MetadataResolver] Using Plex original title for OMDb search', {
-                    originalTitle: plexData.searchTerms.originalTitle,
-                    title: plexData.searchTerms.title,
-                    year: plexData.searchTerms.year
-                });
-
-                const omdbData = await this.omdbClient.searchByTitle(
-                    plexData.searchTerms.originalTitle,
-                    plexData.searchTerms.year || ''
-                );
-
-                if (omdbData?.imdbID) {
-                    this.logger.info('✅ [MetadataResolver] IMDb ID found via OMDb (Plex original title)', {
-                        imdbId: omdbData.imdbID,
-                        originalTitle: plexData.searchTerms.originalTitle
-                    });
-                    return omdbData.imdbID;
+            if (plexData) {
+                const match = await this.resolveFromPlexData(plexData);
+                if (match) {
+                    return match;
                 }
                 this.logger.warn('❌ [MetadataResolver] OMDb search failed with Plex title');
             } else {
@@ -92,17 +98,19 @@ class MetadataResolver {
 
         // Strategy 3: Fallback to OMDb with DOM-extracted title
         this.logger.debug('🔍 [MetadataResolver] Strategy 3: Fallback to OMDb with DOM title...');
-        const omdbData = await this.omdbClient.searchByTitle(
-            movieInfo.title,
-            movieInfo.year || ''
-        );
+        // Page type is unknown without Plex metadata, so any type may match
+        const match = await this.findBestMatch({
+            titles: [movieInfo.title],
+            year: movieInfo.year || null
+        }, MetadataResolver.SOURCES.DOM_TITLE_SEARCH);
 
-        if (omdbData?.imdbID) {
+        if (match) {
             this.logger.info('✅ [MetadataResolver] IMDb ID found via OMDb (DOM title)', {
-                imdbId: omdbData.imdbID,
-                title: movieInfo.title
+                imdbId: match.imdbId,
+                title: movieInfo.title,
+                confidence: match.confidence
             });
-            return omdbData.imdbID;
+            return match;
         }
 
         // No IMDb ID found
@@ -110,6 +118,330 @@ class MetadataResolver {
         return null;
     }
 
+    /**
+     * Resolve IMDb ID from Plex data (Guid first, then OMDb search by type)
+     * Seasons resolve to their series, episodes resolve via series + season/episode numbers
+     * @param {Object} plexData - {imdbId, searchTerms, metadata} from PlexAPIClient.getIMDbData()
+     * @returns {Promise<Object|null>} Resolver result (see MetadataResolver.result())
+     */
+    async resolveFromPlexData(plexData) {
+        const terms = plexData.searchTerms;
+        const type = terms?.type;
+
+        // Seasons have no IMDb entry of their own - use the series
+        if (plexData.imdbId && type !== 'season') {
+            this.logger.info('✅ [MetadataResolver] IMDb ID found via Plex API', {
+                imdbId: plexData.imdbId,
+                source: 'plex-metadata',
+                type
+            });
+            return MetadataResolver.result(plexData.imdbId, MetadataResolver.SOURCES.PLEX);
+        }
+
+        if (!terms) {
+            return null;
+        }
+
+        if (type === 'season' || type === 'episode') {
+            // Without both numbers there is no episode to look up; the page title may still resolve it
+            if (type === 'episode' && (terms.season == null || terms.episode == null)) {
+                this.logger.warn('❌ [MetadataResolver] Episode has no season/episode number', { series: terms.seriesTitle });
+                return null;
+            }
+
+            const series = await this.resolveSeriesId(terms);
+            if (!series) {
+                this.logger.warn('❌ [MetadataResolver] Could not resolve series', { series: terms.seriesTitle });
+                return null;
+            }
+
+            if (type === 'season') {
+                this.logger.info('✅ [MetadataResolver] Season resolved to series', { imdbId: series.imdbId, season: terms.season });
+                return series;
+            }
+
+            let episodeData = null;
+            try {
+                episodeData = await this.omdbClient.getEpisode(series.imdbId, terms.season, terms.episode);
+            } catch (error) {
+                if (!OMDBClient.isNotFoundError(error)) throw error;
+            }
+
+            if (episodeData?.imdbID) {
+                this.logger.info('✅ [MetadataResolver] IMDb ID found via OMDb (series episode)', {
+                    imdbId: episodeData.imdbID,
+                    seriesId: series.imdbId,
+                    season: terms.season,
+                    episode: terms.episode
+                });
+                // An episode is only as certain as the series it was looked up in
+                return MetadataResolver.result(
+                    episodeData.imdbID,
+                    series.source,
+                    series.confidence,
+                    episodeData.Title || null,
+                    episodeData.Year || null
+                );
+            }
+            return null;
+        }
+
+        // Plex has metadata but no IMDb ID
+        // Use original title for better OMDb search
+        this.logger.info('🔄 [MetadataResolver] Using Plex original title for OMDb search', {
+            originalTitle: terms.originalTitle,
+            title: terms.title,
+            year: terms.year,
+            type
+        });
+
+        const match = await this.findBestMatch({
+            titles: [terms.originalTitle, terms.title],
+            year: terms.year,
+            type: MetadataResolver.toOMDbType(type),
+            runtimeMinutes: terms.runtimeMinutes,
+            directors: terms.directors
+        }, MetadataResolver.SOURCES.PLEX_TITLE_SEARCH);
+
+        if (match) {
+            this.logger.info('✅ [MetadataResolver] IMDb ID found via OMDb (Plex original title)', {
+                imdbId: match.imdbId,
+                originalTitle: terms.originalTitle,
+                confidence: match.confidence
+            });
+            return match;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve the series IMDb ID for a season or episode
+     * Prefers the show's own Plex metadata, falls back to OMDb series search
+     * @param {Object} terms - Search terms from PlexAPIClient.getBestSearchTerms()
+     * @returns {Promise<Object|null>} Resolver result for the series
+     */
+    async resolveSeriesId(terms) {
+        if (terms.seriesRatingKey) {
+            const seriesData = await this.plexClient.getIMDbData(terms.seriesRatingKey);
+
+            if (seriesData?.imdbId) {
+                return MetadataResolver.result(seriesData.imdbId, MetadataResolver.SOURCES.PLEX);
+            }
+
+            if (seriesData?.searchTerms) {
+                const match = await this.findBestMatch({
+                    titles: [seriesData.searchTerms.originalTitle, seriesData.searchTerms.title],
+                    year: seriesData.searchTerms.year,
+                    type: 'series'
+                }, MetadataResolver.SOURCES.PLEX_TITLE_SEARCH);
+                if (match) return match;
+            }
+        }
+
+        if (!terms.seriesTitle) {
+            return null;
+        }
+
+        // Episode/season year is not the series start year, so search without it
+        return this.findBestMatch({ titles: [terms.seriesTitle], type: 'series' }, MetadataResolver.SOURCES.PLEX_TITLE_SEARCH);
+    }
+
+    /**
+     * Find the best-scoring OMDb candidate for a title
+     * Runtime and director only come with full records, so those are fetched for the top few
+     * candidates when Plex provided them
+     * Without OMDb (no key, out of quota) candidates come from the offline IMDb dataset
+     * @param {Object} query - {titles: string[], year, type, runtimeMinutes, directors} (see MatchScorer.score)
+     * @param {string} source - Strategy recorded on the result (one of MetadataResolver.SOURCES)
+     * @returns {Promise<Object|null>} Resolver result, or null when nothing scores above
+     *   CONFIG.MATCH_CONFIDENCE_THRESHOLD
+     */
+    async findBestMatch(query, source) {
+        let candidates;
+        let fromDataset = false;
+
+        try {
+            candidates = await this.searchCandidates(query);
+        } catch (error) {
+            if (!OMDBClient.isUnavailable(error)) throw error;
+
+            candidates = await imdbDataset.search(query.titles, query.type).catch(() => []);
+            // Nothing offline either - let the caller report why OMDb failed
+            if (candidates.length === 0) throw error;
+
+            fromDataset = true;
+            this.logger.info('📴 [MetadataResolver] OMDb unavailable, searching IMDb dataset', { titles: query.titles });
+        }
+
+        if (candidates.length === 0) {
+            this.logger.debug('OMDb has no candidates', { titles: query.titles, type: query.type });
+            return null;
+        }
+
+        let ranked = matchScorer.rank(candidates, query);
+
+        // Dataset candidates already carry runtime
+        if (!fromDataset && (query.runtimeMinutes || query.directors?.length)) {
+            const detailed = await Promise.all(
+                ranked.slice(0, CONFIG.MATCH_DETAIL_CANDIDATES).map(({ candidate }) =>
+                    this.omdbClient.getByIMDbId(candidate.imdbID).catch((error) => {
+                        if (OMDBClient.isQuotaError(error)) throw error;
+                        return candidate;
+                    })
+                )
+            );
+            ranked = matchScorer.rank(detailed, query);
+        }
+
+        const best = ranked[0];
+        this.logger.debug('🎯 [MetadataResolver] Best OMDb candidate', {
+            imdbId: best.candidate.imdbID,
+            title: best.candidate.Title,
+            year: best.candidate.Year,
+            confidence: best.confidence,
+            signals: best.signals
+        });
+
+        if (best.confidence < CONFIG.MATCH_CONFIDENCE_THRESHOLD) {
+            this.logger.warn('❌ [MetadataResolver] No confident OMDb match', {
+                titles: query.titles,
+                bestTitle: best.candidate.Title,
+                confidence: best.confidence
+            });
+            return null;
+        }
+
+        return MetadataResolver.result(
+            best.candidate.imdbID,
+            source,
+            best.confidence,
+            best.candidate.Title || null,
+            best.candidate.Year || null
+        );
+    }
+
+    /**
+     * Collect OMDb search candidates for every distinct query title
+     * "Not found" is an empty result; other failures (network, API key, quota) still throw
+     * @param {Object} query - {titles: string[], type}
+     * @returns {Promise<Object[]>} Unique search results with valid IMDb IDs
+     */
+    async searchCandidates(query) {
+        const titles = [...new Set((query.titles || []).filter(Boolean))];
+        const candidates = new Map();
+
+        for (const title of titles) {
+            try {
+                // Year is scored rather than filtered so off-by-one release years still come back
+                const data = await this.omdbClient.search(title, '', query.type || '');
+                (data.Search || [])
+                    .filter(result => CONFIG.PATTERNS.IMDB_ID.test(result.imdbID))
+                    .forEach(result => {
+                        if (!candidates.has(result.imdbID)) candidates.set(result.imdbID, result);
+                    });
+            } catch (error) {
+                if (!OMDBClient.isNotFoundError(error)) throw error;
+            }
+        }
+
+        return Array.from(candidates.values());
+    }
+
+    /**
+     * Map Plex media type to OMDb type parameter
+     * @param {string} plexType - Plex type (movie, show, season, episode)
+     * @returns {string} OMDb type (movie, series, episode)
+     */
+    static toOMDbType(plexType) {
+        switch (plexType) {
+            case 'show':
+            case 'season':
+                return 'series';
+            case 'episode':
+                return 'episode';
+            default:
+                return 'movie';
+        }
+    }
+
+    /**
+     * Resolve IMDb ID for a Plex item that is not the current page (e.g. a library poster)
+     * Skips the page DOM strategy since the page belongs to a different item
+     * @param {string} ratingKey - Plex rating key
+     * @param {Object} fallbackInfo - {title, year} from the card, used when Plex API is unavailable
+     * @param {string|null} serverId - Machine identifier of the item's server (see defaultServerId())
+     * @returns {Promise<Object|null>} Resolver result (see MetadataResolver.result())
+     */
+    async resolveForRatingKey(ratingKey, fallbackInfo = null, serverId = null) {
+        this.logger.debug('🔍 [MetadataResolver] Resolving item', { ratingKey, fallbackInfo, serverId });
+
+        const itemServerId = serverId || await this.defaultServerId();
+        const override = await this.findOverride(ratingKey, itemServerId);
+        if (override) {
+            return override;
+        }
+
+        if (this.plexClient?.isAvailable(itemServerId)) {
+            const plexData = await this.plexClient.getIMDbData(ratingKey, itemServerId);
+
+            if (plexData) {
+                return this.resolveFromPlexData(plexData);
+            }
+        }
+
+        if (!fallbackInfo?.title) {
+            this.logger.debug('⏭️ [MetadataResolver] No search terms for item', { ratingKey });
+            return null;
+        }
+
+        return this.findBestMatch({
+            titles: [fallbackInfo.title],
+            year: fallbackInfo.year || null
+        }, MetadataResolver.SOURCES.DOM_TITLE_SEARCH);
+    }
+
+    /**
+     * Machine identifier of the server items belong to when the caller doesn't name one
+     * Plex Web pages name their server in the URL; the background tools (sweep, export, health)
+     * work on the default server
+     * @returns {Promise<string|null>}
+     */
+    async defaultServerId() {
+        const pageServerId = this.plexClient?.pageServerId() || null;
+        if (pageServerId || !this.plexClient || !RequestBroker.isBackground()) {
+            return pageServerId;
+        }
+
+        try {
+            return await this.plexClient.fetchServerId();
+        } catch (error) {
+            this.logger.debug('⚠️ [MetadataResolver] No default Plex server identifier', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Look up a manual match override for an item
+     * @param {string|null} ratingKey - Plex rating key
+     * @param {string|null} serverId - Machine identifier of the item's server (see defaultServerId())
+     * @returns {Promise<Object|null>} Resolver result for the overridden IMDb ID
+     */
+    async findOverride(ratingKey, serverId = null) {
+        const itemServerId = serverId || await this.defaultServerId();
+        const override = await matchOverrides.get(itemServerId, ratingKey);
+
+        if (override) {
+            this.logger.info('✅ [MetadataResolver] Using manual match override', {
+                imdbId: override.imdbId,
+                ratingKey,
+                serverId: itemServerId
+            });
+        }
+
+        return override ? MetadataResolver.result(override.imdbId, MetadataResolver.SOURCES.OVERRIDE) : null;
+    }
+
     /**
      * Search for IMDb ID in page DOM
      * @returns {string|null} IMDb ID if found
@@ -160,6 +492,15 @@ class MetadataResolver {
     }
 }
 
+    // Strategy that produced a match
+    MetadataResolver.SOURCES = Object.freeze({
+        OVERRIDE: 'override',
+        PAGE: 'page-dom',
+        PLEX: 'plex-metadata',
+        PLEX_TITLE_SEARCH: 'omdb-plex-title',
+        DOM_TITLE_SEARCH: 'omdb-dom-title'
+    });
+
     // Export to window
     window.MetadataResolver = MetadataResolver;
     window.metadataResolver = new MetadataResolver();
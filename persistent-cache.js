@@ -0,0 +1,266 @@
+/**
+ * Persistent cache backed by chrome.storage.local
+ * Owned by the background script so every Plex tab shares it and it survives reloads
+ * Sits behind the in-memory LRUCache as the second tier of ratingCache (cache.js)
+ */
+
+// Prevent duplicate injection
+if (typeof window.PersistentCache === 'undefined') {
+
+class PersistentCache {
+    constructor(maxEntries = CONFIG.PERSISTENT_CACHE_MAX_ENTRIES, ttlMinutes = CONFIG.PERSISTENT_CACHE_TTL_MINUTES) {
+        this.prefix = 'pcache:';
+        this.maxEntries = maxEntries;
+        this.ttl = ttlMinutes * 60 * 1000;
+        this.index = null; // key -> {expiry, lastAccess}, values stay in storage
+        this.loading = null;
+        this.hits = 0;
+        this.misses = 0;
+        this.lastEvictedAccess = 0; // Last use of the newest entry evicted while still fresh
+        this.logger = new Logger('PersistentCache');
+    }
+
+    /**
+     * Promisified chrome.storage.local call with error handling
+     * @private
+     * @param {string} method - get, set or remove
+     * @param {*} arg - Method argument
+     * @returns {Promise<Object|undefined>}
+     */
+    _storage(method, arg) {
+        return new Promise((resolve, reject) => {
+            chrome.storage.local[method](arg, (result) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Build the in-memory index from storage (once per background lifetime)
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _load() {
+        if (this.index) return;
+
+        if (!this.loading) {
+            this.loading = this._storage('get', null)
+                .then((items) => {
+                    const index = new Map();
+                    for (const [storageKey, item] of Object.entries(items || {})) {
+                        if (storageKey.startsWith(this.prefix) && item && item.expiry) {
+                            index.set(storageKey.slice(this.prefix.length), {
+                                expiry: item.expiry,
+                                lastAccess: item.timestamp || 0
+                            });
+                        }
+                    }
+                    this.index = index;
+                    this.logger.info('Persistent cache loaded', { size: index.size });
+                })
+                .catch((error) => {
+                    this.logger.error('Failed to load persistent cache', { error: error.message });
+                    this.index = new Map();
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+
+        await this.loading;
+    }
+
+    /**
+     * Get value from cache
+     * @param {string} key - Cache key
+     * @returns {Promise<*|null>} Cached value or null if expired/not found
+     */
+    async get(key) {
+        const entry = await this.getEntry(key);
+        return entry && !entry.stale ? entry.value : null;
+    }
+
+    /**
+     * Get cache entry including expired (stale) values
+     * Expired entries are kept for stale-while-revalidate and dropped first on eviction
+     * @param {string} key - Cache key
+     * @returns {Promise<{value: *, stale: boolean, timestamp: number}|null>}
+     */
+    async getEntry(key) {
+        await this._load();
+
+        const meta = this.index.get(key);
+        if (!meta) {
+            this.misses++;
+            return null;
+        }
+
+        try {
+            const storageKey = this.prefix + key;
+            const result = await this._storage('get', [storageKey]);
+            const item = result[storageKey];
+
+            if (!item) {
+                this.index.delete(key);
+                this.misses++;
+                return null;
+            }
+
+            meta.lastAccess = Date.now();
+
+            const stale = Date.now() > item.expiry;
+            if (stale) {
+                this.misses++;
+            } else {
+                this.hits++;
+            }
+
+            return { value: item.value, stale, timestamp: item.timestamp };
+        } catch (error) {
+            this.logger.error('Persistent cache read failed', { error: error.message, key });
+            this.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Set value in cache
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {number} ttlMs - Time to live for this entry (defaults to cache TTL)
+     * @returns {Promise<boolean>} Success status
+     */
+    async set(key, value, ttlMs = this.ttl) {
+        await this._load();
+
+        if (!this.index.has(key)) {
+            await this._evictIfFull();
+        }
+
+        const now = Date.now();
+        const item = { value, expiry: now + ttlMs, timestamp: now };
+
+        try {
+            await this._storage('set', { [this.prefix + key]: item });
+            this.index.set(key, { expiry: item.expiry, lastAccess: now });
+            return true;
+        } catch (error) {
+            this.logger.error('Persistent cache write failed', { error: error.message, key });
+            return false;
+        }
+    }
+
+    /**
+     * Make room for a new entry: drop expired entries, then least recently used
+     * @private
+     */
+    async _evictIfFull() {
+        if (this.index.size < this.maxEntries) return;
+
+        const now = Date.now();
+        const victims = [];
+
+        for (const [key, meta] of this.index) {
+            if (now > meta.expiry) victims.push(key);
+        }
+
+        if (victims.length === 0) {
+            let oldestKey = null;
+            let oldestAccess = Infinity;
+            for (const [key, meta] of this.index) {
+                if (meta.lastAccess < oldestAccess) {
+                    oldestAccess = meta.lastAccess;
+                    oldestKey = key;
+                }
+            }
+            if (oldestKey !== null) {
+                victims.push(oldestKey);
+                this.lastEvictedAccess = Math.max(this.lastEvictedAccess, oldestAccess);
+            }
+        }
+
+        await this._removeKeys(victims);
+        this.logger.debug('Persistent cache evicted entries', { count: victims.length });
+    }
+
+    /**
+     * Remove entries from storage and index
+     * @private
+     * @param {string[]} keys - Cache keys
+     */
+    async _removeKeys(keys) {
+        if (keys.length === 0) return;
+
+        keys.forEach(key => this.index.delete(key));
+
+        try {
+            await this._storage('remove', keys.map(key => this.prefix + key));
+        } catch (error) {
+            this.logger.error('Persistent cache remove failed', { error: error.message });
+        }
+    }
+
+    /**
+     * Delete specific key
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        await this._load();
+        await this._removeKeys([key]);
+    }
+
+    /**
+     * Delete every key starting with a prefix
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async deleteByPrefix(prefix) {
+        await this._load();
+        const keys = Array.from(this.index.keys()).filter(key => key.startsWith(prefix));
+        await this._removeKeys(keys);
+        return keys.length;
+    }
+
+    /**
+     * Clear all cache entries
+     */
+    async clear() {
+        await this._load();
+        await this._removeKeys(Array.from(this.index.keys()));
+        this.hits = 0;
+        this.misses = 0;
+        this.logger.info('Persistent cache cleared');
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<{size: number, maxSize: number, hits: number, misses: number, hitRate: string}>}
+     */
+    async getStats() {
+        await this._load();
+
+        const total = this.hits + this.misses;
+        const hitRate = total > 0 ? ((this.hits / total) * 100).toFixed(2) : '0.00';
+
+        return {
+            size: this.index.size,
+            maxSize: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: `${hitRate}%`
+        };
+    }
+}
+
+    // Export to window
+    window.PersistentCache = PersistentCache;
+    window.persistentCache = new PersistentCache();
+}
+
+// Create const references for backwards compatibility
+const PersistentCache = window.PersistentCache;
+const persistentCache = window.persistentCache;
@@ -2,6 +2,11 @@
  * Plex API Client
  * Fetches metadata directly from Plex Media Server
  * Integrates with existing extension architecture
+ * Only the background holds the tokens; content scripts fetch through the RequestBroker
+ * With several servers configured (see PlexServers), requests go to the server named in the
+ * page URL; background callers without a page use the default server
+ * A server's connections (LAN, plex.direct, relay) are raced when its profile is loaded; requests
+ * use the fastest one and fail over to another when it stops answering
  */
 
 // Prevent duplicate injection
@@ -11,48 +16,57 @@ class PlexAPIClient {
     constructor() {
         this.logger = window.logger || console;
         this.cache = window.apiCache;
-        this.plexToken = null;
+        this.plexToken = null; // Default server, kept for logging
         this.plexUrl = null;
+        this.servers = []; // Server profiles (background only)
+        this.status = null; // Broker mode: {available, serverIds, anyServer} from the background
+        this.connections = new Map(); // Profile key -> Promise of the connection URL in use (background only)
 
-        // Load Plex credentials from storage
-        this.loadCredentials();
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+
+        // Load Plex credentials from storage (or availability from the background)
+        this.ready = this.loadCredentials();
 
         // Listen for storage changes and reload credentials
         chrome.storage.onChanged.addListener((changes, areaName) => {
-            if (areaName === 'sync' && (changes.plexToken || changes.plexUrl)) {
+            if (areaName === 'sync' && (changes.plexServers || changes.plexToken || changes.plexUrl)) {
                 this.logger.info('🔄 [PlexAPI] Storage changed, reloading credentials');
-                this.loadCredentials();
+                this.ready = this.loadCredentials();
             }
         });
     }
 
     /**
-     * Load Plex token from storage
+     * Load Plex server profiles from storage
      * MEDIUM FIX: Use StorageUtils for consistent error handling
      */
     async loadCredentials() {
+        if (this.broker) {
+            try {
+                this.status = await this.broker.send('plex.status');
+            } catch (error) {
+                this.logger.warn('⚠️ [PlexAPI] Could not get Plex status from background', { error: error.message });
+                this.status = null;
+            }
+            return;
+        }
+
         const storage = window.storageUtils || window.StorageUtils;
         if (!storage) {
             this.logger.warn('⚠️ [PlexAPI] StorageUtils not available, using fallback');
             // Fallback to direct chrome.storage
             return new Promise((resolve) => {
-                chrome.storage.sync.get(['plexToken', 'plexUrl'], (result) => {
-                    this.plexToken = result.plexToken || null;
-                    this.plexUrl = result.plexUrl || null;
+                chrome.storage.sync.get(['plexServers', 'plexToken', 'plexUrl'], (result) => {
+                    this.setServers(PlexServers.normalize(result));
                     resolve();
                 });
             });
         }
 
-        const result = await storage.get(['plexToken', 'plexUrl'], {
-            plexToken: null,
-            plexUrl: null
-        });
-
-        this.plexToken = result.plexToken || null;
-        this.plexUrl = result.plexUrl || null;
+        this.setServers(await plexServers.list());
 
         this.logger.info('⚙️ [PlexAPI] Credentials loaded', {
+            servers: this.servers.length,
             hasToken: !!this.plexToken,
             tokenLength: this.plexToken ? this.plexToken.length : 0,
             url: this.plexUrl || 'NOT SET'
@@ -66,11 +80,161 @@ class PlexAPIClient {
     }
 
     /**
-     * Check if Plex API is available
+     * Use a set of server profiles (background only)
+     * @param {Object[]} servers - Profiles from PlexServers.normalize()
+     */
+    setServers(servers) {
+        this.servers = servers;
+        this.plexToken = servers[0]?.token || null;
+        this.plexUrl = servers[0]?.url || null;
+
+        // Race connections now so the first page doesn't wait on a dead one
+        this.connections.clear();
+        servers.forEach(server => this._getConnection(server));
+    }
+
+    /**
+     * Key of a profile in the connection map
+     * @private
+     * @param {Object} server - Server profile
+     * @returns {string}
+     */
+    _connectionKey(server) {
+        return server.machineIdentifier || server.url;
+    }
+
+    /**
+     * Get the connection URL to use for a server, racing its connections the first time
+     * @private
+     * @param {Object} server - Server profile
+     * @returns {Promise<string>}
+     */
+    _getConnection(server) {
+        const key = this._connectionKey(server);
+        if (!this.connections.has(key)) {
+            this.connections.set(key, this._raceConnections(server).then(url => url || server.url));
+        }
+        return this.connections.get(key);
+    }
+
+    /**
+     * Probe a server's connections at once and pick the first that answers as that server
+     * @private
+     * @param {Object} server - Server profile
+     * @param {string[]} exclude - Connections known to have just failed
+     * @returns {Promise<string|null>} Fastest working URL, null if none answered
+     */
+    async _raceConnections(server, exclude = []) {
+        const candidates = (server.connections || [server.url]).filter(url => !exclude.includes(url));
+        if (candidates.length === 0) return null;
+        if (candidates.length === 1 && exclude.length === 0) return candidates[0]; // Nothing to race
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CONFIG.PLEX_CONNECTION_PROBE_TIMEOUT_MS);
+
+        try {
+            const url = await Promise.any(candidates.map(candidate => this._probe(candidate, server, controller.signal)));
+            this.logger.info('🔌 [PlexAPI] Connection selected', { server: server.name || server.machineIdentifier, url });
+            return url;
+        } catch (error) {
+            this.logger.warn('⚠️ [PlexAPI] No connection answered', { server: server.name || server.machineIdentifier, tried: candidates.length });
+            return null;
+        } finally {
+            clearTimeout(timeoutId);
+            controller.abort(); // Drop the slower probes
+        }
+    }
+
+    /**
+     * Check that a connection answers as the profile's server
+     * @private
+     * @param {string} url - Connection URL
+     * @param {Object} server - Server profile (a profile without machine identifier accepts any server)
+     * @param {AbortSignal} signal - Abort signal of the race
+     * @returns {Promise<string>} The URL; rejects when it doesn't answer or is another server
+     */
+    async _probe(url, server, signal) {
+        const response = await fetch(`${url}/identity`, {
+            headers: {
+                'X-Plex-Token': server.token,
+                'Accept': 'application/json'
+            },
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`Plex API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (server.machineIdentifier && data.MediaContainer?.machineIdentifier !== server.machineIdentifier) {
+            throw new Error('Connection answered as another server');
+        }
+        return url;
+    }
+
+    /**
+     * Switch a server to another connection after the one in use stopped answering
+     * @private
+     * @param {Object} server - Server profile
+     * @param {string} failedUrl - Connection that failed
+     * @returns {Promise<string|null>} Connection to retry with, null if there is none
+     */
+    async _failover(server, failedUrl) {
+        if ((server.connections || []).length < 2) return null;
+
+        const key = this._connectionKey(server);
+        const current = await this.connections.get(key);
+        if (current && current !== failedUrl) {
+            return current; // Another request already failed over
+        }
+
+        this.logger.warn('🔀 [PlexAPI] Connection stopped answering, failing over', { url: failedUrl });
+        const next = this._raceConnections(server, [failedUrl]);
+        this.connections.set(key, next.then(url => url || failedUrl));
+        return next;
+    }
+
+    /**
+     * Get the profile of a server (background only)
+     * @param {string|null} serverId - Machine identifier; null for the default server
+     * @returns {{machineIdentifier: string|null, name: string, url: string, token: string}|null}
+     */
+    getServer(serverId = null) {
+        return PlexServers.find(this.servers, serverId);
+    }
+
+    /**
+     * Summary of the configured servers for content scripts (no URLs or tokens)
+     * @returns {{available: boolean, serverIds: string[], anyServer: boolean}}
+     */
+    getStatus() {
+        return {
+            available: this.servers.length > 0,
+            serverIds: this.servers.map(server => server.machineIdentifier).filter(Boolean),
+            anyServer: this.servers.some(server => !server.machineIdentifier)
+        };
+    }
+
+    /**
+     * Machine identifier of the server the current Plex Web page belongs to
+     * @returns {string|null} null outside Plex Web (background, popup) or on pages without a server
+     */
+    pageServerId() {
+        return this.extractServerId(window.location.href);
+    }
+
+    /**
+     * Check if Plex API is available for a server
+     * @param {string|null} serverId - Machine identifier (defaults to the current page's server)
      * @returns {boolean}
      */
-    isAvailable() {
-        return !!(this.plexToken && this.plexUrl);
+    isAvailable(serverId = this.pageServerId()) {
+        if (this.broker) {
+            const status = this.status;
+            if (!status?.available) return false;
+            return !serverId || status.anyServer || status.serverIds.includes(serverId);
+        }
+        return !!this.getServer(serverId);
     }
 
     /**
@@ -103,47 +267,131 @@ class PlexAPIClient {
     }
 
     /**
-     * Fetch metadata for a specific item
+     * Extract server machine identifier from Plex Web URL
+     * @param {string} url - Page URL (e.g. ".../#!/server/{machineIdentifier}/details?...")
+     * @returns {string|null} Machine identifier
+     */
+    extractServerId(url) {
+        return URLUtils.extractPattern(url, [/\/server\/([a-zA-Z0-9]+)\//], /^[a-zA-Z0-9]+$/);
+    }
+
+    /**
+     * Build Plex Web details URL for an item
+     * @param {string} serverId - Server machine identifier
      * @param {string} ratingKey - Plex rating key
-     * @returns {Promise<Object|null>} Metadata object
+     * @param {string} baseUrl - Plex Web base URL (defaults to app.plex.tv)
+     * @returns {string} Details page URL
      */
-    async fetchMetadata(ratingKey) {
-        if (!this.isAvailable()) {
-            this.logger.debug('Plex API not available');
-            return null;
-        }
+    buildDetailsUrl(serverId, ratingKey, baseUrl = 'https://app.plex.tv/desktop/') {
+        const key = encodeURIComponent(`/library/metadata/${ratingKey}`);
+        return `${baseUrl}#!/server/${encodeURIComponent(serverId)}/details?key=${key}`;
+    }
 
-        const cacheKey = `plex_metadata_${ratingKey}`;
-        const cached = this.cache?.get(cacheKey);
-        if (cached) {
-            this.logger.debug('Plex metadata cache hit', { ratingKey });
-            return cached;
+    /**
+     * Make authenticated request to a Plex server
+     * @param {string} path - API path (e.g. "/library/metadata/123")
+     * @param {string} method - HTTP method (edits use PUT and answer with an empty body)
+     * @param {string|null} serverId - Machine identifier; null for the default server
+     * @returns {Promise<Object|null>} Parsed JSON response (null for non-GET requests)
+     */
+    async request(path, method = 'GET', serverId = null) {
+        const server = this.getServer(serverId);
+        if (!server) {
+            throw new Error('No Plex server configured for this page');
         }
 
+        const url = await this._getConnection(server);
+        let response;
         try {
-            // Build Plex API URL
-            const apiUrl = `${this.plexUrl}/library/metadata/${ratingKey}`;
+            response = await this._fetch(url, path, method, server.token);
+        } catch (error) {
+            // Network error or timeout: the connection may be gone (e.g. left the LAN)
+            const next = await this._failover(server, url);
+            if (!next) throw error;
+            response = await this._fetch(next, path, method, server.token);
+        }
 
-            this.logger.debug('Fetching Plex metadata', { ratingKey, apiUrl });
+        if (!response.ok) {
+            throw new Error(`Plex API error: ${response.status} ${response.statusText}`);
+        }
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), CONFIG.PLEX_API_TIMEOUT_MS);
+        return method === 'GET' ? await response.json() : null;
+    }
+
+    /**
+     * Send one request to a connection
+     * @private
+     * @param {string} url - Connection URL
+     * @param {string} path - API path
+     * @param {string} method - HTTP method
+     * @param {string} token - Server token
+     * @returns {Promise<Response>}
+     */
+    async _fetch(url, path, method, token) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CONFIG.PLEX_API_TIMEOUT_MS);
 
-            const response = await fetch(apiUrl, {
+        try {
+            return await fetch(`${url}${path}`, {
+                method,
                 headers: {
-                    'X-Plex-Token': this.plexToken,
+                    'X-Plex-Token': token,
                     'Accept': 'application/json'
                 },
                 signal: controller.signal
             });
-
+        } finally {
             clearTimeout(timeoutId);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`Plex API error: ${response.status} ${response.statusText}`);
-            }
+    /**
+     * Cache key for a server's item data (rating keys are only unique per server)
+     * @private
+     * @param {string} kind - Data kind (metadata, children)
+     * @param {string} ratingKey - Plex rating key
+     * @param {string|null} serverId - Machine identifier; null for the default server
+     * @returns {string}
+     */
+    _cacheKey(kind, ratingKey, serverId) {
+        return `plex_${kind}_${this.getServer(serverId)?.machineIdentifier || 'default'}_${ratingKey}`;
+    }
+
+    /**
+     * Fetch metadata for a specific item
+     * @param {string} ratingKey - Plex rating key
+     * @param {string|null} serverId - Machine identifier (defaults to the current page's server)
+     * @returns {Promise<Object|null>} Metadata object
+     */
+    async fetchMetadata(ratingKey, serverId = this.pageServerId()) {
+        if (!this.isAvailable(serverId)) {
+            this.logger.debug('Plex API not available');
+            return null;
+        }
+
+        if (!/^\d+$/.test(String(ratingKey))) {
+            this.logger.warn('Invalid rating key', { ratingKey });
+            return null;
+        }
+
+        if (this.broker) {
+            return this.broker.send('plex.metadata', { ratingKey, serverId }).catch((error) => {
+                this.logger.error('Failed to fetch Plex metadata', { error: error.message, ratingKey });
+                return null;
+            });
+        }
+
+        const cacheKey = this._cacheKey('metadata', ratingKey, serverId);
+        const cached = this.cache?.get(cacheKey);
+        if (cached) {
+            this.logger.debug('Plex metadata cache hit', { ratingKey });
+            return cached;
+        }
 
-            const data = await response.json();
+        try {
+            this.logger.debug('Fetching Plex metadata', { ratingKey });
+
+            const data = await this.request(`/library/metadata/${ratingKey}`, 'GET', serverId);
 
             if (!data.MediaContainer?.Metadata?.[0]) {
                 this.logger.warn('Invalid Plex metadata response', { ratingKey });
@@ -180,34 +428,228 @@ class PlexAPIClient {
     }
 
     /**
-     * Extract IMDb ID from Plex metadata
+     * Fetch children of an item (seasons of a show, episodes of a season)
+     * @param {string} ratingKey - Plex rating key of the parent
+     * @param {string|null} serverId - Machine identifier (defaults to the current page's server)
+     * @returns {Promise<Object[]|null>} Child metadata objects
+     */
+    async fetchChildren(ratingKey, serverId = this.pageServerId()) {
+        if (!this.isAvailable(serverId) || !/^\d+$/.test(String(ratingKey))) {
+            return null;
+        }
+
+        if (this.broker) {
+            return this.broker.send('plex.children', { ratingKey, serverId }).catch((error) => {
+                this.logger.error('Failed to fetch Plex children', { error: error.message, ratingKey });
+                return null;
+            });
+        }
+
+        const cacheKey = this._cacheKey('children', ratingKey, serverId);
+        const cached = this.cache?.get(cacheKey);
+        if (cached) {
+            this.logger.debug('Plex children cache hit', { ratingKey });
+            return cached;
+        }
+
+        try {
+            const data = await this.request(`/library/metadata/${ratingKey}/children`, 'GET', serverId);
+            const children = data.MediaContainer?.Metadata || [];
+
+            if (this.cache) {
+                this.cache.set(cacheKey, children);
+            }
+
+            this.logger.debug('Plex children fetched', { ratingKey, count: children.length });
+            return children;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.logger.warn('Plex API request timeout', { ratingKey });
+            } else {
+                this.logger.error('Failed to fetch Plex children', {
+                    error: error.message,
+                    ratingKey
+                });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Fetch library sections (movie and show libraries)
+     * @returns {Promise<Array<{key: string, title: string, type: string}>|null>}
+     */
+    async fetchSections() {
+        if (!this.isAvailable()) {
+            return null;
+        }
+
+        if (this.broker) {
+            return this.broker.send('plex.sections').catch((error) => {
+                this.logger.error('Failed to fetch Plex sections', { error: error.message });
+                return null;
+            });
+        }
+
+        try {
+            const data = await this.request('/library/sections');
+            return (data.MediaContainer?.Directory || [])
+                .filter(section => ['movie', 'show'].includes(section.type) && /^\d+$/.test(String(section.key)))
+                .map(section => ({ key: String(section.key), title: section.title, type: section.type }));
+        } catch (error) {
+            this.logger.error('Failed to fetch Plex sections', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Get the machine identifier of the default server (background only)
+     * Profiles saved before identifiers were captured ask the server once
+     * @returns {Promise<string>} Machine identifier, as used in Plex Web URLs
+     */
+    async fetchServerId() {
+        const server = this.getServer();
+        if (!server) {
+            throw new Error('Plex API not configured');
+        }
+
+        if (!server.machineIdentifier) {
+            const data = await this.request('/identity');
+            const serverId = String(data.MediaContainer?.machineIdentifier || '');
+            if (!/^[a-zA-Z0-9]+$/.test(serverId)) {
+                throw new Error('Plex server did not report a machine identifier');
+            }
+            server.machineIdentifier = serverId;
+        }
+        return server.machineIdentifier;
+    }
+
+    /**
+     * Fetch all top-level items of a library section (background only)
+     * @param {string} sectionId - Library section key
+     * @returns {Promise<Object[]>} Metadata objects including Guid arrays
+     */
+    async fetchSectionItems(sectionId) {
+        if (!/^\d+$/.test(String(sectionId))) {
+            throw new Error(`Invalid library section: ${sectionId}`);
+        }
+
+        const data = await this.request(`/library/sections/${sectionId}/all?includeGuids=1`);
+        return data.MediaContainer?.Metadata || [];
+    }
+
+    /**
+     * Edit fields of an item through the library edit endpoint (background only)
+     * Field values are passed as Plex expects them, e.g. {'audienceRating.value': 8.4, 'audienceRating.locked': 1}
+     * @param {Object} metadata - Plex metadata of the item (needs ratingKey, type, librarySectionID)
+     * @param {Object<string, string|number>} fields - Edit parameters
+     * @param {string|null} serverId - Machine identifier; null for the default server
+     * @returns {Promise<void>}
+     */
+    async editMetadata(metadata, fields, serverId = null) {
+        const type = PlexAPIClient.TYPE_IDS[metadata?.type];
+        const ratingKey = String(metadata?.ratingKey ?? '');
+        const sectionId = String(metadata?.librarySectionID ?? '');
+
+        if (!type || !/^\d+$/.test(ratingKey) || !/^\d+$/.test(sectionId)) {
+            throw new Error('Item can\'t be edited');
+        }
+
+        const params = new URLSearchParams({ type, id: ratingKey, ...fields });
+        await this.request(`/library/sections/${sectionId}/all?${params}`, 'PUT', serverId);
+
+        // Next read must see the edit
+        this.cache?.delete(this._cacheKey('metadata', ratingKey, serverId));
+        this.logger.info('✏️ [PlexAPI] Metadata edited', { ratingKey, fields: Object.keys(fields) });
+    }
+
+    /**
+     * Ask Plex for match candidates of an item by IMDb ID (the "Fix Match" search)
+     * Plex's agents take "imdb-tt1234567" as the search title to look up an IMDb ID directly
+     * @param {string} ratingKey - Plex rating key
+     * @param {string} imdbId - IMDb ID to match against
+     * @param {string|null} serverId - Machine identifier (defaults to the current page's server)
+     * @returns {Promise<Array<{guid: string, name: string, year: number|null, score: number|null}>>}
+     *   Candidates, best first
+     */
+    async fetchMatches(ratingKey, imdbId, serverId = this.pageServerId()) {
+        if (!/^\d+$/.test(String(ratingKey)) || !CONFIG.PATTERNS.IMDB_ID.test(imdbId)) {
+            throw new Error('Invalid item or IMDb ID');
+        }
+
+        if (this.broker) {
+            return this.broker.send('plex.matches', { ratingKey, imdbId, serverId });
+        }
+
+        const params = new URLSearchParams({ manual: 1, title: `imdb-${imdbId}` });
+        const data = await this.request(`/library/metadata/${ratingKey}/matches?${params}`, 'GET', serverId);
+
+        return (data.MediaContainer?.SearchResult || [])
+            .filter(result => PlexAPIClient.isValidGuid(result.guid))
+            .map(result => ({
+                guid: result.guid,
+                name: String(result.name || '').substring(0, 200),
+                year: parseInt(result.year, 10) || null,
+                score: Number.isFinite(Number(result.score)) ? Number(result.score) : null
+            }))
+            .sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    }
+
+    /**
+     * Re-match an item to a candidate from fetchMatches(); Plex then refreshes its metadata
+     * @param {string} ratingKey - Plex rating key
+     * @param {{guid: string, name: string, year: number|null}} candidate - Chosen match
+     * @param {string|null} serverId - Machine identifier (defaults to the current page's server)
+     * @returns {Promise<void>}
+     */
+    async applyMatch(ratingKey, candidate, serverId = this.pageServerId()) {
+        if (!/^\d+$/.test(String(ratingKey)) || !PlexAPIClient.isValidGuid(candidate?.guid)) {
+            throw new Error('Invalid item or match');
+        }
+
+        if (this.broker) {
+            await this.broker.send('plex.match', { ratingKey, candidate, serverId });
+            return;
+        }
+
+        const params = new URLSearchParams({ guid: candidate.guid, name: String(candidate.name || '') });
+        if (candidate.year) params.set('year', candidate.year);
+        await this.request(`/library/metadata/${ratingKey}/match?${params}`, 'PUT', serverId);
+
+        // Guids and titles change with the match
+        this.cache?.delete(this._cacheKey('metadata', ratingKey, serverId));
+        this.logger.info('🔧 [PlexAPI] Match fixed', { ratingKey, guid: candidate.guid });
+    }
+
+    /**
+     * Check that a match guid looks like an agent guid (e.g. "plex://movie/5d77...", "com.plexapp.agents.imdb://tt...")
+     * @param {*} guid - Value to check
+     * @returns {boolean}
+     */
+    static isValidGuid(guid) {
+        return typeof guid === 'string' && guid.length <= 500 && /^[a-z][\w.+-]*:\/\/\S+$/i.test(guid);
+    }
+
+    /**
+     * Extract IMDb ID from Plex metadata guids (any agent format, no TMDb/TVDB mapping)
      * @param {Object} metadata - Plex metadata object
      * @returns {string|null} IMDb ID (e.g., "tt1234567")
      */
     extractIMDbId(metadata) {
         if (!metadata) return null;
 
-        // Check Guid field for IMDb ID
-        // Format: "com.plexapp.agents.imdb://tt1234567" or array of guids
-        const guids = metadata.Guid || [];
-
-        for (const guid of guids) {
-            const id = guid.id || guid;
+        const guids = GuidMapper.collectGuids(metadata);
+        const imdbGuid = guids.find(guid => guid.agent === 'imdb');
 
-            // Match IMDb pattern
-            const imdbMatch = id.match(/imdb:\/\/(tt\d+)/i) ||
-                            id.match(/(tt\d{7,})/i);
-
-            if (imdbMatch) {
-                const imdbId = imdbMatch[1];
-                this.logger.debug('Found IMDb ID in Plex metadata', { imdbId });
-                return imdbId;
-            }
+        if (imdbGuid) {
+            this.logger.debug('Found IMDb ID in Plex metadata', { imdbId: imdbGuid.id });
+            return imdbGuid.id;
         }
 
         this.logger.debug('No IMDb ID found in Plex metadata', {
             title: metadata.title,
-            guids: guids.length
+            guids: guids.map(guid => guid.agent)
         });
 
         return null;
@@ -216,18 +658,35 @@ class PlexAPIClient {
     /**
      * Get best title for searching
      * Returns original title if available, otherwise title
+     * Seasons and episodes also carry their series context
      * @param {Object} metadata - Plex metadata object
-     * @returns {Object} {title, year, originalTitle}
+     * @returns {Object} {title, year, originalTitle, type, seriesTitle?, seriesRatingKey?, season?, episode?}
      */
     getBestSearchTerms(metadata) {
         if (!metadata) return null;
 
-        return {
+        const terms = {
             title: metadata.title,
             originalTitle: metadata.originalTitle || metadata.title,
             year: metadata.year || null,
-            type: metadata.type // 'movie' or 'show'
+            type: metadata.type, // 'movie', 'show', 'season' or 'episode'
+            // Used to score OMDb candidates (duration is in milliseconds)
+            runtimeMinutes: metadata.duration ? Math.round(metadata.duration / 60000) : null,
+            directors: (metadata.Director || []).map(director => director.tag).filter(Boolean)
         };
+
+        if (metadata.type === 'season') {
+            terms.seriesTitle = metadata.parentTitle || null;
+            terms.seriesRatingKey = metadata.parentRatingKey || null;
+            terms.season = metadata.index ?? null;
+        } else if (metadata.type === 'episode') {
+            terms.seriesTitle = metadata.grandparentTitle || null;
+            terms.seriesRatingKey = metadata.grandparentRatingKey || null;
+            terms.season = metadata.parentIndex ?? null;
+            terms.episode = metadata.index ?? null;
+        }
+
+        return terms;
     }
 
     /**
@@ -247,7 +706,17 @@ class PlexAPIClient {
 
         this.logger.info('🔑 [PlexAPI] Rating key extracted', { ratingKey });
 
-        const metadata = await this.fetchMetadata(ratingKey);
+        return this.getIMDbData(ratingKey);
+    }
+
+    /**
+     * Get IMDb data for a specific item
+     * @param {string} ratingKey - Plex rating key
+     * @param {string|null} serverId - Machine identifier (defaults to the current page's server)
+     * @returns {Promise<Object|null>} {imdbId, searchTerms, metadata}
+     */
+    async getIMDbData(ratingKey, serverId = this.pageServerId()) {
+        const metadata = await this.fetchMetadata(ratingKey, serverId);
         if (!metadata) {
             this.logger.warn('⚠️ [PlexAPI] No metadata received');
             return null;
@@ -261,8 +730,8 @@ class PlexAPIClient {
             guidCount: metadata.Guid?.length || 0
         });
 
-        // Try to get IMDb ID directly
-        const imdbId = this.extractIMDbId(metadata);
+        // IMDb guid, or TMDb/TVDB guid mapped to IMDb
+        const imdbId = this.extractIMDbId(metadata) || await guidMapper.resolve(metadata);
 
         // Get search terms (with original title)
         const searchTerms = this.getBestSearchTerms(metadata);
@@ -283,6 +752,14 @@ class PlexAPIClient {
     }
 }
 
+    // Plex metadata type numbers used by the library edit endpoint
+    PlexAPIClient.TYPE_IDS = Object.freeze({
+        movie: 1,
+        show: 2,
+        season: 3,
+        episode: 4
+    });
+
     // Export to window
     window.PlexAPIClient = PlexAPIClient;
     window.plexClient = new PlexAPIClient();
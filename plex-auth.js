@@ -0,0 +1,381 @@
+/**
+ * Plex Auth
+ * "Sign in with Plex" through plex.tv's PIN flow: create a PIN, let the user approve it on
+ * app.plex.tv, poll until the PIN carries a token, then list the account's servers from the
+ * resources endpoint so one can be saved as a server profile without copying tokens or URLs.
+ * Runs in the background (the popup closes while the user signs in); progress is kept in
+ * chrome.storage.local. plex.tv is reached through CONFIG.PLEX_TV_BASE_URL; for testing, a local
+ * address saved as "plexTvBaseUrl" in chrome.storage.local (e.g. dev/mock-plex.js) replaces it.
+ */
+
+// Prevent duplicate injection
+if (typeof window.PlexAuth === 'undefined') {
+
+class PlexAuth {
+    constructor() {
+        this.logger = new Logger('PlexAuth');
+        this.storageKey = 'plexAuth';
+        this.clientIdKey = 'plexClientIdentifier';
+        this.baseUrlKey = 'plexTvBaseUrl'; // Development override of CONFIG.PLEX_TV_BASE_URL
+        this.polling = null; // Timer of the PIN poll while it runs
+
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+    }
+
+    /**
+     * Read sign-in state
+     * @private
+     * @returns {Promise<Object|null>}
+     */
+    async _load() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return result[this.storageKey] || null;
+    }
+
+    /**
+     * Save sign-in state (the popup follows it through storage.onChanged)
+     * @private
+     * @param {Object} state - Sign-in state
+     */
+    async _save(state) {
+        await chrome.storage.local.set({ [this.storageKey]: state });
+    }
+
+    /**
+     * Get the identifier plex.tv knows this browser by, created once
+     * @private
+     * @returns {Promise<string>}
+     */
+    async _clientId() {
+        const result = await chrome.storage.local.get([this.clientIdKey]);
+        if (result[this.clientIdKey]) {
+            return result[this.clientIdKey];
+        }
+
+        const clientId = crypto.randomUUID();
+        await chrome.storage.local.set({ [this.clientIdKey]: clientId });
+        return clientId;
+    }
+
+    /**
+     * Addresses of the plex.tv API and of the page where the user approves the PIN
+     * A saved override must be a local address (a mock), so a stray setting can't send sign-ins elsewhere
+     * @returns {Promise<{api: string, app: string}>}
+     */
+    async getEndpoints() {
+        const result = await chrome.storage.local.get([this.baseUrlKey]);
+        const override = String(result[this.baseUrlKey] || '').replace(/\/+$/, '');
+
+        if (PlexAuth.LOCAL_URL_PATTERN.test(override)) {
+            return { api: override, app: `${override}/auth` };
+        }
+        return { api: CONFIG.PLEX_TV_BASE_URL, app: CONFIG.PLEX_AUTH_APP_URL };
+    }
+
+    /**
+     * Call a plex.tv API endpoint
+     * @private
+     * @param {string} path - API path (e.g. "/api/v2/pins")
+     * @param {Object} options - {method, token}
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async _request(path, { method = 'GET', token = null } = {}) {
+        const headers = {
+            'Accept': 'application/json',
+            'X-Plex-Product': CONFIG.PLEX_PRODUCT_NAME,
+            'X-Plex-Version': chrome.runtime.getManifest().version,
+            'X-Plex-Client-Identifier': await this._clientId()
+        };
+        if (token) {
+            headers['X-Plex-Token'] = token;
+        }
+
+        const { api } = await this.getEndpoints();
+        const response = await fetch(`${api}${path}`, {
+            method,
+            headers,
+            signal: AbortSignal.timeout(CONFIG.FETCH_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw new Error(`plex.tv error: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Public view of the sign-in state (no tokens)
+     * @param {Object|null} state - Sign-in state
+     * @returns {{status: string, authUrl: string|null, error: string|null,
+     *   servers: Array<{machineIdentifier: string, name: string, owned: boolean}>}}
+     */
+    static view(state) {
+        return {
+            status: state?.status || PlexAuth.STATUS.IDLE,
+            authUrl: state?.authUrl || null,
+            error: state?.error || null,
+            servers: (state?.servers || []).map(({ machineIdentifier, name, owned }) => ({ machineIdentifier, name, owned }))
+        };
+    }
+
+    /**
+     * Start signing in: create a PIN and start polling it
+     * @returns {Promise<Object>} State view with the app.plex.tv URL to open
+     */
+    async start() {
+        if (this.broker) {
+            return this.broker.send('plexAuth.start');
+        }
+
+        this._stopPolling();
+
+        const pin = await this._request('/api/v2/pins?strong=true', { method: 'POST' });
+        if (!pin?.id || !pin?.code) {
+            throw new Error('plex.tv did not return a sign-in PIN');
+        }
+
+        const { app } = await this.getEndpoints();
+        const params = new URLSearchParams({
+            clientID: await this._clientId(),
+            code: pin.code,
+            'context[device][product]': CONFIG.PLEX_PRODUCT_NAME
+        });
+
+        const state = {
+            status: PlexAuth.STATUS.PENDING,
+            pinId: pin.id,
+            authUrl: `${app}#?${params}`,
+            expiresAt: pin.expiresAt ? Date.parse(pin.expiresAt) : Date.now() + (pin.expiresIn || 1800) * 1000,
+            servers: [],
+            error: null
+        };
+        await this._save(state);
+
+        this.logger.info('Plex sign-in started', { pinId: pin.id });
+        this._schedulePoll();
+        return PlexAuth.view(state);
+    }
+
+    /**
+     * Get sign-in state; a pending PIN is checked right away (the background may have been asleep)
+     * @returns {Promise<Object>} State view
+     */
+    async getStatus() {
+        if (this.broker) {
+            return this.broker.send('plexAuth.status');
+        }
+
+        let state = await this._load();
+        if (state?.status === PlexAuth.STATUS.PENDING) {
+            state = await this._checkPin(state);
+            if (state.status === PlexAuth.STATUS.PENDING) this._schedulePoll();
+        }
+        return PlexAuth.view(state);
+    }
+
+    /**
+     * Stop signing in and forget the servers found
+     * @returns {Promise<Object>} State view
+     */
+    async cancel() {
+        if (this.broker) {
+            return this.broker.send('plexAuth.cancel');
+        }
+
+        this._stopPolling();
+        await chrome.storage.local.remove([this.storageKey]);
+        return PlexAuth.view(null);
+    }
+
+    /**
+     * Save one of the account's servers as a server profile
+     * Connections are tried local first, then remote, then relayed; the first that answers as this server is
+     * saved as the URL and the others are kept for failover. The sign-in ends there, so the account's server
+     * tokens don't stay behind in storage
+     * @param {string} machineIdentifier - Server from the state's list
+     * @returns {Promise<{name: string, url: string}>} Saved server
+     */
+    async chooseServer(machineIdentifier) {
+        if (this.broker) {
+            return this.broker.send('plexAuth.choose', { machineIdentifier });
+        }
+
+        const state = await this._load();
+        const server = state?.servers?.find(candidate => candidate.machineIdentifier === machineIdentifier);
+        if (!server) {
+            throw new Error('Server not found - sign in again');
+        }
+
+        const connections = PlexAuth.orderConnections(server.connections);
+        for (const connection of connections) {
+            if (await this._identify(connection.uri, server.accessToken) !== machineIdentifier) continue;
+
+            const saved = await plexServers.save({
+                machineIdentifier,
+                name: server.name,
+                url: connection.uri,
+                token: server.accessToken,
+                connections: connections.map(candidate => candidate.uri)
+            });
+            if (!saved) {
+                throw new Error('Failed to save Plex settings');
+            }
+            await chrome.storage.local.remove([this.storageKey]);
+
+            this.logger.info('Plex server added from sign-in', { machineIdentifier, url: connection.uri });
+            return { name: server.name, url: connection.uri };
+        }
+
+        throw new Error(`Could not reach ${server.name}`);
+    }
+
+    /**
+     * Order a server's connections by how likely they are to work from this browser
+     * @param {Array<{uri: string, local: boolean, relay: boolean}>} connections - Resource connections
+     * @returns {Array<{uri: string, local: boolean, relay: boolean}>}
+     */
+    static orderConnections(connections) {
+        const rank = connection => (connection.relay ? 2 : connection.local ? 0 : 1);
+        return [...(connections || [])].sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * Ask a connection which server it is
+     * @private
+     * @param {string} url - Server URL
+     * @param {string} token - Server access token
+     * @returns {Promise<string|null>} Machine identifier, null if unreachable
+     */
+    async _identify(url, token) {
+        try {
+            const response = await fetch(`${url}/identity`, {
+                headers: { 'X-Plex-Token': token, 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(CONFIG.PLEX_API_TIMEOUT_MS)
+            });
+            if (!response.ok) return null;
+
+            const data = await response.json();
+            return data.MediaContainer?.machineIdentifier || null;
+        } catch (error) {
+            this.logger.debug('Plex connection unreachable', { url, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Poll the PIN again after CONFIG.PLEX_PIN_POLL_MS
+     * @private
+     */
+    _schedulePoll() {
+        if (this.polling) return;
+
+        this.polling = setTimeout(async () => {
+            this.polling = null;
+            try {
+                const state = await this._load();
+                if (state?.status !== PlexAuth.STATUS.PENDING) return;
+
+                const checked = await this._checkPin(state);
+                if (checked.status === PlexAuth.STATUS.PENDING) this._schedulePoll();
+            } catch (error) {
+                this.logger.error('Plex sign-in poll failed', { error: error.message });
+            }
+        }, CONFIG.PLEX_PIN_POLL_MS);
+    }
+
+    /**
+     * Stop polling
+     * @private
+     */
+    _stopPolling() {
+        clearTimeout(this.polling);
+        this.polling = null;
+    }
+
+    /**
+     * Check the PIN once; when it carries a token, fetch the account's servers
+     * @private
+     * @param {Object} state - Pending state
+     * @returns {Promise<Object>} Updated state
+     */
+    async _checkPin(state) {
+        if (Date.now() > state.expiresAt) {
+            state.status = PlexAuth.STATUS.EXPIRED;
+            await this._save(state);
+            return state;
+        }
+
+        try {
+            const pin = await this._request(`/api/v2/pins/${encodeURIComponent(state.pinId)}`);
+            if (!pin?.authToken) {
+                return state;
+            }
+
+            const current = await this._load();
+            if (current?.pinId !== state.pinId || current.status !== PlexAuth.STATUS.PENDING) {
+                return current || { status: PlexAuth.STATUS.IDLE }; // Cancelled or restarted meanwhile
+            }
+
+            state.servers = await this._fetchServers(pin.authToken);
+            state.status = PlexAuth.STATUS.SIGNED_IN;
+            delete state.pinId;
+            this.logger.info('Plex sign-in complete', { servers: state.servers.length });
+        } catch (error) {
+            state.status = PlexAuth.STATUS.ERROR;
+            state.error = error.message;
+            this.logger.error('Plex sign-in failed', { error: error.message });
+        }
+
+        await this._save(state);
+        return state;
+    }
+
+    /**
+     * List the servers the account can use
+     * @private
+     * @param {string} authToken - Account token from the PIN
+     * @returns {Promise<Array<{machineIdentifier: string, name: string, owned: boolean, accessToken: string,
+     *   connections: Array<{uri: string, local: boolean, relay: boolean}>}>>}
+     */
+    async _fetchServers(authToken) {
+        const resources = await this._request('/api/v2/resources?includeHttps=1&includeRelay=1', { token: authToken });
+
+        return (Array.isArray(resources) ? resources : [])
+            .filter(resource => String(resource.provides || '').split(',').includes('server') &&
+                /^[a-zA-Z0-9]+$/.test(resource.clientIdentifier) && resource.accessToken)
+            .map(resource => ({
+                machineIdentifier: resource.clientIdentifier,
+                name: String(resource.name || 'Plex Server').substring(0, 100),
+                owned: !!resource.owned,
+                accessToken: resource.accessToken,
+                connections: (resource.connections || [])
+                    .filter(connection => URLUtils.isValid(connection.uri))
+                    .map(connection => ({
+                        uri: connection.uri.replace(/\/+$/, ''),
+                        local: !!connection.local,
+                        relay: !!connection.relay
+                    }))
+            }));
+    }
+}
+
+    // Sign-in lifecycle, saved with the state
+    PlexAuth.STATUS = Object.freeze({
+        IDLE: 'idle',
+        PENDING: 'pending',
+        SIGNED_IN: 'signed-in',
+        EXPIRED: 'expired',
+        ERROR: 'error'
+    });
+
+    // Addresses accepted as a plexTvBaseUrl override
+    PlexAuth.LOCAL_URL_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d{1,5})?$/;
+
+    // Export to window
+    window.PlexAuth = PlexAuth;
+    window.plexAuth = new PlexAuth();
+}
+
+// Create const references for backwards compatibility
+const PlexAuth = window.PlexAuth;
+const plexAuth = window.plexAuth;
@@ -0,0 +1,178 @@
+/**
+ * Plex Origins
+ * Plex Web addresses the content scripts run on: the built-in app.plex.tv / :32400 / plex.direct
+ * ones, plus custom addresses (e.g. a server behind a reverse proxy at https://plex.example.lan)
+ * stored in chrome.storage.sync. The popup asks for the optional host permission of each custom
+ * one; the background registers the content scripts for the built-in and granted addresses.
+ */
+
+// Prevent duplicate injection
+if (typeof window.PlexOrigins === 'undefined') {
+
+class PlexOrigins {
+    constructor() {
+        this.storageKey = 'plexWebOrigins';
+        this.logger = new Logger('PlexOrigins');
+    }
+
+    /**
+     * Turn an address typed by the user into an origin
+     * @param {string} input - Address (e.g. "https://plex.example.lan/web/index.html")
+     * @returns {string|null} Origin (e.g. "https://plex.example.lan"), null if not an http(s) address
+     */
+    static normalize(input) {
+        let url;
+        try {
+            url = new URL(String(input || '').trim());
+        } catch (error) {
+            return null;
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol) || !url.hostname || url.hostname.includes('*')) {
+            return null;
+        }
+        return url.origin;
+    }
+
+    /**
+     * Match pattern covering an origin (for permissions, content scripts and tab queries)
+     * @param {string} origin - Origin from normalize()
+     * @returns {string}
+     */
+    static matchPattern(origin) {
+        return `${origin}/*`;
+    }
+
+    /**
+     * Read the saved origins
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        const stored = await storageUtils.get([this.storageKey], { [this.storageKey]: [] });
+        const origins = Array.isArray(stored[this.storageKey]) ? stored[this.storageKey] : [];
+        return [...new Set(origins.map(origin => PlexOrigins.normalize(origin)).filter(Boolean))];
+    }
+
+    /**
+     * Save an origin; the content scripts follow once its host permission is granted
+     * @param {string} origin - Origin from normalize()
+     * @param {string[]|null} [saved] - Origins already read with list(); the write then starts without waiting on a read
+     * @returns {Promise<boolean>} Success status
+     */
+    async add(origin, saved = null) {
+        const origins = saved ? [...saved] : await this.list();
+        if (!origins.includes(origin)) {
+            origins.push(origin);
+        }
+
+        const stored = await storageUtils.set({ [this.storageKey]: origins });
+        if (stored) {
+            this.logger.info('Plex Web origin added', { origin });
+        }
+        return stored;
+    }
+
+    /**
+     * Forget an origin and give its host permission back
+     * @param {string} origin - Saved origin
+     * @returns {Promise<boolean>} Success status
+     */
+    async remove(origin) {
+        const origins = (await this.list()).filter(existing => existing !== origin);
+
+        const saved = await storageUtils.set({ [this.storageKey]: origins });
+        if (saved) {
+            await chrome.permissions.remove({ origins: [PlexOrigins.matchPattern(origin)] }).catch((error) => {
+                this.logger.warn('Could not remove host permission', { origin, error: error.message });
+            });
+            this.logger.info('Plex Web origin removed', { origin });
+        }
+        return saved;
+    }
+
+    /**
+     * Saved origins whose host permission is granted
+     * @returns {Promise<string[]>}
+     */
+    async listGranted() {
+        const granted = [];
+        for (const origin of await this.list()) {
+            if (await chrome.permissions.contains({ origins: [PlexOrigins.matchPattern(origin)] })) {
+                granted.push(origin);
+            }
+        }
+        return granted;
+    }
+
+    /**
+     * Match patterns of all Plex Web pages, built-in and granted custom origins
+     * @returns {Promise<string[]>}
+     */
+    async listPatterns() {
+        const custom = await this.listGranted();
+        return [...PlexOrigins.BUILT_IN_MATCHES, ...custom.map(origin => PlexOrigins.matchPattern(origin))];
+    }
+
+    /**
+     * Register the content scripts for the built-in and granted origins (background only)
+     * Registrations that are already up to date are left alone, so pages loading meanwhile aren't missed
+     * @param {string[]} files - Content script files, in load order
+     * @returns {Promise<string[]>} Custom origins the scripts are registered for
+     */
+    async syncContentScripts(files) {
+        const origins = await this.listGranted();
+
+        const wanted = [{ id: PlexOrigins.SCRIPT_IDS.BUILT_IN, matches: [...PlexOrigins.BUILT_IN_MATCHES] }];
+        if (origins.length > 0) {
+            wanted.push({ id: PlexOrigins.SCRIPT_IDS.CUSTOM, matches: origins.map(origin => PlexOrigins.matchPattern(origin)) });
+        }
+
+        const sameList = (a = [], b = []) => a.length === b.length && a.every((value, index) => value === b[index]);
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: Object.values(PlexOrigins.SCRIPT_IDS) });
+
+        const stale = registered
+            .filter(script => {
+                const target = wanted.find(candidate => candidate.id === script.id);
+                return !target || !sameList(target.matches, script.matches) || !sameList(files, script.js);
+            })
+            .map(script => script.id);
+        if (stale.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: stale });
+        }
+
+        const missing = wanted.filter(target => stale.includes(target.id) || !registered.some(script => script.id === target.id));
+        if (missing.length > 0) {
+            await chrome.scripting.registerContentScripts(missing.map(target => ({
+                ...target,
+                js: files,
+                runAt: 'document_idle'
+            })));
+            this.logger.info('Plex Web content scripts registered', { ids: missing.map(target => target.id), origins: origins.length });
+        }
+
+        return origins;
+    }
+}
+
+    // Plex Web pages covered by the manifest host permissions
+    PlexOrigins.BUILT_IN_MATCHES = Object.freeze([
+        'https://app.plex.tv/*',
+        'http://localhost:32400/web/*',
+        'http://127.0.0.1:32400/web/*',
+        '*://*.plex.direct/*'
+    ]);
+
+    // Registered content script ids
+    PlexOrigins.SCRIPT_IDS = Object.freeze({
+        BUILT_IN: 'plex-web',
+        CUSTOM: 'plex-custom-origins'
+    });
+
+    // Export to window
+    window.PlexOrigins = PlexOrigins;
+    window.plexOrigins = new PlexOrigins();
+}
+
+// Create const references for backwards compatibility
+const PlexOrigins = window.PlexOrigins;
+const plexOrigins = window.plexOrigins;
@@ -0,0 +1,167 @@
+/**
+ * Plex Servers
+ * Connection profiles for one or more Plex servers: name, URL, token and the machine identifier
+ * Plex Web puts in its URLs (/server/{machineIdentifier}/), which picks the profile for a page.
+ * A profile can list several connection URLs (LAN, plex.direct, relay); PlexAPIClient uses the
+ * fastest one that answers.
+ * Stored in chrome.storage.sync; the first profile is the default server, used by the popup's
+ * library tools. Read by the background and the popup only - tokens never go to content scripts.
+ */
+
+// Prevent duplicate injection
+if (typeof window.PlexServers === 'undefined') {
+
+class PlexServers {
+    constructor() {
+        this.storageKey = 'plexServers';
+        this.logger = new Logger('PlexServers');
+    }
+
+    /**
+     * Clean up stored profiles; settings saved before profiles existed become one unidentified profile
+     * The saved URL is always the first connection
+     * @param {{plexServers?: Object[], plexToken?: string, plexUrl?: string}} stored - Storage values
+     * @returns {Array<{machineIdentifier: string|null, name: string, url: string, token: string, connections: string[]}>}
+     */
+    static normalize(stored) {
+        const servers = (Array.isArray(stored?.plexServers) ? stored.plexServers : [])
+            .filter(server => typeof server?.url === 'string' && server.url &&
+                typeof server.token === 'string' && server.token)
+            .map(server => ({
+                machineIdentifier: /^[a-zA-Z0-9]+$/.test(server.machineIdentifier) ? server.machineIdentifier : null,
+                name: String(server.name || '').substring(0, 100),
+                url: server.url,
+                token: server.token,
+                connections: PlexServers.connectionList(server.url, server.connections)
+            }));
+
+        if (servers.length === 0 && stored?.plexToken && stored?.plexUrl) {
+            servers.push({
+                machineIdentifier: null,
+                name: '',
+                url: stored.plexUrl,
+                token: stored.plexToken,
+                connections: [stored.plexUrl]
+            });
+        }
+
+        return servers;
+    }
+
+    /**
+     * Build a profile's connection list: the saved URL first, then other http(s) URLs without duplicates
+     * @param {string} url - Saved URL
+     * @param {string[]} connections - Other known connection URLs
+     * @returns {string[]}
+     */
+    static connectionList(url, connections = []) {
+        const urls = [url, ...(Array.isArray(connections) ? connections : [])]
+            .filter(candidate => typeof candidate === 'string' && /^https?:\/\/[^\s]+$/i.test(candidate))
+            .map(candidate => candidate.replace(/\/+$/, ''));
+        return [...new Set(urls)].slice(0, PlexServers.MAX_CONNECTIONS);
+    }
+
+    /**
+     * Pick the profile for a server
+     * A profile without a machine identifier (saved before they were captured) answers for any server
+     * @param {Object[]} servers - Profiles from normalize()
+     * @param {string|null} serverId - Machine identifier from the page URL; null for the default server
+     * @returns {Object|null} Profile
+     */
+    static find(servers, serverId = null) {
+        if (!serverId) {
+            return servers[0] || null;
+        }
+        return servers.find(server => server.machineIdentifier === serverId) ||
+               servers.find(server => !server.machineIdentifier) ||
+               null;
+    }
+
+    /**
+     * Read all profiles
+     * @returns {Promise<Array<{machineIdentifier: string|null, name: string, url: string, token: string}>>}
+     */
+    async list() {
+        const stored = await storageUtils.get([this.storageKey, 'plexToken', 'plexUrl'], {
+            [this.storageKey]: [],
+            plexToken: null,
+            plexUrl: null
+        });
+        return PlexServers.normalize(stored);
+    }
+
+    /**
+     * Add a profile, or replace the one for the same server (or URL)
+     * Connections already known for the server are kept after the new ones
+     * Also moves settings saved before profiles existed into the list
+     * @param {{machineIdentifier: string, name: string, url: string, token: string, connections?: string[]}} server - Tested profile
+     * @returns {Promise<boolean>} Success status
+     */
+    async save(server) {
+        const profile = PlexServers.normalize({ plexServers: [server] })[0];
+        if (!profile?.machineIdentifier) {
+            this.logger.warn('Invalid Plex server profile', { url: server?.url });
+            return false;
+        }
+
+        const servers = await this.list();
+        const index = servers.findIndex(existing =>
+            existing.machineIdentifier === profile.machineIdentifier ||
+            (!existing.machineIdentifier && existing.url === profile.url));
+
+        if (index >= 0) {
+            profile.connections = PlexServers.connectionList(profile.url, [
+                ...profile.connections,
+                ...servers[index].connections
+            ]);
+            servers[index] = profile;
+        } else {
+            servers.push(profile);
+        }
+
+        const saved = await storageUtils.set({ [this.storageKey]: servers });
+        if (saved) {
+            await storageUtils.remove(['plexToken', 'plexUrl']);
+            this.logger.info('Plex server saved', { machineIdentifier: profile.machineIdentifier, servers: servers.length });
+        }
+        return saved;
+    }
+
+    /**
+     * Remove a profile
+     * @param {{machineIdentifier: string|null, url: string}} server - Profile to remove
+     * @returns {Promise<boolean>} Success status
+     */
+    async remove(server) {
+        const servers = (await this.list()).filter(existing => server.machineIdentifier
+            ? existing.machineIdentifier !== server.machineIdentifier
+            : existing.url !== server.url);
+
+        const saved = await storageUtils.set({ [this.storageKey]: servers });
+        if (saved) {
+            await storageUtils.remove(['plexToken', 'plexUrl']);
+            this.logger.info('Plex server removed', { machineIdentifier: server.machineIdentifier });
+        }
+        return saved;
+    }
+
+    /**
+     * Remove all profiles
+     * @returns {Promise<boolean>} Success status
+     */
+    async clear() {
+        return storageUtils.remove([this.storageKey, 'plexToken', 'plexUrl']);
+    }
+}
+
+    // Connection URLs kept per profile (sync storage items are small)
+    PlexServers.MAX_CONNECTIONS = 8;
+
+    // Export to window
+    window.PlexServers = PlexServers;
+    window.plexServers = new PlexServers();
+}
+
+// Create const references for backwards compatibility
+const PlexServers = window.PlexServers;
+const plexServers = window.plexServers;
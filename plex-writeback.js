@@ -0,0 +1,460 @@
+/**
+ * Plex Writeback
+ * Writes IMDb ratings into Plex so libraries can be sorted and filtered by them:
+ * as the audience rating and/or a label such as "IMDb 8+".
+ * Opt-in (popup), per item (rating menu) or per library section (popup). Every run can be
+ * previewed without writing, and each write is kept in an undo log in chrome.storage.local.
+ * Writes are made by the background, which holds the Plex token; pages go through the RequestBroker.
+ */
+
+// Prevent duplicate injection
+if (typeof window.PlexWriteback === 'undefined') {
+
+class PlexWriteback {
+    constructor() {
+        this.logger = new Logger('PlexWriteback');
+        this.logKey = 'plexWritebackLog';
+        this.queue = Promise.resolve(); // One run at a time - undo entries must not interleave
+
+        this.broker = RequestBroker.isBackground() ? null : requestBroker;
+    }
+
+    /**
+     * Get writeback settings
+     * @returns {Promise<{enabled: boolean, audienceRating: boolean, label: boolean}>}
+     */
+    async getSettings() {
+        const result = await storageUtils.get(['plexWriteback'], { plexWriteback: null });
+        return { ...PlexWriteback.DEFAULT_SETTINGS, ...(result.plexWriteback || {}) };
+    }
+
+    /**
+     * Label for a rating, one per whole point ("IMDb 8+")
+     * @param {number} rating - IMDb rating
+     * @returns {string}
+     */
+    static labelFor(rating) {
+        return `IMDb ${Math.floor(rating)}+`;
+    }
+
+    /**
+     * Check if a label is one we write (replaced when the rating changes)
+     * @param {string} label - Plex label tag
+     * @returns {boolean}
+     */
+    static isOwnLabel(label) {
+        return /^IMDb \d+\+$/.test(label);
+    }
+
+    /**
+     * Fields we write, as they are on a Plex item
+     * @param {Object} metadata - Plex metadata
+     * @returns {{audienceRating: number|null, labels: string[]}}
+     */
+    static snapshot(metadata) {
+        return {
+            audienceRating: typeof metadata?.audienceRating === 'number' ? metadata.audienceRating : null,
+            labels: (metadata?.Label || []).map(label => label.tag).filter(Boolean)
+        };
+    }
+
+    /**
+     * Compare two snapshots
+     * @param {Object} a - Snapshot
+     * @param {Object} b - Snapshot
+     * @returns {boolean}
+     */
+    static sameSnapshot(a, b) {
+        return a.audienceRating === b.audienceRating &&
+            a.labels.length === b.labels.length &&
+            a.labels.every(label => b.labels.includes(label));
+    }
+
+    /**
+     * Work out the planned state of an item
+     * @param {{audienceRating: number|null, labels: string[]}} before - Current snapshot
+     * @param {number} rating - IMDb rating
+     * @param {{audienceRating: boolean, label: boolean}} settings - Fields to write
+     * @returns {{audienceRating: number|null, labels: string[]}}
+     */
+    static plan(before, rating, settings) {
+        return {
+            audienceRating: settings.audienceRating ? rating : before.audienceRating,
+            labels: settings.label
+                ? [...before.labels.filter(label => !PlexWriteback.isOwnLabel(label)), PlexWriteback.labelFor(rating)]
+                : before.labels
+        };
+    }
+
+    /**
+     * Build the Plex edits that turn one snapshot into another
+     * Label removals (label[].tag.tag-) and the indexed label list (label[i].tag.tag) are sent as
+     * separate edits: Plex applies only one of the two forms when a request mixes them
+     * @param {Object} from - Current snapshot
+     * @param {Object} to - Wanted snapshot
+     * @returns {Array<Object<string, string|number>>} Edit parameters, one object per request (empty if nothing changes)
+     */
+    static editSteps(from, to) {
+        const steps = [];
+
+        const removed = from.labels.filter(label => !to.labels.includes(label));
+        const added = to.labels.filter(label => !from.labels.includes(label));
+
+        if (removed.length > 0) {
+            steps.push({ 'label[].tag.tag-': removed.join(','), 'label.locked': 1 });
+        }
+        if (added.length > 0) {
+            // The whole wanted list, so the result is the same whether Plex merges or replaces
+            const fields = { 'label.locked': 1 };
+            to.labels.forEach((label, i) => {
+                fields[`label[${i}].tag.tag`] = label;
+            });
+            steps.push(fields);
+        }
+
+        if (from.audienceRating !== to.audienceRating) {
+            // Locked so the next metadata refresh doesn't put the agent's rating back
+            const rating = {
+                'audienceRating.value': to.audienceRating ?? '',
+                'audienceRating.locked': to.audienceRating === null ? 0 : 1
+            };
+            if (steps.length > 0) {
+                Object.assign(steps[0], rating);
+            } else {
+                steps.push(rating);
+            }
+        }
+
+        return steps;
+    }
+
+    /**
+     * Send the edits that turn one snapshot into another
+     * @private
+     * @param {Object} metadata - Plex metadata of the item
+     * @param {Object} from - Current snapshot
+     * @param {Object} to - Wanted snapshot
+     * @param {string|null} serverId - Machine identifier; null for the default server
+     * @returns {Promise<void>}
+     */
+    async _edit(metadata, from, to, serverId) {
+        for (const fields of PlexWriteback.editSteps(from, to)) {
+            await plexClient.editMetadata(metadata, fields, serverId);
+        }
+    }
+
+    /**
+     * Describe a planned writeback change
+     * @param {{before: Object, after: Object}} change - Planned or written change
+     * @returns {string} e.g. "Audience rating: 7.1 → 8.4 · Label: + IMDb 8+"
+     */
+    static describeChange({ before, after }) {
+        const parts = [];
+
+        if (before.audienceRating !== after.audienceRating) {
+            parts.push(`Audience rating: ${before.audienceRating ?? 'none'} → ${after.audienceRating ?? 'none'}`);
+        }
+
+        const added = after.labels.filter(label => !before.labels.includes(label));
+        const removed = before.labels.filter(label => !after.labels.includes(label));
+        if (added.length > 0 || removed.length > 0) {
+            const labels = [...added.map(label => `+ ${label}`), ...removed.map(label => `− ${label}`)];
+            parts.push(`Label: ${labels.join(', ')}`);
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Get the IMDb rating to write
+     * @param {string} imdbId - IMDb ID
+     * @returns {Promise<number|null>}
+     */
+    async getRating(imdbId) {
+        try {
+            const data = await omdbClient.getByIMDbId(imdbId);
+            const rating = parseFloat(data.imdbRating);
+            return isNaN(rating) ? null : rating;
+        } catch (error) {
+            if (!OMDBClient.isUnavailable(error)) throw error;
+
+            const datasetRating = await imdbDataset.getRating(imdbId);
+            if (datasetRating) {
+                return datasetRating.rating;
+            }
+            throw error; // Out of quota or offline: the run stops instead of skipping every item
+        }
+    }
+
+    /**
+     * Preview a writeback without changing anything
+     * @param {{ratingKey: string, imdbId?: string, serverId?: string}|{sectionId: string}} target - One item
+     *   (with the IMDb ID matched on the page and the page's server) or a whole library section of the
+     *   default server (items are matched by their Plex guids)
+     * @returns {Promise<{changes: Object[], skipped: Object[]}>} Planned changes and skipped items
+     */
+    async preview(target) {
+        if (this.broker) {
+            return this.broker.send('writeback.preview', { target });
+        }
+        return this.run(target, true);
+    }
+
+    /**
+     * Write IMDb ratings into Plex and record the previous values in the undo log
+     * @param {Object} target - See preview()
+     * @returns {Promise<{changes: Object[], skipped: Object[]}>} Changes written and skipped items
+     */
+    async apply(target) {
+        if (this.broker) {
+            return this.broker.send('writeback.apply', { target });
+        }
+        return this.run(target, false);
+    }
+
+    /**
+     * Queue a run
+     * @private
+     * @param {Object} target - See preview()
+     * @param {boolean} dryRun - Only plan
+     * @returns {Promise<{changes: Object[], skipped: Object[]}>}
+     */
+    run(target, dryRun) {
+        const pending = this.queue.then(() => this._run(target, dryRun));
+        this.queue = pending.catch(() => {});
+        return pending;
+    }
+
+    /**
+     * Plan (and optionally write) a target, queued behind other runs
+     * @private
+     */
+    async _run(target, dryRun) {
+        const settings = await this.getSettings();
+        if (!settings.enabled || (!settings.audienceRating && !settings.label)) {
+            throw new Error('Writing ratings to Plex is turned off');
+        }
+
+        await plexClient.ready;
+        if (!plexClient.isAvailable(target?.serverId || null)) {
+            throw new Error('Plex API not configured');
+        }
+
+        // Library runs use the default server; its identifier is needed for manual match overrides
+        const serverId = target?.serverId || await plexClient.fetchServerId();
+
+        let items;
+        if (target?.sectionId) {
+            items = (await plexClient.fetchSectionItems(target.sectionId))
+                .map(item => ({ ratingKey: String(item.ratingKey), title: item.title }));
+        } else if (/^\d+$/.test(String(target?.ratingKey))) {
+            items = [{ ratingKey: String(target.ratingKey), imdbId: target.imdbId }];
+        } else {
+            throw new Error('Nothing to write');
+        }
+
+        const changes = [];
+        const skipped = [];
+
+        for (const item of items) {
+            try {
+                const change = await this._planItem(item, settings, serverId);
+                if (change.skip) {
+                    skipped.push({ ratingKey: item.ratingKey, title: change.title, reason: change.skip });
+                    continue;
+                }
+                if (!dryRun) {
+                    await this._edit(change.metadata, change.before, change.after, serverId);
+                }
+                delete change.metadata;
+                changes.push(change);
+            } catch (error) {
+                // Out of quota or offline with no dataset rating: the remaining items would fail the same way
+                if (OMDBClient.isQuotaError(error) || OMDBClient.isOfflineError(error)) throw error;
+                this.logger.warn('Writeback failed for item', { ratingKey: item.ratingKey, error: error.message });
+                skipped.push({ ratingKey: item.ratingKey, title: item.title || null, reason: error.message });
+            }
+        }
+
+        if (!dryRun && changes.length > 0) {
+            await this._record(target, changes);
+        }
+
+        this.logger.info(dryRun ? 'Writeback previewed' : 'Writeback applied', {
+            changes: changes.length,
+            skipped: skipped.length
+        });
+
+        return { changes, skipped };
+    }
+
+    /**
+     * Plan the change for one item
+     * @private
+     * @param {{ratingKey: string, imdbId?: string, title?: string}} item - Item to plan
+     * @param {Object} settings - Writeback settings
+     * @param {string} serverId - Machine identifier of the item's server
+     * @returns {Promise<Object>} Change ({ratingKey, title, imdbId, rating, before, after, metadata}) or {title, skip}
+     */
+    async _planItem(item, settings, serverId) {
+        const metadata = await plexClient.fetchMetadata(item.ratingKey, serverId);
+        if (!metadata) {
+            return { title: item.title || null, skip: 'Not found on the Plex server' };
+        }
+
+        // A manual match override wins, as it does on the page
+        const override = await matchOverrides.get(serverId, item.ratingKey);
+        const imdbId = override?.imdbId || (item.imdbId && CONFIG.PATTERNS.IMDB_ID.test(item.imdbId)
+            ? item.imdbId
+            : plexClient.extractIMDbId(metadata) || await guidMapper.resolve(metadata));
+        if (!imdbId) {
+            return { title: metadata.title, skip: 'No IMDb ID' };
+        }
+
+        const rating = await this.getRating(imdbId);
+        if (rating === null) {
+            return { title: metadata.title, skip: 'No IMDb rating' };
+        }
+
+        const before = PlexWriteback.snapshot(metadata);
+        const after = PlexWriteback.plan(before, rating, settings);
+        if (PlexWriteback.sameSnapshot(before, after)) {
+            return { title: metadata.title, skip: 'Already up to date' };
+        }
+
+        return {
+            ratingKey: String(metadata.ratingKey),
+            title: metadata.title,
+            imdbId,
+            rating,
+            before,
+            after,
+            metadata
+        };
+    }
+
+    /**
+     * Read the undo log
+     * @private
+     * @returns {Promise<Object[]>} Runs, newest last
+     */
+    async _readLog() {
+        const result = await chrome.storage.local.get([this.logKey]);
+        return Array.isArray(result[this.logKey]) ? result[this.logKey] : [];
+    }
+
+    /**
+     * Add a run to the undo log, dropping the oldest runs over the limit
+     * @private
+     * @param {Object} target - Run target
+     * @param {Object[]} changes - Changes written
+     */
+    async _record(target, changes) {
+        const log = await this._readLog();
+        log.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            at: Date.now(),
+            target,
+            changes: changes.map(({ ratingKey, title, before, after }) => ({ ratingKey, title, before, after }))
+        });
+        await chrome.storage.local.set({ [this.logKey]: log.slice(-CONFIG.PLEX_WRITEBACK_UNDO_RUNS) });
+    }
+
+    /**
+     * Summarize the undo log
+     * @returns {Promise<Array<{id: string, at: number, target: Object, count: number}>>} Runs, newest first
+     */
+    async getLog() {
+        if (this.broker) {
+            return this.broker.send('writeback.log');
+        }
+
+        const log = await this._readLog();
+        return log
+            .map(({ id, at, target, changes }) => ({ id, at, target, count: changes.length }))
+            .reverse();
+    }
+
+    /**
+     * Undo the latest run: put back the previous values on items that still hold what we wrote
+     * Items edited since (in Plex or by a later run) are left alone; items that failed (e.g. server
+     * unreachable) stay in the log so undo can be tried again
+     * @returns {Promise<{restored: number, skipped: number, failed: number, kept: boolean}|null>}
+     *   null when the log is empty; kept is true when the run (or its failed items) is still in the log
+     */
+    async undoLast() {
+        if (this.broker) {
+            return this.broker.send('writeback.undo');
+        }
+
+        const pending = this.queue.then(() => this._undoLast());
+        this.queue = pending.catch(() => {});
+        return pending;
+    }
+
+    /**
+     * Undo the latest run, queued behind other runs
+     * @private
+     */
+    async _undoLast() {
+        const log = await this._readLog();
+        const run = log.pop();
+        if (!run) return null;
+
+        // Runs are recorded with their target, which names the server for single items
+        const serverId = run.target?.serverId || null;
+
+        await plexClient.ready;
+        if (!plexClient.isAvailable(serverId)) {
+            throw new Error('Plex API not configured');
+        }
+
+        let restored = 0;
+        let skipped = 0;
+        const failed = [];
+
+        for (const change of run.changes) {
+            try {
+                const metadata = await plexClient.fetchMetadata(change.ratingKey, serverId);
+                if (!metadata || !PlexWriteback.sameSnapshot(PlexWriteback.snapshot(metadata), change.after)) {
+                    skipped++;
+                    continue;
+                }
+                await this._edit(metadata, change.after, change.before, serverId);
+                restored++;
+            } catch (error) {
+                this.logger.warn('Undo failed for item', { ratingKey: change.ratingKey, error: error.message });
+                failed.push(change);
+            }
+        }
+
+        if (restored === 0 && failed.length > 0) {
+            // Nothing put back - the log is left as it was for another try
+            this.logger.warn('Writeback undo failed, run kept', { skipped, failed: failed.length });
+            return { restored, skipped, failed: failed.length, kept: true };
+        }
+
+        if (failed.length > 0) {
+            log.push({ ...run, changes: failed });
+        }
+        await chrome.storage.local.set({ [this.logKey]: log });
+        this.logger.info('Writeback undone', { restored, skipped, failed: failed.length });
+        return { restored, skipped, failed: failed.length, kept: failed.length > 0 };
+    }
+}
+
+    // Writeback is off until enabled in the popup
+    PlexWriteback.DEFAULT_SETTINGS = Object.freeze({
+        enabled: false,
+        audienceRating: true,
+        label: false
+    });
+
+    // Export to window
+    window.PlexWriteback = PlexWriteback;
+    window.plexWriteback = new PlexWriteback();
+}
+
+// Create const references for backwards compatibility
+const PlexWriteback = window.PlexWriteback;
+const plexWriteback = window.plexWriteback;
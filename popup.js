@@ -150,6 +150,7 @@ toggleKeyVisibility.addEventListener('click', () => {
         apiKeyInput.value = result.omdbApiKey;
         // Don't show "Current key" since it's already visible in input field
         popupLogger.info('Existing API key loaded');
+        updateQuotaMeter();
     }
 })();
 
@@ -175,34 +176,48 @@ function validateApiKey(apiKey) {
 
 /**
  * Test API key by making a test request
+ * Goes through the background broker so it counts against the shared rate limit
  * @param {string} apiKey - API key to test
  * @returns {Promise<boolean>}
  */
 async function testApiKey(apiKey) {
     try {
-        const params = new URLSearchParams({
-            apikey: apiKey,
-            t: CONFIG.OMDB_TEST_MOVIE,
-            y: CONFIG.OMDB_TEST_YEAR
-        });
+        const isValid = await requestBroker.send('omdb.testKey', { apiKey });
+        popupLogger.info(isValid ? 'API key test successful' : 'API key test failed');
+        return isValid;
+    } catch (error) {
+        popupLogger.error('API key test error', { error: error.message });
+        return false;
+    }
+}
 
-        const response = await fetch(`${CONFIG.OMDB_BASE_URL}?${params}`, {
-            cache: 'no-store',
-            credentials: 'omit'
-        });
+/**
+ * Show today's OMDb quota usage (counted in the background, per API key)
+ */
+async function updateQuotaMeter() {
+    const meter = document.getElementById('quotaMeter');
 
-        const data = await response.json();
+    try {
+        const quota = await requestBroker.send('omdb.quotaStatus');
+        const percent = Math.min(100, Math.round((quota.used / quota.total) * 100));
+        const hours = Math.floor(quota.resetIn / 3600000);
+        const minutes = Math.floor((quota.resetIn % 3600000) / 60000);
 
-        if (data.Response === 'True') {
-            popupLogger.info('API key test successful');
-            return true;
-        } else {
-            popupLogger.warn('API key test failed', { error: data.Error });
-            return false;
-        }
+        document.getElementById('quotaValue').textContent = `${quota.used} / ${quota.total}`;
+
+        const fill = document.getElementById('quotaFill');
+        fill.style.width = `${quota.exhausted ? 100 : percent}%`;
+        fill.classList.toggle('warning', !quota.exhausted && percent >= 80);
+        fill.classList.toggle('exhausted', quota.exhausted);
+
+        document.getElementById('quotaReset').textContent = quota.exhausted
+            ? (chrome.i18n.getMessage('quotaExhausted') || 'Daily limit reached - resets in {TIME}').replace('{TIME}', `${hours}h ${minutes}m`)
+            : (chrome.i18n.getMessage('quotaResetsIn') || 'Resets at 00:00 UTC (in {TIME})').replace('{TIME}', `${hours}h ${minutes}m`);
+
+        meter.style.display = 'block';
     } catch (error) {
-        popupLogger.error('API key test error', { error: error.message });
-        return false;
+        popupLogger.warn('Could not load OMDb quota', { error: error.message });
+        meter.style.display = 'none';
     }
 }
 
@@ -290,6 +305,7 @@ saveButton.addEventListener('click', async () => {
             showStatus(chrome.i18n.getMessage('successSaved'), 'success');
 
             popupLogger.info('API key saved successfully');
+            updateQuotaMeter();
 
             setTimeout(() => {
                 setButtonState(saveButton, chrome.i18n.getMessage('saveButton'), false);
@@ -363,6 +379,7 @@ clearButton.addEventListener('click', async () => {
             apiKeyInput.value = '';
             apiKeyInput.classList.remove('error', 'success');
             currentKeyDiv.style.display = 'none';
+            document.getElementById('quotaMeter').style.display = 'none';
             showStatus(chrome.i18n.getMessage('successDeleted'), 'success');
 
             popupLogger.info('API key cleared');
@@ -372,6 +389,21 @@ clearButton.addEventListener('click', async () => {
     }
 });
 
+/**
+ * Forget titles OMDb answered "not found" for, so they are looked up again
+ */
+document.getElementById('clearNegativeCacheButton').addEventListener('click', async () => {
+    try {
+        const count = await requestBroker.send('omdb.clearNegativeCache');
+        popupLogger.info('Negative cache cleared', { count });
+        showStatus((chrome.i18n.getMessage('negativeCacheCleared') || 'Forgot {COUNT} not-found titles')
+            .replace('{COUNT}', count), 'success');
+    } catch (error) {
+        popupLogger.error('Negative cache clear failed', { error: error.message });
+        showStatus(error.message, 'error');
+    }
+});
+
 /**
  * Save on Enter key
  */
@@ -388,6 +420,704 @@ apiKeyInput.addEventListener('input', () => {
     apiKeyInput.classList.remove('error', 'success');
 });
 
+// ============================================================================
+// RATING SOURCE TOGGLES
+// ============================================================================
+
+/**
+ * Load rating source toggles and save on change
+ * DRY REFACTOR: Using StorageUtils
+ */
+(async () => {
+    const toggles = document.querySelectorAll('.rating-source-toggle');
+    const result = await storageUtils.get(['ratingSources'], { ratingSources: null });
+    const sources = { ...CONFIG.DEFAULT_RATING_SOURCES, ...(result.ratingSources || {}) };
+
+    toggles.forEach(toggle => {
+        toggle.checked = sources[toggle.dataset.source] !== false;
+
+        toggle.addEventListener('change', async () => {
+            sources[toggle.dataset.source] = toggle.checked;
+            const saved = await storageUtils.set({ ratingSources: sources });
+
+            if (saved) {
+                popupLogger.info('Rating sources saved', sources);
+            } else {
+                toggle.checked = !toggle.checked;
+                sources[toggle.dataset.source] = toggle.checked;
+                showStatus('Failed to save rating sources', 'error');
+            }
+        });
+    });
+})();
+
+/**
+ * Load poster overlay toggle and save on change
+ */
+(async () => {
+    const toggle = document.getElementById('posterOverlayToggle');
+    const result = await storageUtils.get(['posterOverlayEnabled'], { posterOverlayEnabled: false });
+    toggle.checked = !!result.posterOverlayEnabled;
+
+    toggle.addEventListener('change', async () => {
+        const saved = await storageUtils.set({ posterOverlayEnabled: toggle.checked });
+
+        if (saved) {
+            popupLogger.info('Poster overlay setting saved', { enabled: toggle.checked });
+        } else {
+            toggle.checked = !toggle.checked;
+            showStatus('Failed to save poster overlay setting', 'error');
+        }
+    });
+})();
+
+// ============================================================================
+// MATCH OVERRIDES
+// ============================================================================
+
+/**
+ * Render manual match overrides with remove buttons
+ */
+async function renderMatchOverrides() {
+    const list = document.getElementById('overrideList');
+    const empty = document.getElementById('overrideEmpty');
+    const overrides = await matchOverrides.list();
+
+    list.replaceChildren();
+    empty.style.display = overrides.length === 0 ? 'block' : 'none';
+
+    overrides.forEach(override => {
+        const item = document.createElement('li');
+        item.className = 'override-item';
+
+        const title = document.createElement('span');
+        title.className = 'override-title';
+        title.textContent = override.title || override.key;
+        title.title = override.key;
+
+        const link = document.createElement('a');
+        link.href = `https://www.imdb.com/title/${encodeURIComponent(override.imdbId)}/`;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = override.imdbId;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'override-remove';
+        remove.textContent = '✕';
+        remove.title = chrome.i18n.getMessage('removeOverride') || 'Remove (back to automatic match)';
+        remove.addEventListener('click', async () => {
+            if (await matchOverrides.remove(override.key)) {
+                popupLogger.info('Match override removed', { key: override.key });
+                renderMatchOverrides();
+            } else {
+                showStatus('Failed to remove match', 'error');
+            }
+        });
+
+        item.append(title, link, remove);
+        list.appendChild(item);
+    });
+}
+
+renderMatchOverrides();
+
+// ============================================================================
+// GUID MAPPING TABLE
+// ============================================================================
+
+const guidMappingFile = document.getElementById('guidMappingFile');
+const guidMappingStatus = document.getElementById('guidMappingStatus');
+
+/**
+ * Show number of TMDb/TVDB mappings in the local table
+ */
+async function updateGuidMappingCount() {
+    const count = await guidMapper.countMappings();
+    document.getElementById('guidMappingCount').textContent =
+        (chrome.i18n.getMessage('guidMappingCount') || '{COUNT} mappings stored').replace('{COUNT}', count);
+}
+
+document.getElementById('importGuidMappingsButton').addEventListener('click', () => {
+    guidMappingFile.click();
+});
+
+guidMappingFile.addEventListener('change', async () => {
+    const file = guidMappingFile.files[0];
+    guidMappingFile.value = '';
+    if (!file) return;
+
+    try {
+        const mappings = GuidMapper.parseMappingFile(await file.text());
+        if (mappings.length === 0) {
+            showStatus(chrome.i18n.getMessage('guidMappingsNone') || 'No valid mappings in file', 'error', guidMappingStatus);
+            return;
+        }
+
+        const count = await guidMapper.importMappings(mappings);
+        popupLogger.info('GUID mappings imported', { count });
+        showStatus((chrome.i18n.getMessage('guidMappingsImported') || 'Imported {COUNT} mappings').replace('{COUNT}', count), 'success', guidMappingStatus);
+    } catch (error) {
+        popupLogger.error('GUID mapping import failed', { error: error.message });
+        showStatus(error.message, 'error', guidMappingStatus);
+    }
+
+    updateGuidMappingCount();
+});
+
+document.getElementById('clearGuidMappingsButton').addEventListener('click', async () => {
+    if (await guidMapper.clearMappings()) {
+        showStatus(chrome.i18n.getMessage('guidMappingsCleared') || 'Mappings cleared', 'success', guidMappingStatus);
+    } else {
+        showStatus(chrome.i18n.getMessage('guidMappingsClearFailed') || 'Failed to clear mappings', 'error', guidMappingStatus);
+    }
+    updateGuidMappingCount();
+});
+
+updateGuidMappingCount();
+
+// ============================================================================
+// OFFLINE IMDB DATASET
+// ============================================================================
+
+const datasetFiles = document.getElementById('datasetFiles');
+const datasetStatus = document.getElementById('datasetStatus');
+const importDatasetButton = document.getElementById('importDatasetButton');
+
+// The toolbar popup closes when it loses focus (in Firefox as soon as the file picker opens),
+// which would cut an import short - imports run from this page opened in a tab instead
+let datasetPageInTab = false;
+chrome.tabs.getCurrent().then((tab) => {
+    datasetPageInTab = !!tab;
+}).catch(() => {});
+
+/**
+ * Show imported dataset date and size
+ */
+async function updateDatasetInfo() {
+    const line = document.getElementById('datasetStatusLine');
+
+    try {
+        const info = await imdbDataset.getInfo();
+        if (info?.incomplete) {
+            line.textContent = chrome.i18n.getMessage('datasetIncomplete') ||
+                'Import not finished - the dataset is not used until an import completes';
+            return;
+        }
+        line.textContent = info
+            ? (chrome.i18n.getMessage('datasetAsOf') || 'Dataset as of {DATE} - {RATINGS} ratings, {TITLES} titles')
+                .replace('{DATE}', info.asOf ? new Date(info.asOf).toLocaleDateString() : '?')
+                .replace('{RATINGS}', info.ratings.toLocaleString())
+                .replace('{TITLES}', info.titles.toLocaleString())
+            : (chrome.i18n.getMessage('datasetNone') || 'No dataset imported');
+    } catch (error) {
+        popupLogger.warn('Could not read dataset info', { error: error.message });
+        line.textContent = '';
+    }
+}
+
+importDatasetButton.addEventListener('click', () => {
+    if (!datasetPageInTab) {
+        chrome.tabs.create({ url: chrome.runtime.getURL('popup.html#datasetPanel') });
+        window.close();
+        return;
+    }
+    datasetFiles.click();
+});
+
+datasetFiles.addEventListener('change', async () => {
+    const files = Array.from(datasetFiles.files);
+    datasetFiles.value = '';
+    if (files.length === 0) return;
+
+    importDatasetButton.disabled = true;
+    const progressLine = document.getElementById('datasetStatusLine');
+
+    try {
+        const info = await imdbDataset.importFiles(files, ({ kind, rows }) => {
+            progressLine.textContent = (chrome.i18n.getMessage('datasetImporting') || 'Importing {KIND}: {ROWS} rows…')
+                .replace('{KIND}', kind)
+                .replace('{ROWS}', rows.toLocaleString());
+        });
+        popupLogger.info('IMDb dataset imported', { ratings: info.ratings, titles: info.titles, incomplete: info.incomplete });
+        if (info.incomplete) {
+            // A file left over from an interrupted import still has to be imported again
+            showStatus(chrome.i18n.getMessage('datasetIncomplete') ||
+                'Import not finished - the dataset is not used until an import completes', 'error', datasetStatus);
+        } else {
+            showStatus(chrome.i18n.getMessage('datasetImported') || 'Dataset imported', 'success', datasetStatus);
+        }
+    } catch (error) {
+        popupLogger.error('IMDb dataset import failed', { error: error.message });
+        showStatus(error.message, 'error', datasetStatus);
+    } finally {
+        importDatasetButton.disabled = false;
+        updateDatasetInfo();
+    }
+});
+
+document.getElementById('clearDatasetButton').addEventListener('click', async () => {
+    try {
+        await imdbDataset.clear();
+        showStatus(chrome.i18n.getMessage('datasetCleared') || 'Dataset deleted', 'success', datasetStatus);
+    } catch (error) {
+        popupLogger.error('IMDb dataset delete failed', { error: error.message });
+        showStatus(error.message, 'error', datasetStatus);
+    }
+    updateDatasetInfo();
+});
+
+updateDatasetInfo();
+
+// ============================================================================
+// LIBRARY SWEEP
+// ============================================================================
+
+const sweepSection = document.getElementById('sweepSection');
+const sweepStatus = document.getElementById('sweepStatus');
+
+/**
+ * Show sweep progress and the buttons that apply to its state
+ * @param {Object|null} progress - From LibrarySweep.progress()
+ */
+function renderSweepProgress(progress) {
+    const box = document.getElementById('sweepProgress');
+    const status = progress?.status;
+
+    document.getElementById('startSweepButton').disabled = status === LibrarySweep.STATUS.RUNNING;
+    document.getElementById('pauseSweepButton').style.display = status === LibrarySweep.STATUS.RUNNING ? '' : 'none';
+    // Going on after the cache filled up would only evict what was swept
+    const resumable = status === LibrarySweep.STATUS.PAUSED && progress.pausedReason !== LibrarySweep.PAUSE_REASONS.CACHE;
+    document.getElementById('resumeSweepButton').style.display = resumable ? '' : 'none';
+    document.getElementById('cancelSweepButton').style.display = progress ? '' : 'none';
+
+    if (!progress) {
+        box.style.display = 'none';
+        return;
+    }
+
+    const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 100;
+    const key = {
+        [LibrarySweep.STATUS.RUNNING]: 'sweepRunning',
+        [LibrarySweep.STATUS.PAUSED]: `sweepPaused_${progress.pausedReason}`,
+        [LibrarySweep.STATUS.DONE]: 'sweepDone'
+    }[status];
+    const fallback = {
+        sweepRunning: 'Sweeping "{SECTION}": {DONE} / {TOTAL}',
+        sweepPaused_user: 'Paused "{SECTION}" at {DONE} / {TOTAL}',
+        sweepPaused_quota: 'Paused "{SECTION}" at {DONE} / {TOTAL} - saving the rest of today\'s OMDb requests',
+        sweepPaused_offline: 'Paused "{SECTION}" at {DONE} / {TOTAL} - offline',
+        sweepPaused_cache: 'Paused "{SECTION}" at {DONE} / {TOTAL} - the rating cache is full, sweeping on would push out what was already swept',
+        sweepPaused_error: 'Paused "{SECTION}" at {DONE} / {TOTAL} - an error occurred',
+        sweepDone: 'Swept "{SECTION}": {TOTAL} items'
+    }[key];
+
+    document.getElementById('sweepProgressLine').textContent = (chrome.i18n.getMessage(key) || fallback || '')
+        .replace('{SECTION}', progress.sectionTitle)
+        .replace('{DONE}', progress.done)
+        .replace('{TOTAL}', progress.total);
+    document.getElementById('sweepCounts').textContent =
+        (chrome.i18n.getMessage('sweepCounts') || '{MATCHED} matched, {UNMATCHED} not matched, {FAILED} failed')
+            .replace('{MATCHED}', progress.matched)
+            .replace('{UNMATCHED}', progress.unmatched)
+            .replace('{FAILED}', progress.failed);
+
+    const fill = document.getElementById('sweepFill');
+    fill.style.width = `${percent}%`;
+    fill.classList.toggle('warning', status === LibrarySweep.STATUS.PAUSED);
+
+    box.style.display = 'block';
+}
+
+/**
+ * Run a sweep control through the background and show the result
+ * @param {Function} action - Resolves to sweep progress
+ */
+async function controlSweep(action) {
+    try {
+        renderSweepProgress(await action());
+    } catch (error) {
+        popupLogger.error('Library sweep failed', { error: error.message });
+        showStatus(error.message, 'error', sweepStatus);
+    }
+}
+
+document.getElementById('startSweepButton').addEventListener('click', () => {
+    if (!sweepSection.value) return;
+    const title = sweepSection.options[sweepSection.selectedIndex].textContent;
+    controlSweep(() => librarySweep.start(sweepSection.value, title));
+});
+
+document.getElementById('pauseSweepButton').addEventListener('click', () => controlSweep(() => librarySweep.pause()));
+document.getElementById('resumeSweepButton').addEventListener('click', () => controlSweep(() => librarySweep.resume()));
+document.getElementById('cancelSweepButton').addEventListener('click', () => controlSweep(() => librarySweep.cancel()));
+
+// Follow progress written by the background while the popup is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.librarySweep) {
+        renderSweepProgress(LibrarySweep.progress(changes.librarySweep.newValue || null));
+    }
+});
+
+controlSweep(() => librarySweep.getStatus());
+
+/**
+ * Show export progress; the download buttons wait while the export is built
+ * @param {Object|null} progress - From LibraryExport.progress()
+ */
+function renderExportProgress(progress) {
+    const box = document.getElementById('exportProgress');
+    const status = progress?.status;
+
+    ['exportCsvButton', 'exportJsonButton'].forEach((id) => {
+        document.getElementById(id).disabled = status === LibraryExport.STATUS.RUNNING;
+    });
+    document.getElementById('cancelExportButton').style.display = progress ? '' : 'none';
+
+    if (!progress) {
+        box.style.display = 'none';
+        return;
+    }
+
+    const key = {
+        [LibraryExport.STATUS.RUNNING]: 'exportRunning',
+        [LibraryExport.STATUS.DONE]: 'exportReady',
+        [LibraryExport.STATUS.STOPPED]: 'exportStopped'
+    }[status];
+    const fallback = {
+        exportRunning: 'Building the export of "{SECTION}": {DONE} / {TOTAL}',
+        exportReady: 'Export of "{SECTION}" ready: {TOTAL} items - click Export CSV or Export JSON to download it',
+        exportStopped: 'Export of "{SECTION}" stopped at {DONE} / {TOTAL}: {REASON}'
+    }[key];
+
+    document.getElementById('exportProgressLine').textContent = (chrome.i18n.getMessage(key) || fallback || '')
+        .replace('{SECTION}', progress.sectionTitle)
+        .replace('{DONE}', progress.done)
+        .replace('{TOTAL}', progress.total)
+        .replace('{REASON}', progress.stoppedReason || '');
+
+    const fill = document.getElementById('exportFill');
+    fill.style.width = `${progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 100}%`;
+    fill.classList.toggle('warning', status === LibraryExport.STATUS.STOPPED);
+
+    box.style.display = 'block';
+}
+
+/**
+ * Download the selected library with IMDb IDs and ratings
+ * The first click starts building the export in the background; once it is ready, a click downloads it
+ * @param {'csv'|'json'} format - File format
+ */
+async function exportLibrary(format) {
+    if (!sweepSection.value) return;
+
+    try {
+        const progress = await libraryExport.getStatus();
+        if (progress?.status !== LibraryExport.STATUS.DONE || progress.sectionId !== sweepSection.value) {
+            const title = sweepSection.options[sweepSection.selectedIndex].textContent;
+            renderExportProgress(await libraryExport.start(sweepSection.value, title));
+            return;
+        }
+
+        const rows = await libraryExport.getRows();
+        const content = format === 'csv' ? LibraryExport.toCSV(rows) : LibraryExport.toJSON(rows);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${progress.sectionTitle.replace(/[^\w -]+/g, '_').trim() || 'library'}-imdb.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        popupLogger.info('Library exported', { format, rows: rows.length });
+        showStatus((chrome.i18n.getMessage('exportDone') || 'Exported {COUNT} items').replace('{COUNT}', rows.length),
+            'success', sweepStatus);
+    } catch (error) {
+        popupLogger.error('Library export failed', { error: error.message });
+        showStatus(error.message, 'error', sweepStatus);
+    }
+}
+
+document.getElementById('exportCsvButton').addEventListener('click', () => exportLibrary('csv'));
+document.getElementById('exportJsonButton').addEventListener('click', () => exportLibrary('json'));
+document.getElementById('cancelExportButton').addEventListener('click', async () => {
+    renderExportProgress(await libraryExport.cancel());
+});
+
+// Follow progress written by the background while the popup is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.libraryExport) {
+        renderExportProgress(LibraryExport.progress(changes.libraryExport.newValue || null));
+    }
+});
+
+libraryExport.getStatus()
+    .then(renderExportProgress)
+    .catch(error => popupLogger.warn('Could not get library export status', { error: error.message }));
+
+/**
+ * Show the match health report: progress, then the items that need their Plex match fixed
+ * @param {Object|null} report - From MatchHealth.progress()
+ */
+function renderMatchHealth(report) {
+    const box = document.getElementById('matchHealthProgress');
+    const list = document.getElementById('matchHealthList');
+    const status = report?.status;
+
+    document.getElementById('matchHealthButton').disabled = status === MatchHealth.STATUS.RUNNING;
+    document.getElementById('cancelMatchHealthButton').style.display = report ? '' : 'none';
+    list.replaceChildren();
+
+    if (!report) {
+        box.style.display = 'none';
+        return;
+    }
+
+    report.items.forEach(problem => {
+        const item = document.createElement('li');
+        item.className = 'override-item';
+
+        const title = document.createElement('span');
+        title.className = 'override-title';
+        title.textContent = problem.year ? `${problem.title} (${problem.year})` : problem.title;
+        title.title = chrome.i18n.getMessage(`matchHealth_${problem.reason.replace('-', '_')}`) || problem.reason;
+
+        const plexLink = document.createElement('a');
+        plexLink.href = problem.plexUrl;
+        plexLink.target = '_blank';
+        plexLink.rel = 'noopener noreferrer';
+        plexLink.textContent = 'Plex';
+
+        const searchLink = document.createElement('a');
+        searchLink.href = problem.searchUrl;
+        searchLink.target = '_blank';
+        searchLink.rel = 'noopener noreferrer';
+        searchLink.textContent = 'IMDb';
+
+        item.append(title, plexLink, searchLink);
+        list.appendChild(item);
+    });
+
+    let line;
+    if (status === MatchHealth.STATUS.RUNNING) {
+        line = (chrome.i18n.getMessage('matchHealthRunning') || 'Checking matches in "{SECTION}": {DONE} / {TOTAL}')
+            .replace('{SECTION}', report.sectionTitle)
+            .replace('{DONE}', report.done)
+            .replace('{TOTAL}', report.total);
+    } else {
+        line = (chrome.i18n.getMessage('matchHealthDone') || '{COUNT} of {CHECKED} items need a better match')
+            .replace('{COUNT}', report.items.length)
+            .replace('{CHECKED}', report.done);
+        if (report.stoppedReason) {
+            line += ` - ${(chrome.i18n.getMessage('matchHealthStopped') || 'stopped early: {REASON}')
+                .replace('{REASON}', report.stoppedReason)}`;
+        }
+    }
+    document.getElementById('matchHealthProgressLine').textContent = line;
+
+    const fill = document.getElementById('matchHealthFill');
+    fill.style.width = `${report.total > 0 ? Math.round((report.done / report.total) * 100) : 100}%`;
+    fill.classList.toggle('warning', status === MatchHealth.STATUS.STOPPED);
+
+    box.style.display = 'block';
+}
+
+/**
+ * Check the matches of the selected library in the background
+ */
+document.getElementById('matchHealthButton').addEventListener('click', async () => {
+    if (!sweepSection.value) return;
+
+    try {
+        const title = sweepSection.options[sweepSection.selectedIndex].textContent;
+        renderMatchHealth(await matchHealth.start(sweepSection.value, title));
+    } catch (error) {
+        popupLogger.error('Match health report failed', { error: error.message });
+        showStatus(error.message, 'error', sweepStatus);
+    }
+});
+
+document.getElementById('cancelMatchHealthButton').addEventListener('click', async () => {
+    renderMatchHealth(await matchHealth.cancel());
+});
+
+// Follow the report written by the background while the popup is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.matchHealth) {
+        renderMatchHealth(MatchHealth.progress(changes.matchHealth.newValue || null));
+    }
+});
+
+matchHealth.getStatus()
+    .then(renderMatchHealth)
+    .catch(error => popupLogger.warn('Could not get match health report', { error: error.message }));
+
+// ============================================================================
+// PLEX WRITEBACK
+// ============================================================================
+
+const writebackStatus = document.getElementById('writebackStatus');
+const writebackSection = document.getElementById('writebackSection');
+const writebackPreview = document.getElementById('writebackPreview');
+
+/**
+ * Load writeback settings and save on change
+ */
+(async () => {
+    const settings = await plexWriteback.getSettings();
+    const toggles = {
+        enabled: document.getElementById('writebackEnabled'),
+        audienceRating: document.getElementById('writebackAudienceRating'),
+        label: document.getElementById('writebackLabel')
+    };
+
+    Object.entries(toggles).forEach(([field, toggle]) => {
+        toggle.checked = !!settings[field];
+
+        toggle.addEventListener('change', async () => {
+            settings[field] = toggle.checked;
+            const saved = await storageUtils.set({ plexWriteback: settings });
+
+            if (saved) {
+                popupLogger.info('Writeback settings saved', settings);
+            } else {
+                toggle.checked = !toggle.checked;
+                settings[field] = toggle.checked;
+                showStatus('Failed to save writeback settings', 'error', writebackStatus);
+            }
+        });
+    });
+})();
+
+/**
+ * Fill the library section pickers of the sweep and writeback tools (needs the Plex API)
+ */
+async function loadLibrarySections() {
+    const sections = await requestBroker.send('plex.sections').catch(() => null);
+
+    [sweepSection, writebackSection].forEach(select => {
+        select.replaceChildren();
+        (sections || []).forEach(section => {
+            const option = document.createElement('option');
+            option.value = section.key;
+            option.textContent = section.title;
+            select.appendChild(option);
+        });
+        select.disabled = !sections?.length;
+    });
+}
+
+/**
+ * Show the latest run in the undo log
+ */
+async function updateWritebackLog() {
+    const log = await plexWriteback.getLog().catch(() => []);
+    const latest = log[0];
+
+    document.getElementById('writebackLogLine').textContent = latest
+        ? (chrome.i18n.getMessage('writebackLastRun') || 'Last write: {COUNT} items on {DATE}')
+            .replace('{COUNT}', latest.count)
+            .replace('{DATE}', new Date(latest.at).toLocaleString())
+        : '';
+    document.getElementById('undoWritebackButton').disabled = !latest;
+}
+
+/**
+ * List planned or written changes
+ * SECURITY: Plex titles only go through textContent
+ * @param {{changes: Object[], skipped: Object[]}} result - Writeback result
+ */
+function renderWritebackChanges({ changes, skipped }) {
+    writebackPreview.replaceChildren();
+
+    changes.slice(0, CONFIG.PLEX_WRITEBACK_PREVIEW_ROWS).forEach(change => {
+        const li = document.createElement('li');
+        li.className = 'override-item';
+        li.textContent = `${change.title}: ${PlexWriteback.describeChange(change)}`;
+        writebackPreview.appendChild(li);
+    });
+
+    const summary = document.createElement('li');
+    summary.className = 'override-item';
+    summary.textContent = (chrome.i18n.getMessage('writebackSummary') || '{CHANGES} to change, {SKIPPED} skipped')
+        .replace('{CHANGES}', changes.length)
+        .replace('{SKIPPED}', skipped.length);
+    writebackPreview.appendChild(summary);
+}
+
+/**
+ * Run a section preview or write with the buttons disabled
+ * @param {Function} action - Resolves to a writeback result
+ * @returns {Promise<Object|null>} Result, or null if it failed
+ */
+async function runWriteback(action) {
+    const buttons = ['previewWritebackButton', 'applyWritebackButton', 'undoWritebackButton']
+        .map(id => document.getElementById(id));
+    buttons.forEach(button => { button.disabled = true; });
+    showStatus(chrome.i18n.getMessage('writebackWorking') || 'Working…', 'success', writebackStatus);
+
+    try {
+        return await action();
+    } catch (error) {
+        popupLogger.error('Writeback failed', { error: error.message });
+        showStatus(error.message, 'error', writebackStatus);
+        return null;
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+        updateWritebackLog();
+    }
+}
+
+document.getElementById('previewWritebackButton').addEventListener('click', async () => {
+    if (!writebackSection.value) return;
+
+    const result = await runWriteback(() => plexWriteback.preview({ sectionId: writebackSection.value }));
+    if (result) {
+        renderWritebackChanges(result);
+        writebackStatus.style.display = 'none';
+    }
+});
+
+document.getElementById('applyWritebackButton').addEventListener('click', async () => {
+    if (!writebackSection.value) return;
+
+    const section = writebackSection.options[writebackSection.selectedIndex].textContent;
+    const question = (chrome.i18n.getMessage('confirmWriteback') || 'Write IMDb ratings to every item in "{SECTION}"?')
+        .replace('{SECTION}', section);
+    if (!confirm(question)) return;
+
+    const result = await runWriteback(() => plexWriteback.apply({ sectionId: writebackSection.value }));
+    if (result) {
+        renderWritebackChanges(result);
+        popupLogger.info('Writeback applied', { changes: result.changes.length, skipped: result.skipped.length });
+        showStatus((chrome.i18n.getMessage('writebackApplied') || 'Wrote {COUNT} items')
+            .replace('{COUNT}', result.changes.length), 'success', writebackStatus);
+    }
+});
+
+document.getElementById('undoWritebackButton').addEventListener('click', async () => {
+    const result = await runWriteback(() => plexWriteback.undoLast());
+    if (result) {
+        writebackPreview.replaceChildren();
+        if (result.kept) {
+            // Items that failed stay in the undo log, so the button can be clicked again
+            showStatus((chrome.i18n.getMessage('writebackUndoKept') ||
+                'Restored {RESTORED} items, {SKIPPED} changed since, {FAILED} failed - kept for another try')
+                .replace('{RESTORED}', result.restored)
+                .replace('{SKIPPED}', result.skipped)
+                .replace('{FAILED}', result.failed), 'error', writebackStatus);
+        } else {
+            showStatus((chrome.i18n.getMessage('writebackUndone') || 'Restored {RESTORED} items, {SKIPPED} changed since')
+                .replace('{RESTORED}', result.restored)
+                .replace('{SKIPPED}', result.skipped), 'success', writebackStatus);
+        }
+    }
+});
+
+loadLibrarySections();
+updateWritebackLog();
+
 // ============================================================================
 // PLEX CONFIGURATION HANDLERS
 // ============================================================================
@@ -476,15 +1206,15 @@ quickSetupInput.addEventListener('paste', (e) => {
             plexTokenInput.value = token;
             plexUrlInput.value = serverUrl;
 
-            // AUTO-SAVE to storage immediately! - DRY REFACTOR: Using StorageUtils
+            // AUTO-SAVE as a server profile immediately (tested first to learn the server's identity)
             (async () => {
-                const saved = await storageUtils.set({ plexToken: token, plexUrl: serverUrl });
+                const result = await savePlexServer(token, serverUrl);
 
-                if (!saved) {
+                if (!result.success) {
                     quickSetupStatus.className = 'error';
-                    quickSetupStatus.textContent = '❌ ' + (chrome.i18n.getMessage('errorSaveFailed') ||
+                    quickSetupStatus.textContent = '❌ ' + (result.error || chrome.i18n.getMessage('errorSaveFailed') ||
                         'Failed to save settings');
-                    popupLogger.error('Quick setup - save failed');
+                    popupLogger.error('Quick setup - save failed', { error: result.error });
                     return;
                 }
 
@@ -546,6 +1276,117 @@ quickSetupInput.addEventListener('paste', (e) => {
     }, 10);
 });
 
+// ============================================================================
+// SIGN IN WITH PLEX
+// ============================================================================
+
+const plexSignInButton = document.getElementById('plexSignInButton');
+const plexSignInCancelButton = document.getElementById('plexSignInCancelButton');
+const plexSignInInfo = document.getElementById('plexSignInInfo');
+const plexSignInServers = document.getElementById('plexSignInServers');
+
+/**
+ * Show sign-in progress, and the account's servers once signed in
+ * SECURITY: Server names only go through textContent
+ * @param {Object} view - State view from PlexAuth.view()
+ */
+function renderPlexSignIn(view) {
+    const { status } = view;
+
+    plexSignInCancelButton.style.display = status === PlexAuth.STATUS.IDLE ? 'none' : 'inline-block';
+    plexSignInServers.replaceChildren();
+    plexSignInInfo.replaceChildren();
+
+    const messages = {
+        [PlexAuth.STATUS.IDLE]: chrome.i18n.getMessage('plexSignInIdle') ||
+            'Sign in to pick your server from a list - no token copying needed.',
+        [PlexAuth.STATUS.PENDING]: chrome.i18n.getMessage('plexSignInPending') ||
+            'Waiting for you to approve the sign-in on plex.tv…',
+        [PlexAuth.STATUS.SIGNED_IN]: chrome.i18n.getMessage('plexSignInChoose') || 'Signed in - add a server:',
+        [PlexAuth.STATUS.EXPIRED]: chrome.i18n.getMessage('plexSignInExpired') || 'The sign-in expired - try again.',
+        [PlexAuth.STATUS.ERROR]: (chrome.i18n.getMessage('plexSignInFailed') || 'Sign-in failed: {ERROR}')
+            .replace('{ERROR}', view.error || '')
+    };
+    plexSignInInfo.textContent = messages[status] || '';
+
+    // The popup usually closes when the sign-in tab opens - offer the page again
+    if (status === PlexAuth.STATUS.PENDING && view.authUrl) {
+        const link = document.createElement('a');
+        link.href = view.authUrl;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = ` ${chrome.i18n.getMessage('plexSignInOpen') || 'Open sign-in page'}`;
+        plexSignInInfo.appendChild(link);
+    }
+
+    view.servers.forEach(server => {
+        const item = document.createElement('li');
+        item.className = 'override-item';
+
+        const title = document.createElement('span');
+        title.className = 'override-title';
+        title.textContent = server.owned
+            ? server.name
+            : `${server.name} (${chrome.i18n.getMessage('plexSignInShared') || 'shared'})`;
+
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'override-remove';
+        add.textContent = '➕';
+        add.title = chrome.i18n.getMessage('plexSignInAddServer') || 'Add this server';
+        add.addEventListener('click', async () => {
+            add.disabled = true;
+            try {
+                const saved = await plexAuth.chooseServer(server.machineIdentifier);
+                showPlexStatus(
+                    (chrome.i18n.getMessage('successPlexServerSaved') || '✅ Saved server: {SERVER}').replace('{SERVER}', saved.name),
+                    'success'
+                );
+                popupLogger.info('Plex server added from sign-in', { url: saved.url });
+                renderPlexServers();
+            } catch (error) {
+                showPlexStatus(error.message, 'error');
+                popupLogger.error('Adding Plex server failed', { error: error.message });
+            } finally {
+                add.disabled = false;
+            }
+        });
+
+        item.append(title, add);
+        plexSignInServers.appendChild(item);
+    });
+}
+
+plexSignInButton.addEventListener('click', async () => {
+    plexSignInButton.disabled = true;
+    try {
+        const view = await plexAuth.start();
+        renderPlexSignIn(view);
+        popupLogger.info('Plex sign-in started');
+        chrome.tabs.create({ url: view.authUrl });
+    } catch (error) {
+        showPlexStatus(error.message, 'error');
+        popupLogger.error('Plex sign-in failed to start', { error: error.message });
+    } finally {
+        plexSignInButton.disabled = false;
+    }
+});
+
+plexSignInCancelButton.addEventListener('click', async () => {
+    renderPlexSignIn(await plexAuth.cancel());
+});
+
+// Follow the sign-in polled by the background while the popup is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.plexAuth) {
+        renderPlexSignIn(PlexAuth.view(changes.plexAuth.newValue || null));
+    }
+});
+
+plexAuth.getStatus()
+    .then(renderPlexSignIn)
+    .catch(error => popupLogger.warn('Could not get Plex sign-in status', { error: error.message }));
+
 /**
  * Toggle Plex token visibility
  */
@@ -560,32 +1401,151 @@ togglePlexVisibility.addEventListener('click', () => {
 });
 
 /**
- * Load existing Plex settings
+ * Render saved Plex server profiles; clicking one loads it into the form
+ * SECURITY: Server names only go through textContent
+ * @returns {Promise<Object[]>} Profiles
+ */
+async function renderPlexServers() {
+    const list = document.getElementById('plexServerList');
+    const servers = await plexServers.list();
+
+    list.replaceChildren();
+
+    servers.forEach((server, index) => {
+        const item = document.createElement('li');
+        item.className = 'override-item';
+
+        const title = document.createElement('span');
+        title.className = 'override-title';
+        title.textContent = server.name || server.url;
+        if (index === 0) {
+            title.textContent += ` (${chrome.i18n.getMessage('plexServerDefault') || 'default'})`;
+        }
+        title.title = server.url;
+        title.style.cursor = 'pointer';
+        title.addEventListener('click', () => {
+            plexTokenInput.value = server.token;
+            plexUrlInput.value = server.url;
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'override-remove';
+        remove.textContent = '✕';
+        remove.title = chrome.i18n.getMessage('removePlexServer') || 'Remove server';
+        remove.addEventListener('click', async () => {
+            if (await plexServers.remove(server)) {
+                popupLogger.info('Plex server removed', { machineIdentifier: server.machineIdentifier });
+                renderPlexServers();
+            } else {
+                showPlexStatus('Failed to remove Plex server', 'error');
+            }
+        });
+
+        item.append(title, remove);
+        list.appendChild(item);
+    });
+
+    return servers;
+}
+
+/**
+ * Load existing Plex settings (the default server goes into the form)
  * DRY REFACTOR: Using StorageUtils
  */
 (async () => {
-    const result = await storageUtils.get(['plexToken', 'plexUrl'], {
-        plexToken: null,
-        plexUrl: null
+    const servers = await renderPlexServers();
+
+    if (servers[0]) {
+        plexTokenInput.value = servers[0].token;
+        plexUrlInput.value = servers[0].url;
+        popupLogger.info('Plex settings loaded', { servers: servers.length });
+    }
+    // Note: No default URL - user must configure from XML URL
+})();
+
+// Custom Plex Web origins as last rendered
+let shownPlexOrigins = [];
+
+/**
+ * Render custom Plex Web origins
+ */
+async function renderPlexOrigins() {
+    const list = document.getElementById('plexOriginList');
+    const origins = await plexOrigins.list();
+    shownPlexOrigins = origins;
+
+    list.replaceChildren();
+
+    origins.forEach(origin => {
+        const item = document.createElement('li');
+        item.className = 'override-item';
+
+        const title = document.createElement('span');
+        title.className = 'override-title';
+        title.textContent = origin;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'override-remove';
+        remove.textContent = '✕';
+        remove.title = chrome.i18n.getMessage('removePlexOrigin') || 'Remove address';
+        remove.addEventListener('click', async () => {
+            if (await plexOrigins.remove(origin)) {
+                renderPlexOrigins();
+            }
+        });
+
+        item.append(title, remove);
+        list.appendChild(item);
     });
+}
 
-    if (result.plexToken) {
-        plexTokenInput.value = result.plexToken;
-        popupLogger.info('Plex token loaded');
+/**
+ * Add a custom Plex Web origin
+ * Nothing is awaited before the host permission request: browsers only show the prompt during the click.
+ * The origin is saved as the prompt opens, because Firefox closes the popup meanwhile; the background
+ * registers the content scripts once the permission is granted
+ */
+document.getElementById('addPlexOriginButton').addEventListener('click', async () => {
+    const input = document.getElementById('plexOriginInput');
+    const origin = PlexOrigins.normalize(input.value);
+    if (!origin) {
+        showPlexStatus(chrome.i18n.getMessage('errorPlexOriginInvalid') || 'Enter an http(s) address, e.g. https://plex.example.lan', 'error');
+        return;
     }
 
-    if (result.plexUrl) {
-        plexUrlInput.value = result.plexUrl;
-        popupLogger.info('Plex URL loaded');
+    const saving = plexOrigins.add(origin, shownPlexOrigins);
+    const granted = await chrome.permissions.request({ origins: [PlexOrigins.matchPattern(origin)] }).catch((error) => {
+        popupLogger.warn('Host permission request failed', { origin, error: error.message });
+        return false;
+    });
+
+    if (!await saving) {
+        showPlexStatus(chrome.i18n.getMessage('errorSaveFailed') || 'Failed to save Plex settings', 'error');
+        return;
     }
-    // Note: No default URL - user must configure from XML URL
-})();
+
+    if (!granted) {
+        await plexOrigins.remove(origin);
+        renderPlexOrigins();
+        showPlexStatus(chrome.i18n.getMessage('errorPlexOriginDenied') || 'Access to this address was not granted', 'error');
+        return;
+    }
+
+    input.value = '';
+    renderPlexOrigins();
+    showPlexStatus((chrome.i18n.getMessage('successPlexOriginAdded') || '✅ Added {ORIGIN}')
+        .replace('{ORIGIN}', origin), 'success');
+});
+
+renderPlexOrigins();
 
 /**
  * Test Plex connection via background service worker (bypasses CORS)
  * @param {string} plexToken - Plex token
  * @param {string} plexUrl - Plex server URL
- * @returns {Promise<{success: boolean, serverName?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, serverName?: string, machineIdentifier?: string, error?: string}>}
  */
 async function testPlexConnection(plexToken, plexUrl) {
     return new Promise((resolve) => {
@@ -609,6 +1569,36 @@ async function testPlexConnection(plexToken, plexUrl) {
     });
 }
 
+/**
+ * Test a server and save it as a profile, keyed by the machine identifier it reports
+ * @param {string} plexToken - Plex token
+ * @param {string} plexUrl - Plex server URL
+ * @returns {Promise<{success: boolean, serverName?: string, error?: string}>}
+ */
+async function savePlexServer(plexToken, plexUrl) {
+    const result = await testPlexConnection(plexToken, plexUrl);
+    if (!result?.success) {
+        return {
+            success: false,
+            error: (chrome.i18n.getMessage('errorPlexTest') || '❌ Connection failed: {ERROR}')
+                .replace('{ERROR}', result?.error || 'Unknown error')
+        };
+    }
+
+    const saved = await plexServers.save({
+        machineIdentifier: result.machineIdentifier,
+        name: result.serverName,
+        url: plexUrl,
+        token: plexToken
+    });
+    if (!saved) {
+        return { success: false, error: chrome.i18n.getMessage('errorSaveFailed') || 'Failed to save Plex settings' };
+    }
+
+    renderPlexServers();
+    return { success: true, serverName: result.serverName };
+}
+
 /**
  * Test Plex connection button
  */
@@ -668,58 +1658,41 @@ testPlexButton.addEventListener('click', async () => {
 });
 
 /**
- * Save Plex settings
- * DRY REFACTOR: Now async to use StorageUtils
+ * Save Plex settings as a server profile (added, or updated if the server is already saved)
  */
 savePlexButton.addEventListener('click', async () => {
     const plexToken = plexTokenInput.value.trim();
     const plexUrl = plexUrlInput.value.trim();
 
-    // Both token and URL are optional
-    // If user provides one, they should provide both
-    if ((plexToken && !plexUrl) || (!plexToken && plexUrl)) {
-        showPlexStatus(
-            chrome.i18n.getMessage('errorPlexIncomplete') || 'Please provide both Plex token and URL, or leave both empty',
-            'error'
-        );
+    // Validate token
+    const tokenValidation = validatePlexToken(plexToken);
+    if (!tokenValidation.valid) {
+        showPlexStatus(tokenValidation.error, 'error');
+        plexTokenInput.classList.add('error');
         return;
     }
 
-    // Validate token if provided
-    if (plexToken) {
-        const tokenValidation = validatePlexToken(plexToken);
-        if (!tokenValidation.valid) {
-            showPlexStatus(tokenValidation.error, 'error');
-            plexTokenInput.classList.add('error');
-            return;
-        }
-    }
-
-    // Validate URL if provided
-    if (plexUrl) {
-        const urlValidation = validatePlexUrl(plexUrl);
-        if (!urlValidation.valid) {
-            showPlexStatus(urlValidation.error, 'error');
-            plexUrlInput.classList.add('error');
-            return;
-        }
+    // Validate URL
+    const urlValidation = validatePlexUrl(plexUrl);
+    if (!urlValidation.valid) {
+        showPlexStatus(urlValidation.error, 'error');
+        plexUrlInput.classList.add('error');
+        return;
     }
 
-    // Save to storage - DRY REFACTOR: Using StorageUtils
-    const saved = await storageUtils.set({ plexToken, plexUrl });
+    setButtonState(savePlexButton, chrome.i18n.getMessage('buttonTesting') || '⏳ Testing...', true);
+    const result = await savePlexServer(plexToken, plexUrl);
 
-    if (!saved) {
-        showPlexStatus(
-            chrome.i18n.getMessage('errorSaveFailed') || 'Failed to save Plex settings',
-            'error'
-        );
-        popupLogger.error('Failed to save Plex settings');
+    if (!result.success) {
+        setButtonState(savePlexButton, chrome.i18n.getMessage('savePlexButton') || '💾 Save Plex Settings', false);
+        showPlexStatus(result.error, 'error');
+        popupLogger.error('Failed to save Plex settings', { error: result.error });
         return;
     }
 
     setButtonState(savePlexButton, chrome.i18n.getMessage('buttonSaved') || '✅ Saved', false);
     showPlexStatus(
-        chrome.i18n.getMessage('successPlexSaved') || '✅ Plex settings saved! Reload Plex page to apply.',
+        (chrome.i18n.getMessage('successPlexServerSaved') || '✅ Saved server: {SERVER}').replace('{SERVER}', result.serverName),
         'success'
     );
 
@@ -736,11 +1709,12 @@ savePlexButton.addEventListener('click', async () => {
  */
 clearPlexButton.addEventListener('click', async () => {
     if (confirm(chrome.i18n.getMessage('confirmDeletePlex') || 'Are you sure you want to clear Plex settings?')) {
-        const removed = await storageUtils.remove(['plexToken', 'plexUrl']);
+        const removed = await plexServers.clear();
 
         if (removed) {
             plexTokenInput.value = '';
             plexUrlInput.value = '';
+            renderPlexServers();
             showPlexStatus(
                 chrome.i18n.getMessage('successPlexDeleted') || '🗑️ Plex settings cleared',
                 'success'
@@ -0,0 +1,241 @@
+/**
+ * Library Poster Overlay
+ * Paints a small IMDb score badge on each poster in Plex's library grid
+ * Cards are resolved lazily as they scroll into view, within the daily quota budget
+ */
+
+// Prevent duplicate injection
+if (typeof window.PosterOverlay === 'undefined') {
+
+class PosterOverlay {
+    constructor() {
+        this.logger = new Logger('PosterOverlay');
+        this.intersectionObserver = null;
+        this.mutationObserver = null;
+        this.scanTimeout = null;
+        this.retryTimeout = null;
+        this.queue = new Map(); // card -> ratingKey, cards currently in view awaiting resolution
+        this.isDraining = false;
+        this.active = false;
+    }
+
+    /**
+     * Start watching the page for poster cards
+     */
+    start() {
+        if (this.active) return;
+        this.active = true;
+
+        this.intersectionObserver = new IntersectionObserver(
+            (entries) => this.onIntersect(entries),
+            { rootMargin: CONFIG.POSTER_OVERLAY_ROOT_MARGIN }
+        );
+
+        // Plex renders the grid incrementally (virtualized scrolling), so rescan on DOM changes
+        this.mutationObserver = new MutationObserver(() => this.scheduleScan());
+        this.mutationObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+
+        this.scan();
+        this.logger.debug('Poster overlay started');
+    }
+
+    /**
+     * Stop watching and drop any pending work
+     * CRITICAL FIX #1: Proper observer cleanup
+     */
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+            this.intersectionObserver = null;
+        }
+
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+
+        clearTimeout(this.scanTimeout);
+        clearTimeout(this.retryTimeout);
+        this.queue.clear();
+
+        // Forget unresolved cards so they are picked up again on restart
+        document.querySelectorAll('[data-pimdb-rating-key]').forEach(card => {
+            if (!card.querySelector(CONFIG.SELECTORS.POSTER_BADGE)) {
+                delete card.dataset.pimdbRatingKey;
+            }
+        });
+
+        this.logger.debug('Poster overlay stopped');
+    }
+
+    /**
+     * Debounced scan for newly rendered cards
+     */
+    scheduleScan() {
+        clearTimeout(this.scanTimeout);
+        this.scanTimeout = setTimeout(() => this.scan(), CONFIG.POSTER_OVERLAY_SCAN_DEBOUNCE_MS);
+    }
+
+    /**
+     * Find poster cards and start observing their visibility
+     */
+    scan() {
+        if (!this.active) return;
+
+        const links = document.querySelectorAll(CONFIG.SELECTORS.POSTER_CARD_LINK);
+
+        for (const link of links) {
+            const card = link.closest(CONFIG.SELECTORS.POSTER_CARD) || link.parentElement;
+            if (!card) continue;
+
+            const ratingKey = plexClient.extractRatingKey(link.href);
+            if (!ratingKey || card.dataset.pimdbRatingKey === ratingKey) continue;
+
+            // Card recycled by Plex's virtualized grid - drop the badge from the previous item
+            card.querySelector(CONFIG.SELECTORS.POSTER_BADGE)?.remove();
+
+            card.dataset.pimdbRatingKey = ratingKey;
+            this.intersectionObserver.observe(card);
+        }
+    }
+
+    /**
+     * Queue visible cards, forget cards that scrolled away before being resolved
+     * @param {IntersectionObserverEntry[]} entries
+     */
+    onIntersect(entries) {
+        for (const entry of entries) {
+            const card = entry.target;
+
+            if (entry.isIntersecting) {
+                this.queue.set(card, card.dataset.pimdbRatingKey);
+            } else {
+                this.queue.delete(card);
+            }
+        }
+
+        this.drain();
+    }
+
+    /**
+     * Resolve queued cards one at a time
+     * Leaves CONFIG.POSTER_OVERLAY_RESERVED_REQUESTS of the daily quota for details pages
+     */
+    async drain() {
+        if (this.isDraining) return;
+        this.isDraining = true;
+
+        try {
+            while (this.active && this.queue.size > 0) {
+                // Budget is the daily OMDb quota, shared by all tabs
+                const status = await omdbClient.getQuotaStatus();
+                if (CONFIG.FEATURES.ENABLE_RATE_LIMITING &&
+                    status.remaining <= CONFIG.POSTER_OVERLAY_RESERVED_REQUESTS) {
+                    this.logger.debug('Quota budget reserved, pausing overlay', {
+                        remaining: status.remaining,
+                        resetIn: status.resetIn
+                    });
+                    clearTimeout(this.retryTimeout);
+                    this.retryTimeout = setTimeout(() => this.drain(), Math.max(status.resetIn, 1000));
+                    return;
+                }
+
+                const [card, ratingKey] = this.queue.entries().next().value;
+                this.queue.delete(card);
+                this.intersectionObserver?.unobserve(card);
+
+                await this.processCard(card, ratingKey);
+            }
+        } catch (error) {
+            // Background unreachable (e.g. extension reloaded) - cards stay queued for the next scan
+            this.logger.debug('Poster overlay drain failed', { error: error.message });
+        } finally {
+            this.isDraining = false;
+        }
+    }
+
+    /**
+     * Resolve rating for a single card and paint the badge
+     * @param {HTMLElement} card - Poster card element
+     * @param {string} ratingKey - Plex rating key
+     */
+    async processCard(card, ratingKey) {
+        try {
+            const match = await metadataResolver.resolveForRatingKey(ratingKey, this.extractCardInfo(card));
+            const imdbId = match?.imdbId;
+            if (!imdbId || !CONFIG.PATTERNS.IMDB_ID.test(imdbId)) return;
+
+            const data = await omdbClient.getByIMDbId(imdbId);
+            const rating = parseFloat(data.imdbRating);
+            if (isNaN(rating) || rating < 0 || rating > 10) return;
+
+            // Card may have been recycled for another item while we were waiting
+            if (!document.body.contains(card) || card.dataset.pimdbRatingKey !== ratingKey) return;
+
+            this.paintBadge(card, imdbId, rating);
+        } catch (error) {
+            this.logger.debug('Could not resolve poster rating', { ratingKey, error: error.message });
+        }
+    }
+
+    /**
+     * Extract title/year from card text for use without Plex API
+     * @param {HTMLElement} card - Poster card element
+     * @returns {{title: string, year: string|null}|null}
+     */
+    extractCardInfo(card) {
+        const titleLink = card.querySelector('a[data-testid="metadataTitleLink"]') ||
+                          card.querySelector(CONFIG.SELECTORS.POSTER_CARD_LINK);
+        if (!titleLink) return null;
+
+        // Limit input length to prevent ReDoS attacks
+        const title = (titleLink.getAttribute('aria-label') || titleLink.textContent || '').trim().substring(0, 500);
+        if (!title) return null;
+
+        const yearMatch = card.textContent.substring(0, 1000).match(/\b((?:19|20)\d{2})\b/);
+
+        return {
+            title,
+            year: yearMatch ? yearMatch[1] : null
+        };
+    }
+
+    /**
+     * Paint corner badge on poster
+     * @param {HTMLElement} card - Poster card element
+     * @param {string} imdbId - IMDb ID (validated format)
+     * @param {number} rating - Rating value (validated range)
+     */
+    paintBadge(card, imdbId, rating) {
+        if (card.querySelector(CONFIG.SELECTORS.POSTER_BADGE)) return;
+
+        // Prefer the poster image container so the badge sits on the artwork
+        const image = card.querySelector('img');
+        const host = (image && image.parentElement) || card;
+
+        if (getComputedStyle(host).position === 'static') {
+            host.style.position = 'relative';
+        }
+
+        const badge = document.createElement('span');
+        badge.className = 'imdb-poster-badge';
+        badge.textContent = rating.toFixed(1);
+        badge.title = `IMDb ${rating.toFixed(1)}/10 (${imdbId})`;
+        host.appendChild(badge);
+    }
+}
+
+    // Export to window
+    window.PosterOverlay = PosterOverlay;
+    window.posterOverlay = new PosterOverlay();
+}
+
+// Create const references for backwards compatibility
+const PosterOverlay = window.PosterOverlay;
+const posterOverlay = window.posterOverlay;
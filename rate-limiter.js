@@ -1,128 +1,245 @@
 /**
- * Rate limiter with sliding window algorithm
- * Prevents API quota exhaustion
+ * OMDb daily quota tracking, fetch with retry, and the OMDb error classes
+ * OMDb counts requests per API key per day (UTC), so the counter is persisted
+ * and keyed by a hash of the key - the key itself never goes into storage keys
  */
 
 // Prevent duplicate injection
-if (typeof window.RateLimiter === 'undefined') {
+if (typeof window.QuotaTracker === 'undefined') {
 
-class RateLimiter {
-    constructor(maxRequests = CONFIG.MAX_REQUESTS_PER_HOUR, windowMs = CONFIG.RATE_LIMIT_WINDOW_MS) {
-        this.maxRequests = maxRequests;
-        this.windowMs = windowMs;
-        this.requests = [];
+/**
+ * Thrown when the daily OMDb quota is used up (locally counted or reported by OMDb)
+ */
+class OMDbQuotaError extends Error {
+    /**
+     * @param {number} resetAt - Next reset timestamp (UTC midnight, ms)
+     */
+    constructor(resetAt) {
+        super(`OMDb daily request limit reached - resets at ${new Date(resetAt).toISOString().substring(11, 16)} UTC`);
+        this.name = 'OMDbQuotaError';
+        this.resetAt = resetAt;
     }
+}
 
+/**
+ * Thrown when OMDb has no title for the query ("Movie not found!", "Incorrect IMDb ID.")
+ * The answer is definite, so it's cached for a while (see OMDBClient negative cache)
+ */
+class NotFoundError extends Error {
     /**
-     * Cleanup expired requests (internal helper)
-     * DRY REFACTOR: Extracted to avoid duplication
-     * @private
-     * @returns {number} Current timestamp
+     * @param {string} message - OMDb Error field
      */
-    _cleanupExpired() {
-        const now = Date.now();
-        this.requests = this.requests.filter(time => now - time < this.windowMs);
-        return now;
+    constructor(message = 'Not found') {
+        super(message);
+        this.name = 'NotFoundError';
     }
+}
 
+/**
+ * Thrown when OMDb rejects the API key (missing, invalid or not activated)
+ */
+class AuthError extends Error {
     /**
-     * Cleanup old requests and cap array size
+     * @param {string} message - OMDb Error field or local reason
      */
-    cleanup() {
-        this._cleanupExpired();
-
-        // Hard cap to prevent unbounded growth in long sessions
-        if (this.requests.length > this.maxRequests * 10) {
-            this.requests = this.requests.slice(-this.maxRequests);
-            logger.warn('Rate limiter array capped', {
-                original: this.requests.length,
-                capped: this.maxRequests
-            });
-        }
+    constructor(message = 'Invalid API key') {
+        super(message);
+        this.name = 'AuthError';
     }
+}
 
+/**
+ * Thrown when a request fails without an answer from OMDb (server errors, timeouts)
+ */
+class TransportError extends Error {
     /**
-     * Acquire a rate limit slot (waits if necessary)
-     * @param {number} depth - Recursion depth (internal use)
-     * @returns {Promise<void>}
+     * @param {string} message - Failure description
+     * @param {Error|null} cause - Underlying error, if any
      */
-    async acquire(depth = 0) {
-        // SECURITY: Prevent infinite recursion / stack overflow DoS
-        const MAX_RECURSION_DEPTH = 10;
-        if (depth >= MAX_RECURSION_DEPTH) {
-            logger.error('Rate limiter max recursion depth exceeded', { depth });
-            throw new Error('Rate limiter recursion limit exceeded - possible DoS attempt or timing issue');
-        }
-
-        if (!CONFIG.FEATURES.ENABLE_RATE_LIMITING) {
-            return; // Rate limiting disabled
-        }
+    constructor(message = 'OMDb request failed', cause = null) {
+        super(message);
+        this.name = 'TransportError';
+        this.cause = cause;
+    }
+}
 
-        this.cleanup();
+/**
+ * Thrown when OMDb can't be reached: the browser is offline or the request never got an answer
+ */
+class OfflineError extends TransportError {
+    /**
+     * @param {Error|null} cause - Underlying network error, if any
+     */
+    constructor(cause = null) {
+        super('Network unavailable - OMDb could not be reached', cause);
+        this.name = 'OfflineError';
+    }
 
-        if (this.requests.length >= this.maxRequests) {
-            const oldestRequest = this.requests[0];
-            const waitTime = this.windowMs - (Date.now() - oldestRequest);
+    /**
+     * Check if the browser reports no connectivity
+     * @returns {boolean}
+     */
+    static isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+}
 
-            logger.warn(`Rate limit reached (${this.requests.length}/${this.maxRequests}), waiting ${waitTime}ms`);
+class QuotaTracker {
+    constructor(dailyLimit = CONFIG.OMDB_DAILY_QUOTA) {
+        this.dailyLimit = dailyLimit;
+        this.storageKey = 'omdbQuota';
+        this.keyHashes = new Map(); // apiKey -> hash
+        this.queue = Promise.resolve(); // Serializes read-modify-write of the counter
+    }
 
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-            return this.acquire(depth + 1); // Retry after waiting with incremented depth
-        }
+    /**
+     * Current UTC day
+     * @param {number} now - Timestamp (ms)
+     * @returns {string} YYYY-MM-DD
+     */
+    static utcDay(now = Date.now()) {
+        return new Date(now).toISOString().substring(0, 10);
+    }
 
-        this.requests.push(Date.now());
+    /**
+     * Next quota reset (UTC midnight)
+     * @param {number} now - Timestamp (ms)
+     * @returns {number} Timestamp (ms)
+     */
+    static nextResetAt(now = Date.now()) {
+        const date = new Date(now);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
     }
 
     /**
-     * Check if we can make a request without waiting
-     * DRY REFACTOR: Uses _cleanupExpired()
-     * @returns {boolean}
+     * Hash API key so quota records are key-scoped without storing the key again
+     * @private
+     * @param {string} apiKey - OMDb API key
+     * @returns {Promise<string>}
      */
-    canRequest() {
-        this._cleanupExpired();
-        return this.requests.length < this.maxRequests;
+    async _hashKey(apiKey) {
+        if (!this.keyHashes.has(apiKey)) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+            const hash = Array.from(new Uint8Array(digest).slice(0, 8))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+            this.keyHashes.set(apiKey, hash);
+        }
+        return this.keyHashes.get(apiKey);
     }
 
     /**
-     * Get current rate limit status
-     * DRY REFACTOR: Uses _cleanupExpired()
-     * @returns {{remaining: number, total: number, resetIn: number}}
+     * Run a read-modify-write on today's record for a key
+     * @private
+     * @param {string} apiKey - OMDb API key
+     * @param {Function} update - Receives today's record, may mutate it; return value is passed through
+     * @returns {Promise<*>}
      */
-    getStatus() {
-        const now = this._cleanupExpired();
+    _withRecord(apiKey, update) {
+        const run = async () => {
+            const hash = await this._hashKey(apiKey);
+            const today = QuotaTracker.utcDay();
+            const result = await chrome.storage.local.get([this.storageKey]);
+            const records = result[this.storageKey] || {};
+
+            // Drop previous days (and other keys' stale records) as we go
+            for (const [key, record] of Object.entries(records)) {
+                if (record.day !== today) delete records[key];
+            }
 
-        const remaining = Math.max(0, this.maxRequests - this.requests.length);
-        const resetIn = this.requests.length > 0
-            ? this.windowMs - (now - this.requests[0])
-            : 0;
+            const record = records[hash] || { day: today, used: 0, exhausted: false };
+            const before = JSON.stringify(record);
+            const value = update(record);
 
-        return {
-            remaining,
-            total: this.maxRequests,
-            resetIn,
-            window: this.windowMs
+            if (JSON.stringify(record) !== before || !records[hash]) {
+                records[hash] = record;
+                await chrome.storage.local.set({ [this.storageKey]: records });
+            }
+
+            return value;
         };
+
+        const pending = this.queue.then(run);
+        this.queue = pending.catch(() => {});
+        return pending;
+    }
+
+    /**
+     * Count one request against today's quota
+     * @param {string} apiKey - OMDb API key
+     * @returns {Promise<void>}
+     * @throws {OMDbQuotaError} If the quota is already used up
+     */
+    async acquire(apiKey) {
+        if (!CONFIG.FEATURES.ENABLE_RATE_LIMITING) {
+            return; // Rate limiting disabled
+        }
+
+        const allowed = await this._withRecord(apiKey, (record) => {
+            if (record.exhausted || record.used >= this.dailyLimit) {
+                return false;
+            }
+            record.used++;
+            return true;
+        });
+
+        if (!allowed) {
+            logger.warn('OMDb daily quota exhausted', { limit: this.dailyLimit });
+            throw new OMDbQuotaError(QuotaTracker.nextResetAt());
+        }
     }
 
     /**
-     * Reset rate limiter
+     * Mark today's quota as used up (OMDb answered "Request limit reached!")
+     * The local count can lag behind OMDb when the key is also used elsewhere
+     * @param {string} apiKey - OMDb API key
+     * @returns {Promise<void>}
      */
-    reset() {
-        this.requests = [];
+    async markExhausted(apiKey) {
+        await this._withRecord(apiKey, (record) => {
+            record.exhausted = true;
+        });
+    }
+
+    /**
+     * Get today's quota status for a key
+     * @param {string|null} apiKey - OMDb API key
+     * @returns {Promise<{used: number, total: number, remaining: number, exhausted: boolean, resetAt: number, resetIn: number}>}
+     */
+    async getStatus(apiKey) {
+        const now = Date.now();
+        const resetAt = QuotaTracker.nextResetAt(now);
+        const record = apiKey
+            ? await this._withRecord(apiKey, record => ({ ...record }))
+            : { used: 0, exhausted: false };
+
+        const exhausted = record.exhausted || record.used >= this.dailyLimit;
+
+        return {
+            used: record.used,
+            total: this.dailyLimit,
+            remaining: exhausted ? 0 : this.dailyLimit - record.used,
+            exhausted,
+            resetAt,
+            resetIn: resetAt - now
+        };
     }
 }
 
 /**
  * Fetch with automatic retry and exponential backoff
  * HIGH FIX #7: Ensure all code paths properly handle promise rejections
+ * Throws OfflineError without retrying while the browser is offline, and after the last
+ * attempt when the failure was a network error or timeout
  * @param {string} url - URL to fetch
  * @param {object} options - Fetch options
  * @param {number} maxRetries - Maximum retry attempts
  * @returns {Promise<Response>}
  */
 async function fetchWithRetry(url, options = {}, maxRetries = CONFIG.MAX_RETRY_ATTEMPTS) {
-    // Acquire rate limit slot
-    await rateLimiter.acquire();
+    if (OfflineError.isOffline()) {
+        throw new OfflineError();
+    }
 
     // Create abort controller for timeout
     const controller = new AbortController();
@@ -154,7 +271,7 @@ async function fetchWithRetry(url, options = {}, maxRetries = CONFIG.MAX_RETRY_A
 
             // Handle server errors with retry
             if (response.status >= 500) {
-                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const error = new TransportError(`HTTP ${response.status}: ${response.statusText}`);
                 lastError = error;
 
                 if (attempt === maxRetries - 1) {
@@ -172,9 +289,12 @@ async function fetchWithRetry(url, options = {}, maxRetries = CONFIG.MAX_RETRY_A
                 continue;
             }
 
-            // Client errors (4xx) - don't retry
+            // Client errors (4xx) - don't retry, keep the response for callers that read error bodies
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.response = response;
+                throw error;
             }
 
             return response;
@@ -183,14 +303,27 @@ async function fetchWithRetry(url, options = {}, maxRetries = CONFIG.MAX_RETRY_A
             clearTimeout(timeoutId);
             lastError = error;
 
+            // Client errors are final - retrying won't change the answer
+            if (error.status >= 400 && error.status < 500) {
+                throw error;
+            }
+
             // Handle timeout specifically
             if (error.name === 'AbortError') {
                 logger.warn('Request timeout', { url, attempt, timeout: CONFIG.FETCH_TIMEOUT_MS });
             }
 
+            // fetch() rejects with TypeError when the request never got a response
+            const networkFailure = error.name === 'TypeError' || error.name === 'AbortError';
+
+            // Connection dropped - backing off won't help until it's back
+            if (networkFailure && OfflineError.isOffline()) {
+                throw new OfflineError(error);
+            }
+
             if (attempt === maxRetries - 1) {
                 logger.error('Fetch failed after retries', { error: error.message, url, attempts: maxRetries });
-                throw error;
+                throw networkFailure ? new OfflineError(error) : error;
             }
 
             const backoff = Math.min(
@@ -206,19 +339,26 @@ async function fetchWithRetry(url, options = {}, maxRetries = CONFIG.MAX_RETRY_A
 
     // SAFETY: Ensure we never exit without returning or throwing
     // If we somehow reach here, throw the last error or a generic error
-    throw lastError || new Error('Fetch failed after all retries with unknown error');
+    throw lastError || new TransportError('Fetch failed after all retries with unknown error');
 }
 
     // Export to window
-    window.RateLimiter = RateLimiter;
+    window.OMDbQuotaError = OMDbQuotaError;
+    window.NotFoundError = NotFoundError;
+    window.AuthError = AuthError;
+    window.TransportError = TransportError;
+    window.OfflineError = OfflineError;
+    window.QuotaTracker = QuotaTracker;
     window.fetchWithRetry = fetchWithRetry;
-    window.rateLimiter = new RateLimiter(
-        CONFIG.MAX_REQUESTS_PER_HOUR,
-        CONFIG.RATE_LIMIT_WINDOW_MS
-    );
+    window.quotaTracker = new QuotaTracker(CONFIG.OMDB_DAILY_QUOTA);
 }
 
 // Create const references for backwards compatibility
-const RateLimiter = window.RateLimiter;
+const OMDbQuotaError = window.OMDbQuotaError;
+const NotFoundError = window.NotFoundError;
+const AuthError = window.AuthError;
+const TransportError = window.TransportError;
+const OfflineError = window.OfflineError;
+const QuotaTracker = window.QuotaTracker;
 const fetchWithRetry = window.fetchWithRetry;
-const rateLimiter = window.rateLimiter;
+const quotaTracker = window.quotaTracker;
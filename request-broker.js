@@ -0,0 +1,251 @@
+/**
+ * Request Broker
+ * All OMDb and Plex traffic goes through the background script:
+ * one quota counter, one cache, one copy of the API keys, no keys in page contexts.
+ * Content scripts and the popup call send(); the background answers in handle().
+ */
+
+// Prevent duplicate injection
+if (typeof window.RequestBroker === 'undefined') {
+
+class RequestBroker {
+    constructor() {
+        this.logger = new Logger('RequestBroker');
+        this.inFlight = new Map(); // op + payload -> pending result, shared by identical requests
+    }
+
+    /**
+     * Check if running in the background context that owns network access
+     * @returns {boolean}
+     */
+    static isBackground() {
+        // Chrome: service worker
+        if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+            return true;
+        }
+        // Firefox: background page
+        return chrome.extension?.getBackgroundPage?.() === window;
+    }
+
+    /**
+     * Serialize an error for a runtime message (Error objects don't survive structured clone)
+     * @param {Error} error
+     * @returns {{name: string, message: string}}
+     */
+    static serializeError(error) {
+        return {
+            name: error?.name || 'Error',
+            message: error?.message || String(error)
+        };
+    }
+
+    /**
+     * Rebuild an error received from the background
+     * @param {{name: string, message: string}|string|undefined} data - Serialized error
+     * @returns {Error}
+     */
+    static deserializeError(data) {
+        const error = new Error(data?.message || data || 'Request failed');
+        if (data?.name) {
+            error.name = data.name;
+        }
+        return error;
+    }
+
+    /**
+     * Send a request to the background broker
+     * @param {string} op - Operation name (e.g. "omdb.request")
+     * @param {Object} payload - Operation arguments (JSON-serializable)
+     * @returns {Promise<*>} Operation result
+     */
+    send(op, payload = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                chrome.runtime.sendMessage({ type: 'brokerRequest', op, payload }, (response) => {
+                    if (chrome.runtime.lastError) {
+                        reject(new Error(chrome.runtime.lastError.message));
+                        return;
+                    }
+
+                    if (!response?.success) {
+                        reject(RequestBroker.deserializeError(response?.error));
+                        return;
+                    }
+
+                    resolve(response.result);
+                });
+            } catch (error) {
+                // Extension context invalidated (extension reloaded under the page)
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Handle a broker request in the background
+     * Identical concurrent requests (e.g. the same title open in two tabs) share one result
+     * @param {string} op - Operation name
+     * @param {Object} payload - Operation arguments
+     * @returns {Promise<*>} Operation result
+     */
+    handle(op, payload = {}) {
+        const key = `${op}:${JSON.stringify(payload)}`;
+
+        if (this.inFlight.has(key)) {
+            this.logger.debug('Joining in-flight request', { op });
+            return this.inFlight.get(key);
+        }
+
+        const pending = this.dispatch(op, payload)
+            .finally(() => this.inFlight.delete(key));
+
+        this.inFlight.set(key, pending);
+        return pending;
+    }
+
+    /**
+     * Run an operation against the background clients
+     * @private
+     * @param {string} op - Operation name
+     * @param {Object} payload - Operation arguments
+     * @returns {Promise<*>}
+     */
+    async dispatch(op, payload) {
+        if (op.startsWith('plex.')) {
+            // A woken service worker gets messages before the server profiles are loaded
+            await plexClient.ready;
+        }
+
+        switch (op) {
+            case 'omdb.request': {
+                // Revalidation keeps running here, callers ask for it with omdb.revalidate
+                const { data, stale, offline } = await omdbClient.requestEntry(payload.params);
+                return { data, stale, offline };
+            }
+
+            case 'omdb.revalidate': {
+                // Joins the refresh started by omdb.request, or returns the fresh entry it already cached
+                const entry = await omdbClient.requestEntry(payload.params);
+                return entry.stale ? entry.revalidation : entry.data;
+            }
+
+            case 'omdb.testKey':
+                return omdbClient.testApiKey(payload.apiKey);
+
+            case 'omdb.quotaStatus':
+                return omdbClient.getQuotaStatus();
+
+            case 'omdb.cacheStats':
+                return omdbClient.getCacheStats();
+
+            case 'omdb.clearCache':
+                await omdbClient.clearCache();
+                return true;
+
+            case 'omdb.clearNegativeCache':
+                return omdbClient.clearNegativeCache();
+
+            case 'plex.status':
+                return plexClient.getStatus();
+
+            case 'plex.metadata':
+                return plexClient.fetchMetadata(payload.ratingKey, payload.serverId || null);
+
+            case 'plex.children':
+                return plexClient.fetchChildren(payload.ratingKey, payload.serverId || null);
+
+            case 'plex.sections':
+                return plexClient.fetchSections();
+
+            case 'plex.matches':
+                return plexClient.fetchMatches(payload.ratingKey, payload.imdbId, payload.serverId || null);
+
+            case 'plex.match':
+                return plexClient.applyMatch(payload.ratingKey, payload.candidate, payload.serverId || null);
+
+            case 'plexAuth.start':
+                return plexAuth.start();
+
+            case 'plexAuth.status':
+                return plexAuth.getStatus();
+
+            case 'plexAuth.cancel':
+                return plexAuth.cancel();
+
+            case 'plexAuth.choose':
+                return plexAuth.chooseServer(payload.machineIdentifier);
+
+            case 'writeback.preview':
+                return plexWriteback.preview(payload.target);
+
+            case 'writeback.apply':
+                return plexWriteback.apply(payload.target);
+
+            case 'writeback.log':
+                return plexWriteback.getLog();
+
+            case 'writeback.undo':
+                return plexWriteback.undoLast();
+
+            case 'sweep.status':
+                return librarySweep.getStatus();
+
+            case 'sweep.start':
+                return librarySweep.start(payload.sectionId, payload.sectionTitle);
+
+            case 'sweep.pause':
+                return librarySweep.pause();
+
+            case 'sweep.resume':
+                return librarySweep.resume();
+
+            case 'sweep.cancel':
+                return librarySweep.cancel();
+
+            case 'export.status':
+                return libraryExport.getStatus();
+
+            case 'export.start':
+                return libraryExport.start(payload.sectionId, payload.sectionTitle);
+
+            case 'export.rows':
+                return libraryExport.getRows();
+
+            case 'export.cancel':
+                return libraryExport.cancel();
+
+            case 'health.status':
+                return matchHealth.getStatus();
+
+            case 'health.start':
+                return matchHealth.start(payload.sectionId, payload.sectionTitle);
+
+            case 'health.cancel':
+                return matchHealth.cancel();
+
+            case 'dataset.info':
+                return imdbDataset.getInfo();
+
+            case 'dataset.rating':
+                return imdbDataset.getRating(payload.imdbId);
+
+            case 'dataset.search':
+                return imdbDataset.search(payload.titles || [], payload.type);
+
+            case 'guid.lookup':
+                return guidMapper.lookup(payload.ids || [], payload.kind);
+
+            default:
+                throw new Error(`Unknown broker operation: ${op}`);
+        }
+    }
+}
+
+    // Export to window
+    window.RequestBroker = RequestBroker;
+    window.requestBroker = new RequestBroker();
+}
+
+// Create const references for backwards compatibility
+const RequestBroker = window.RequestBroker;
+const requestBroker = window.requestBroker;
@@ -0,0 +1,170 @@
+/**
+ * Season Heatmap
+ * Collapsible grid of IMDb episode ratings injected on Plex season pages
+ * Each cell links to the matching Plex episode
+ */
+
+// Prevent duplicate injection
+if (typeof window.SeasonHeatmap === 'undefined') {
+
+class SeasonHeatmap {
+    constructor() {
+        this.logger = new Logger('SeasonHeatmap');
+    }
+
+    /**
+     * Build and insert heatmap for a season page
+     * @param {Element} anchor - Element to insert the heatmap after
+     * @param {Object} season - {seriesId, season, ratingKey}
+     * @returns {Promise<HTMLElement|null>} Inserted heatmap, or null if nothing to show
+     */
+    async render(anchor, { seriesId, season, ratingKey }) {
+        const existing = document.querySelector(CONFIG.SELECTORS.SEASON_HEATMAP);
+        if (existing) {
+            if (existing.dataset.ratingKey === String(ratingKey)) {
+                return existing;
+            }
+            existing.remove();
+        }
+
+        const [seasonData, children] = await Promise.all([
+            omdbClient.getSeason(seriesId, season),
+            plexClient.fetchChildren(ratingKey)
+        ]);
+
+        const episodes = Array.isArray(seasonData?.Episodes) ? seasonData.Episodes : [];
+        if (episodes.length === 0) {
+            this.logger.debug('No episodes returned by OMDb', { seriesId, season });
+            return null;
+        }
+
+        // Map episode number -> Plex rating key
+        const plexEpisodes = new Map();
+        for (const child of children || []) {
+            if (child.index !== undefined && child.ratingKey) {
+                plexEpisodes.set(String(child.index), String(child.ratingKey));
+            }
+        }
+
+        // Navigation target is built from the page we're on
+        const serverId = plexClient.extractServerId(location.href);
+        const baseUrl = `${location.origin}${location.pathname}`;
+
+        const heatmap = this.createHeatmap(episodes, plexEpisodes, serverId, baseUrl);
+        heatmap.dataset.ratingKey = String(ratingKey);
+
+        // Page may have changed while we were fetching
+        if (!document.body.contains(anchor)) {
+            return null;
+        }
+
+        anchor.insertAdjacentElement('afterend', heatmap);
+        this.logger.info('Season heatmap added', { seriesId, season, episodes: episodes.length });
+        return heatmap;
+    }
+
+    /**
+     * Create collapsible heatmap element
+     * @param {Object[]} episodes - OMDb Episodes array
+     * @param {Map<string, string>} plexEpisodes - Episode number -> Plex rating key
+     * @param {string|null} serverId - Plex server machine identifier
+     * @param {string} baseUrl - Plex Web base URL
+     * @returns {HTMLDetailsElement}
+     */
+    createHeatmap(episodes, plexEpisodes, serverId, baseUrl) {
+        const details = document.createElement('details');
+        details.className = 'imdb-season-heatmap';
+        details.open = true;
+
+        const ratings = episodes
+            .map(ep => parseFloat(ep.imdbRating))
+            .filter(r => !isNaN(r));
+        const average = ratings.length > 0
+            ? (ratings.reduce((sum, r) => sum + r, 0) / ratings.length).toFixed(1)
+            : null;
+
+        const summary = document.createElement('summary');
+        summary.textContent = average
+            ? `IMDb episode ratings (avg ${average})`
+            : 'IMDb episode ratings';
+        details.appendChild(summary);
+
+        const grid = document.createElement('div');
+        grid.className = 'imdb-heatmap-grid';
+
+        for (const episode of episodes) {
+            const number = String(episode.Episode || '').replace(/\D/g, '');
+            if (!number) continue;
+
+            const ratingKey = plexEpisodes.get(number);
+            grid.appendChild(this.createCell(episode, number, ratingKey, serverId, baseUrl));
+        }
+
+        details.appendChild(grid);
+        return details;
+    }
+
+    /**
+     * Create a single episode cell
+     * SECURITY: All OMDb values go through textContent / validated parsing
+     * @param {Object} episode - OMDb episode entry
+     * @param {string} number - Episode number (digits only)
+     * @param {string|undefined} ratingKey - Plex rating key of the episode
+     * @param {string|null} serverId - Plex server machine identifier
+     * @param {string} baseUrl - Plex Web base URL
+     * @returns {HTMLElement}
+     */
+    createCell(episode, number, ratingKey, serverId, baseUrl) {
+        const rating = parseFloat(episode.imdbRating);
+        const hasRating = !isNaN(rating) && rating >= 0 && rating <= 10;
+
+        // Episodes not in the Plex library can't be navigated to
+        const cell = document.createElement(ratingKey && serverId ? 'a' : 'span');
+        cell.className = `imdb-heatmap-cell ${SeasonHeatmap.ratingClass(hasRating ? rating : null)}`;
+
+        if (ratingKey && serverId) {
+            cell.href = plexClient.buildDetailsUrl(serverId, ratingKey, baseUrl);
+        } else {
+            cell.classList.add('not-in-library');
+        }
+
+        const label = document.createElement('span');
+        label.className = 'imdb-heatmap-episode';
+        label.textContent = `E${number}`;
+        cell.appendChild(label);
+
+        const value = document.createElement('span');
+        value.className = 'imdb-heatmap-rating';
+        value.textContent = hasRating ? rating.toFixed(1) : '–';
+        cell.appendChild(value);
+
+        const title = String(episode.Title || '').substring(0, 200);
+        cell.title = `E${number} · ${title}${hasRating ? ` · ${rating.toFixed(1)}/10` : ''}` +
+            (ratingKey ? '' : '\nNot in your Plex library');
+
+        return cell;
+    }
+
+    /**
+     * Colour band for a rating
+     * @param {number|null} rating - Rating value
+     * @returns {string} CSS class
+     */
+    static ratingClass(rating) {
+        if (rating === null) return 'rating-none';
+        if (rating >= 9) return 'rating-great';
+        if (rating >= 8) return 'rating-good';
+        if (rating >= 7) return 'rating-regular';
+        if (rating >= 6) return 'rating-mixed';
+        return 'rating-bad';
+    }
+}
+
+    // Export to window
+    window.SeasonHeatmap = SeasonHeatmap;
+    window.seasonHeatmap = new SeasonHeatmap();
+}
+
+// Create const references for backwards compatibility
+const SeasonHeatmap = window.SeasonHeatmap;
+const seasonHeatmap = window.seasonHeatmap;
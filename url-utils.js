@@ -151,6 +151,16 @@ class URLUtils {
         return url.toString();
     }
 
+    /**
+     * Build an IMDb title search URL
+     * @param {string} title - Title to search for
+     * @param {number|string|null} year - Release year (optional)
+     * @returns {string} IMDb find URL
+     */
+    static imdbSearchUrl(title, year = null) {
+        return `https://www.imdb.com/find?q=${encodeURIComponent(title)}${year ? '+' + year : ''}`;
+    }
+
     /**
      * Validate URL format and protocol
      * @param {string} url - URL to validate